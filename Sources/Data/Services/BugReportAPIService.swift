@@ -34,6 +34,7 @@ final class BugReportAPIService: BugReportProtocol {
             let fileName: String
             let timestamp: Date
             let fileSize: Int64?
+            let caption: String?
         }
 
         struct ReportDTO: Encodable {
@@ -41,6 +42,7 @@ final class BugReportAPIService: BugReportProtocol {
             let timestamp: Date
             let description: String
             let priority: String
+            let labels: [String]
             let userActions: [UserAction]
             let deviceInfo: DeviceInfo
             let appInfo: AppInfo
@@ -53,9 +55,13 @@ final class BugReportAPIService: BugReportProtocol {
             let memoryInfo: MemoryInfo?
             let gitLabProject: String?
             let assigneeUsername: String?
+            let assigneeUsernames: [String]
+            let watcherUsernames: [String]
             let issueNumber: Int?
+            let issueRelation: String?
             let team: String
             let mode: String
+            let manualTitle: String?
             let manualWhat: String?
             let manualSteps: String?
             let manualExpected: String?
@@ -90,7 +96,8 @@ final class BugReportAPIService: BugReportProtocol {
                     type: attachment.type,
                     fileName: attachment.fileName,
                     timestamp: attachment.timestamp,
-                    fileSize: attachment.fileSize
+                    fileSize: attachment.fileSize,
+                    caption: attachment.caption
                 )
             }
 
@@ -99,6 +106,7 @@ final class BugReportAPIService: BugReportProtocol {
                 timestamp: report.timestamp,
                 description: report.description,
                 priority: report.priority,
+                labels: report.labels,
                 userActions: report.userActions,
                 deviceInfo: report.deviceInfo,
                 appInfo: report.appInfo,
@@ -111,9 +119,13 @@ final class BugReportAPIService: BugReportProtocol {
                 memoryInfo: report.memoryInfo,
                 gitLabProject: report.gitLabProject,
                 assigneeUsername: report.assigneeUsername,
+                assigneeUsernames: report.assigneeUsernames,
+                watcherUsernames: report.watcherUsernames,
                 issueNumber: report.issueNumber ?? -1,
+                issueRelation: report.issueRelation,
                 team: team,
                 mode: report.mode,
+                manualTitle: report.manualTitle,
                 manualWhat: report.manualWhat,
                 manualSteps: report.manualSteps,
                 manualExpected: report.manualExpected
@@ -164,15 +176,22 @@ final class BugReportAPIService: BugReportProtocol {
 
     // MARK: - Initialization
 
-    init(webhookURL: String, apiKey: String? = nil, gitLabAuthProvider: GitLabAuthProviding? = nil, team: String = "ios") {
+    /// - Parameter sessionConfiguration: Lets tests route requests through a stub `URLProtocol`
+    init(
+        webhookURL: String,
+        apiKey: String? = nil,
+        gitLabAuthProvider: GitLabAuthProviding? = nil,
+        team: String = "ios",
+        sessionConfiguration: URLSessionConfiguration = .default
+    ) {
         self.webhookURL = webhookURL
         self.apiKey = apiKey
         self.gitLabAuthProvider = gitLabAuthProvider
         self.team = team
 
-    let config = URLSessionConfiguration.default
-    config.timeoutIntervalForRequest = 5 * 60
-    config.timeoutIntervalForResource = 5 * 60
+        let config = sessionConfiguration
+        config.timeoutIntervalForRequest = 5 * 60
+        config.timeoutIntervalForResource = 5 * 60
         self.session = URLSession(configuration: config)
         // Expose configuration for tests (kept internal)
         self.sessionConfigurationForTests = config
@@ -318,6 +337,69 @@ final class BugReportAPIService: BugReportProtocol {
         }
     }
 
+    @discardableResult
+    func submitBugReport(
+        _ report: BugReport,
+        progress: @escaping (AttachmentUploadProgress) -> Void,
+        completion: @escaping (Result<String, BugReportError>) -> Void
+    ) -> BugReportSubmissionHandle {
+        let submission = AttachmentUploadSubmission(
+            service: self,
+            attachments: report.mediaAttachments,
+            progress: progress,
+            completion: completion
+        )
+
+        guard !webhookURL.isEmpty,
+              let endpointURL = URL(string: webhookURL),
+              let uploadURL = URL(string: webhookURL + "/upload") else {
+            DispatchQueue.main.async {
+                submission.fail(.invalidURL)
+            }
+            return submission
+        }
+
+        cachedGitLabCredentialsForSession = nil
+
+        // Keeps the service alive until auth resolves, as the submission does, so the handle always settles
+        resolveGitLabAuthorization { authResult in
+            switch authResult {
+            case .failure(let error):
+                submission.fail(error)
+
+            case .success(let authorization):
+                let gitLabCredentials = self.mergedGitLabCredentials(report: report, authorization: authorization)
+                self.cachedGitLabCredentialsForSession = gitLabCredentials
+
+                // The report lists its attachments; their data follows one upload at a time
+                let payloadData: Data
+                do {
+                    let payload = BugReportPayload(report: report, attachments: [], gitLabCredentials: gitLabCredentials, team: self.team)
+                    payloadData = try self.jsonEncoder.encode(payload)
+                } catch {
+                    submission.fail(.invalidData)
+                    return
+                }
+
+                self.performSubmit(url: endpointURL, payloadData: payloadData, authorization: authorization) { result in
+                    switch result {
+                    case .failure(let error):
+                        submission.fail(error)
+                    case .success(let reportId):
+                        submission.start(
+                            reportId: reportId,
+                            uploadURL: uploadURL,
+                            authorization: authorization,
+                            gitLabCredentials: gitLabCredentials
+                        )
+                    }
+                }
+            }
+        }
+
+        return submission
+    }
+
     // MARK: - Payload Preparation
 
     private func performSubmit(
@@ -339,6 +421,8 @@ final class BugReportAPIService: BugReportProtocol {
         }.resume()
     }
 
+    /// Returns the running task so callers can follow its progress or cancel it
+    @discardableResult
     private func performUpload(
         url: URL,
         payload: AttachmentPayload,
@@ -346,7 +430,7 @@ final class BugReportAPIService: BugReportProtocol {
         authorization: GitLabAuthorization?,
         gitLabCredentials: GitLabCredentials?,
         completion: @escaping (Result<String, BugReportError>) -> Void
-    ) {
+    ) -> URLSessionTask? {
         let uploadPayload = FileUploadPayload(
             whtype: "report_issue",
             reportId: reportId,
@@ -356,21 +440,24 @@ final class BugReportAPIService: BugReportProtocol {
 
         do {
             let payloadData = try jsonEncoder.encode(uploadPayload)
-            var request = createJSONRequest(url: url, authorizationHeader: authorization?.authorizationHeader)
-            request.httpBody = payloadData
+            let request = createJSONRequest(url: url, authorizationHeader: authorization?.authorizationHeader)
 
             print("📤 BugReportAPIService: Uploading attachment for report \(reportId) via JSON")
 
-            session.dataTask(with: request) { [weak self] data, response, error in
+            // An upload task reports the bytes sent, which a data task with a body does not
+            let task = session.uploadTask(with: request, from: payloadData) { [weak self] data, response, error in
                 guard let self = self else { return }
                 DispatchQueue.main.async {
                     self.handleResponse(data: data, response: response, error: error, completion: completion)
                 }
-            }.resume()
+            }
+            task.resume()
+            return task
         } catch {
             DispatchQueue.main.async {
                 completion(.failure(.invalidData))
             }
+            return nil
         }
     }
 
@@ -670,7 +757,7 @@ final class BugReportAPIService: BugReportProtocol {
                 let payload = AttachmentPayload(
                     type: attachment.type.rawValue,
                     fileName: attachment.fileName,
-                    mimeType: attachment.type.mimeType,
+                    mimeType: attachment.mimeType,
                     timestamp: self.isoFormatter.string(from: attachment.timestamp),
                     size: fileData.count,
                     width: nil,
@@ -956,6 +1043,181 @@ final class BugReportAPIService: BugReportProtocol {
     }
 }
 
+// MARK: - Attachment Uploads
+
+extension BugReportAPIService {
+    /// The attachments of one posted report, compressed and uploaded one at a time so each can
+    /// report progress and be cancelled or retried on its own. Everything runs on the main queue;
+    /// compression results hop back to it. Holds the service until the last upload finishes.
+    fileprivate final class AttachmentUploadSubmission: BugReportSubmissionHandle {
+        private let service: BugReportAPIService
+        private let attachments: [MediaAttachment]
+        private let progressHandler: (AttachmentUploadProgress) -> Void
+        private var completion: ((Result<String, BugReportError>) -> Void)?
+
+        private var reportId: String?
+        private var uploadURL: URL?
+        private var authorization: GitLabAuthorization?
+        private var gitLabCredentials: GitLabCredentials?
+        private var states: [String: AttachmentUploadProgress] = [:]
+        private var isCancelled = false
+
+        // The attachment being worked on. Callbacks from an earlier attempt carry an older
+        // attempt number and are ignored.
+        private var activeFileURL: String?
+        private var activeAttempt = 0
+        private var activeTask: URLSessionTask?
+        private var progressObservation: NSKeyValueObservation?
+
+        init(
+            service: BugReportAPIService,
+            attachments: [MediaAttachment],
+            progress: @escaping (AttachmentUploadProgress) -> Void,
+            completion: @escaping (Result<String, BugReportError>) -> Void
+        ) {
+            self.service = service
+            self.attachments = attachments
+            self.progressHandler = progress
+            self.completion = completion
+        }
+
+        func fail(_ error: BugReportError) {
+            completion?(.failure(error))
+            completion = nil
+        }
+
+        func start(reportId: String, uploadURL: URL, authorization: GitLabAuthorization?, gitLabCredentials: GitLabCredentials?) {
+            self.reportId = reportId
+            self.uploadURL = uploadURL
+            self.authorization = authorization
+            self.gitLabCredentials = gitLabCredentials
+            attachments.forEach { update($0.fileURL, phase: isCancelled ? .cancelled : .queued) }
+            startNextIfIdle()
+        }
+
+        // MARK: BugReportSubmissionHandle
+
+        func cancelAttachment(withFileURL fileURL: String) {
+            guard let state = states[fileURL], state.phase != .done, state.phase != .cancelled else { return }
+            if activeFileURL == fileURL {
+                settleActive(.cancelled)
+                return
+            }
+            update(fileURL, phase: .cancelled)
+            startNextIfIdle()
+        }
+
+        func retryAttachment(withFileURL fileURL: String) {
+            guard !isCancelled, let state = states[fileURL], state.phase == .failed || state.phase == .cancelled else { return }
+            update(fileURL, phase: .queued)
+            startNextIfIdle()
+        }
+
+        func cancel() {
+            isCancelled = true
+            settleActive(.cancelled, startingNext: false)
+            states.values.filter { $0.phase == .queued || $0.phase == .failed }.forEach {
+                update($0.fileURL, phase: .cancelled)
+            }
+            startNextIfIdle()
+        }
+
+        // MARK: Queue
+
+        private func update(_ fileURL: String, phase: AttachmentUploadProgress.Phase, percent: Int = 0, message: String? = nil) {
+            let progress = AttachmentUploadProgress(fileURL: fileURL, phase: phase, percent: percent, message: message)
+            states[fileURL] = progress
+            progressHandler(progress)
+        }
+
+        private func startNextIfIdle() {
+            guard activeFileURL == nil, let reportId = reportId else { return }
+            if !isCancelled, let next = attachments.first(where: { states[$0.fileURL]?.phase == .queued }) {
+                process(next)
+                return
+            }
+            // A failed attachment holds the completion until it is retried or cancelled
+            guard !states.values.contains(where: { $0.phase == .failed }) else { return }
+            completion?(.success(reportId))
+            completion = nil
+        }
+
+        private func process(_ attachment: MediaAttachment) {
+            let fileURL = attachment.fileURL
+            activeFileURL = fileURL
+            activeAttempt += 1
+            let attempt = activeAttempt
+            update(fileURL, phase: .compressing)
+
+            service.processAttachment(attachment) { [weak self] result in
+                DispatchQueue.main.async {
+                    guard let self = self, self.activeAttempt == attempt else { return }
+                    switch result {
+                    case .failure(let error):
+                        self.settleActive(.failed, message: error.localizedDescription)
+                    case .success(let payload):
+                        self.upload(payload, fileURL: fileURL, attempt: attempt)
+                    }
+                }
+            }
+        }
+
+        private func upload(_ payload: AttachmentPayload, fileURL: String, attempt: Int) {
+            guard let uploadURL = uploadURL, let reportId = reportId else { return }
+
+            activeTask = service.performUpload(
+                url: uploadURL,
+                payload: payload,
+                reportId: reportId,
+                authorization: authorization,
+                gitLabCredentials: gitLabCredentials
+            ) { [weak self] result in
+                guard let self = self, self.activeAttempt == attempt else { return }
+                switch result {
+                case .success:
+                    self.settleActive(.done, percent: 100)
+                case .failure(let error):
+                    self.settleActive(.failed, message: error.localizedDescription)
+                }
+            }
+
+            // 100% is kept for when the webhook has answered
+            progressObservation = activeTask?.progress.observe(\.fractionCompleted) { [weak self] progress, _ in
+                let percent = min(99, Int(progress.fractionCompleted * 100))
+                DispatchQueue.main.async {
+                    guard let self = self, self.activeAttempt == attempt,
+                          let state = self.states[fileURL], state.phase == .uploading, percent > state.percent else { return }
+                    self.update(fileURL, phase: .uploading, percent: percent)
+                }
+            }
+
+            // Announced once the task exists, so a cancel from the progress handler stops it
+            update(fileURL, phase: .uploading)
+        }
+
+        private func settleActive(
+            _ phase: AttachmentUploadProgress.Phase,
+            percent: Int = 0,
+            message: String? = nil,
+            startingNext: Bool = true
+        ) {
+            guard let fileURL = activeFileURL else { return }
+            activeAttempt += 1
+            progressObservation?.invalidate()
+            progressObservation = nil
+            if phase == .cancelled {
+                activeTask?.cancel()
+            }
+            activeTask = nil
+            activeFileURL = nil
+            update(fileURL, phase: phase, percent: percent, message: message)
+            if startingNext {
+                startNextIfIdle()
+            }
+        }
+    }
+}
+
 // MARK: - Mock Implementation for Testing
 
 final class MockBugReportAPIService: BugReportProtocol {
@@ -995,4 +1257,41 @@ final class MockBugReportAPIService: BugReportProtocol {
             }
         }
     }
+
+    /// Records what the form asked for; every attachment of a successful report finishes at once
+    final class MockSubmission: BugReportSubmissionHandle {
+        private(set) var cancelledFileURLs: [String] = []
+        private(set) var retriedFileURLs: [String] = []
+        private(set) var isCancelled = false
+
+        func cancelAttachment(withFileURL fileURL: String) {
+            cancelledFileURLs.append(fileURL)
+        }
+
+        func retryAttachment(withFileURL fileURL: String) {
+            retriedFileURLs.append(fileURL)
+        }
+
+        func cancel() {
+            isCancelled = true
+        }
+    }
+
+    @discardableResult
+    func submitBugReport(
+        _ report: BugReport,
+        progress: @escaping (AttachmentUploadProgress) -> Void,
+        completion: @escaping (Result<String, BugReportError>) -> Void
+    ) -> BugReportSubmissionHandle {
+        let submission = MockSubmission()
+        submitBugReport(report) { result in
+            if case .success = result {
+                report.mediaAttachments.forEach {
+                    progress(AttachmentUploadProgress(fileURL: $0.fileURL, phase: .done, percent: 100))
+                }
+            }
+            completion(result)
+        }
+        return submission
+    }
 }
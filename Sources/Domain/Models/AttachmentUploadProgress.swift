@@ -0,0 +1,45 @@
+//
+//  AttachmentUploadProgress.swift
+//  QCBugPlugin
+//
+//  Copyright © 2025 VietUnion. All rights reserved.
+//
+
+import Foundation
+
+/// Where one attachment of a submitted report is. Sent to the form as `attachmentProgress` events.
+struct AttachmentUploadProgress: Encodable {
+    enum Phase: String, Encodable {
+        case queued
+        case compressing
+        case uploading
+        case done
+        case failed
+        case cancelled
+    }
+
+    /// Same key the form and `MediaAttachment` use for the file
+    let fileURL: String
+    let phase: Phase
+    /// 0–100; only moves while uploading
+    let percent: Int
+    /// Why the attachment failed
+    let message: String?
+
+    init(fileURL: String, phase: Phase, percent: Int = 0, message: String? = nil) {
+        self.fileURL = fileURL
+        self.phase = phase
+        self.percent = max(0, min(100, percent))
+        self.message = message
+    }
+
+    /// Still compressing or uploading, or waiting for its turn
+    var isInFlight: Bool {
+        switch phase {
+        case .queued, .compressing, .uploading:
+            return true
+        case .done, .failed, .cancelled:
+            return false
+        }
+    }
+}
@@ -34,6 +34,9 @@ struct BugReport: Codable {
     /// Priority level of the bug
     let priority: String
 
+    /// GitLab labels to apply, including the scoped priority label
+    let labels: [String]
+
     /// Steps to reproduce (user actions history)
     let userActions: [UserAction]
     
@@ -64,12 +67,21 @@ struct BugReport: Codable {
     /// Memory usage information
     let memoryInfo: MemoryInfo?
 
-    /// Username assigned to handle the bug, if provided
+    /// Username assigned to handle the bug, if provided (the first of `assigneeUsernames`)
     let assigneeUsername: String?
 
+    /// Usernames assigned to handle the bug
+    let assigneeUsernames: [String]
+
+    /// Usernames kept informed about the bug without being assigned
+    let watcherUsernames: [String]
+
     /// External issue tracker number associated with the bug
     let issueNumber: Int?
 
+    /// How the report attaches to `issueNumber`: "child" (a new task) or "comment"
+    let issueRelation: String?
+
     /// GitLab project path or identifier associated with this submission
     let gitLabProject: String?
 
@@ -78,6 +90,7 @@ struct BugReport: Codable {
     /// Mode used for bug reporting: "llm" or "manual"
     let mode: String
     /// Manual-mode fields entered by user when manual reporting is selected
+    let manualTitle: String?
     let manualWhat: String?
     let manualSteps: String?
     let manualExpected: String?
@@ -85,6 +98,7 @@ struct BugReport: Codable {
     init(
         description: String,
         priority: String,
+        labels: [String] = [],
         userActions: [UserAction],
         deviceInfo: DeviceInfo,
         appInfo: AppInfo,
@@ -97,10 +111,14 @@ struct BugReport: Codable {
         mediaAttachments: [MediaAttachment] = [],
         gitLabProject: String? = nil,
         assigneeUsername: String? = nil,
+        assigneeUsernames: [String] = [],
+        watcherUsernames: [String] = [],
         issueNumber: Int? = nil,
+        issueRelation: String? = nil,
         whtype: String = "report_issue",
         gitLabCredentials: GitLabCredentials? = nil,
         mode: String = "llm",
+        manualTitle: String? = nil,
         manualWhat: String? = nil,
         manualSteps: String? = nil,
         manualExpected: String? = nil
@@ -109,6 +127,7 @@ struct BugReport: Codable {
         self.timestamp = Date()
         self.description = description
         self.priority = priority
+        self.labels = labels
         self.userActions = userActions
         self.deviceInfo = deviceInfo
         self.appInfo = appInfo
@@ -120,11 +139,16 @@ struct BugReport: Codable {
         self.memoryInfo = memoryInfo
         self.mediaAttachments = mediaAttachments
         self.gitLabProject = gitLabProject
-        self.assigneeUsername = assigneeUsername
+        let resolvedAssignees = assigneeUsernames.isEmpty ? (assigneeUsername.map { [$0] } ?? []) : assigneeUsernames
+        self.assigneeUsername = resolvedAssignees.first
+        self.assigneeUsernames = resolvedAssignees
+        self.watcherUsernames = watcherUsernames.filter { !resolvedAssignees.contains($0) }
         self.issueNumber = issueNumber
+        self.issueRelation = issueNumber == nil ? nil : issueRelation
         self.whtype = whtype
         self.gitLabCredentials = gitLabCredentials
         self.mode = mode
+        self.manualTitle = manualTitle
         self.manualWhat = manualWhat
         self.manualSteps = manualSteps
         self.manualExpected = manualExpected
@@ -144,6 +168,14 @@ struct DeviceInfo: Codable {
     let diskSpace: DiskSpaceInfo
     let locale: String
     let timezone: String
+
+    /// Groups the reporter chose to leave out of the submitted report; never encoded itself
+    private(set) var excludedFields: Set<EnvironmentField> = []
+
+    private enum CodingKeys: String, CodingKey {
+        case deviceModel, systemName, systemVersion, screenSize, screenScale, deviceOrientation
+        case batteryLevel, batteryState, diskSpace, locale, timezone
+    }
     
     init() {
         let device = UIDevice.current
@@ -164,6 +196,39 @@ struct DeviceInfo: Codable {
         self.locale = Locale.current.identifier
         self.timezone = TimeZone.current.identifier
     }
+
+    func excluding(_ fields: Set<EnvironmentField>) -> DeviceInfo {
+        var copy = self
+        copy.excludedFields = fields
+        return copy
+    }
+
+    func encode(to encoder: Encoder) throws {
+        var container = encoder.container(keyedBy: CodingKeys.self)
+        if !excludedFields.contains(.device) {
+            try container.encode(deviceModel, forKey: .deviceModel)
+        }
+        if !excludedFields.contains(.os) {
+            try container.encode(systemName, forKey: .systemName)
+            try container.encode(systemVersion, forKey: .systemVersion)
+        }
+        if !excludedFields.contains(.screen) {
+            try container.encode(screenSize, forKey: .screenSize)
+            try container.encode(screenScale, forKey: .screenScale)
+            try container.encode(deviceOrientation, forKey: .deviceOrientation)
+        }
+        if !excludedFields.contains(.battery) {
+            try container.encode(batteryLevel, forKey: .batteryLevel)
+            try container.encode(batteryState, forKey: .batteryState)
+        }
+        if !excludedFields.contains(.disk) {
+            try container.encode(diskSpace, forKey: .diskSpace)
+        }
+        if !excludedFields.contains(.locale) {
+            try container.encode(locale, forKey: .locale)
+            try container.encode(timezone, forKey: .timezone)
+        }
+    }
     
     private static func deviceModel() -> String {
         var systemInfo = utsname()
@@ -204,6 +269,13 @@ struct AppInfo: Codable {
     let version: String
     let buildNumber: String
     let appName: String
+
+    /// Groups the reporter chose to leave out of the submitted report; never encoded itself
+    private(set) var excludedFields: Set<EnvironmentField> = []
+
+    private enum CodingKeys: String, CodingKey {
+        case bundleIdentifier, version, buildNumber, appName
+    }
     
     init() {
         let bundle = Bundle.main
@@ -213,6 +285,24 @@ struct AppInfo: Codable {
         self.appName = bundle.infoDictionary?["CFBundleDisplayName"] as? String ?? 
                       bundle.infoDictionary?["CFBundleName"] as? String ?? "unknown"
     }
+
+    func excluding(_ fields: Set<EnvironmentField>) -> AppInfo {
+        var copy = self
+        copy.excludedFields = fields
+        return copy
+    }
+
+    func encode(to encoder: Encoder) throws {
+        var container = encoder.container(keyedBy: CodingKeys.self)
+        if !excludedFields.contains(.app) {
+            try container.encode(bundleIdentifier, forKey: .bundleIdentifier)
+            try container.encode(appName, forKey: .appName)
+        }
+        if !excludedFields.contains(.appVersion) {
+            try container.encode(version, forKey: .version)
+            try container.encode(buildNumber, forKey: .buildNumber)
+        }
+    }
 }
 
 /// Disk space information
@@ -0,0 +1,59 @@
+//
+//  BugReportFormSnapshot.swift
+//  QCBugPlugin
+//
+//  Copyright © 2025 VietUnion. All rights reserved.
+//
+
+import Foundation
+
+/// The whole web form in the shape `hydrate(snapshot)` takes and `getSnapshot()` returns.
+/// Bump `currentSchemaVersion` together with SNAPSHOT_SCHEMA_VERSION in bug_report.js when a key
+/// changes meaning.
+struct BugReportFormSnapshot: Encodable {
+    static let currentSchemaVersion = 1
+
+    struct Validation: Encodable {
+        let requirePriority: Bool
+        let requireAssignee: Bool
+    }
+
+    let schemaVersion = BugReportFormSnapshot.currentSchemaVersion
+    let locale: String
+    let theme: BugReportWebTheme?
+    let validation: Validation
+    /// `llm` or `manual`
+    let mode: String
+    let description: String
+    let manualTitle: String
+    let manualWhat: String
+    let manualSteps: String
+    let manualExpected: String
+    let webhookURL: String
+    let assignees: [String]
+    let watchers: [String]
+    let labelGroups: [String]
+    let labels: [String]
+    let priority: String
+    /// Digits only, empty when the report has no parent issue
+    let issueNumber: String
+    /// `child` or `comment`
+    let issueRelation: String
+    /// Last screen the user visited, used to narrow the duplicate search
+    let currentScreen: String?
+    let reportTemplates: [BugReportTemplate]
+    let environment: BugReportWebEnvironment
+    let redactionRules: [QCRedactionRule]
+    let media: [BugReportWebMedia]
+}
+
+/// What the form shows for an attachment; the capture time is in milliseconds since 1970
+struct BugReportWebMedia: Encodable {
+    let type: String
+    let fileURL: String
+    let fileName: String
+    let timestamp: Double
+    let fileSize: Int64?
+    let duration: Double?
+    let caption: String?
+}
@@ -0,0 +1,42 @@
+//
+//  BugReportTemplate.swift
+//  QCBugPlugin
+//
+//  Copyright © 2025 VietUnion. All rights reserved.
+//
+
+import Foundation
+
+/// A starting point for manual reports, offered in the form's template picker
+public struct BugReportTemplate: Codable {
+    public let id: String
+    public let name: String
+    public let title: String?
+    public let what: String
+    public let steps: String
+    public let expected: String
+    /// Scoped priority label (e.g. `priority::high`) preset when the template is chosen
+    public let priority: String?
+    /// Labels added to the selection when the template is chosen
+    public let labels: [String]
+
+    public init(
+        id: String,
+        name: String,
+        title: String? = nil,
+        what: String = "",
+        steps: String = "",
+        expected: String = "",
+        priority: String? = nil,
+        labels: [String] = []
+    ) {
+        self.id = id
+        self.name = name
+        self.title = title
+        self.what = what
+        self.steps = steps
+        self.expected = expected
+        self.priority = priority
+        self.labels = labels
+    }
+}
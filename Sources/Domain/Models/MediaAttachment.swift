@@ -25,12 +25,49 @@ struct MediaAttachment: Codable {
     /// File size in bytes
     let fileSize: Int64?
 
-    init(type: MediaType, fileURL: URL, fileSize: Int64? = nil) {
+    /// Optional caption entered by the reporter in the bug report form
+    var caption: String?
+
+    init(type: MediaType, fileURL: URL, fileSize: Int64? = nil, caption: String? = nil) {
         self.type = type
         self.fileURL = fileURL.absoluteString
         self.fileName = fileURL.lastPathComponent
         self.timestamp = Date()
         self.fileSize = fileSize
+        self.caption = caption
+    }
+
+    /// MIME type for uploads; files attached from the form are typed by their extension
+    var mimeType: String {
+        guard type == .other else { return type.mimeType }
+        switch (fileName as NSString).pathExtension.lowercased() {
+        case "txt", "log":
+            return "text/plain"
+        case "json", "har":
+            return "application/json"
+        case "xml", "plist":
+            return "application/xml"
+        case "csv":
+            return "text/csv"
+        case "md":
+            return "text/markdown"
+        case "yaml", "yml":
+            return "application/yaml"
+        case "pdf":
+            return "application/pdf"
+        case "png":
+            return "image/png"
+        case "jpg", "jpeg":
+            return "image/jpeg"
+        case "gif":
+            return "image/gif"
+        case "heic":
+            return "image/heic"
+        case "zip":
+            return "application/zip"
+        default:
+            return type.mimeType
+        }
     }
 }
 
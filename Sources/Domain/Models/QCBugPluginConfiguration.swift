@@ -18,6 +18,26 @@ public struct QCBugPluginConfig {
     public let gitLabAppConfig: GitLabAppConfig?
     public let enableCrashReporting: Bool
     public let team: String
+    /// Scoped label prefixes (e.g. `severity` for `severity::high`) offered as single-select pickers.
+    /// Unscoped labels are always offered in a separate multi-select.
+    public let labelGroups: [String]
+
+    /// Require a `priority::` label before the report can be submitted
+    public let requiresPriority: Bool
+    /// Require at least one assignee before the report can be submitted
+    public let requiresAssignee: Bool
+    /// Templates offered in the form's template picker, alongside any returned by the webhook
+    public let reportTemplates: [BugReportTemplate]
+    /// Accent color, corner radius and font for the report form
+    public let theme: QCBugReportTheme?
+    /// Custom patterns the form's privacy check flags alongside emails, phone and card numbers
+    public let redactionRules: [QCRedactionRule]
+    /// Send a report's attachments one request at a time to the webhook's `/upload` endpoint
+    /// instead of inline in `attachments`, so the form can show progress with cancel and retry.
+    /// Only enable it for webhooks that accept those uploads.
+    public let uploadsAttachmentsSeparately: Bool
+
+    public static let defaultLabelGroups = ["priority", "severity", "type", "component"]
 
     public init(
         webhookURL: String,
@@ -27,7 +47,14 @@ public struct QCBugPluginConfig {
         enableFloatingButton: Bool = false,
         gitLabAppConfig: GitLabAppConfig? = nil,
         enableCrashReporting: Bool = true,
-        team: String = "ios"
+        team: String = "ios",
+        labelGroups: [String] = QCBugPluginConfig.defaultLabelGroups,
+        requiresPriority: Bool = false,
+        requiresAssignee: Bool = false,
+        reportTemplates: [BugReportTemplate] = [],
+        theme: QCBugReportTheme? = nil,
+        redactionRules: [QCRedactionRule] = [],
+        uploadsAttachmentsSeparately: Bool = false
     ) {
         self.webhookURL = webhookURL
         self.apiKey = apiKey
@@ -37,5 +64,12 @@ public struct QCBugPluginConfig {
         self.gitLabAppConfig = gitLabAppConfig
         self.enableCrashReporting = enableCrashReporting
         self.team = team
+        self.labelGroups = labelGroups
+        self.requiresPriority = requiresPriority
+        self.requiresAssignee = requiresAssignee
+        self.reportTemplates = reportTemplates
+        self.theme = theme
+        self.redactionRules = redactionRules
+        self.uploadsAttachmentsSeparately = uploadsAttachmentsSeparately
     }
 }
@@ -0,0 +1,63 @@
+//
+//  QCBugReportTheme.swift
+//  QCBugPlugin
+//
+//  Copyright © 2025 VietUnion. All rights reserved.
+//
+
+import UIKit
+
+/// Host-app styling applied to the bug report form. Unset values keep the form's stock look,
+/// which already follows the system light/dark appearance.
+public struct QCBugReportTheme {
+    /// Tint for buttons, links and selections. Dynamic colors are resolved separately for light and dark mode.
+    public let accentColor: UIColor?
+    /// Corner radius, in points, for fields, cards and buttons
+    public let cornerRadius: CGFloat?
+    /// CSS font family for the form text, e.g. `"Avenir Next"`
+    public let fontFamily: String?
+
+    public init(accentColor: UIColor? = nil, cornerRadius: CGFloat? = nil, fontFamily: String? = nil) {
+        self.accentColor = accentColor
+        self.cornerRadius = cornerRadius
+        self.fontFamily = fontFamily
+    }
+}
+
+/// The `setTheme(...)` argument for the web form
+struct BugReportWebTheme: Encodable {
+    let accentColor: String?
+    let accentColorDark: String?
+    let cornerRadius: Double?
+    let fontFamily: String?
+
+    init(theme: QCBugReportTheme) {
+        if let color = theme.accentColor {
+            if #available(iOS 13.0, *) {
+                accentColor = Self.hexString(for: color.resolvedColor(with: UITraitCollection(userInterfaceStyle: .light)))
+                accentColorDark = Self.hexString(for: color.resolvedColor(with: UITraitCollection(userInterfaceStyle: .dark)))
+            } else {
+                accentColor = Self.hexString(for: color)
+                accentColorDark = nil
+            }
+        } else {
+            accentColor = nil
+            accentColorDark = nil
+        }
+        cornerRadius = theme.cornerRadius.map(Double.init)
+        fontFamily = theme.fontFamily
+    }
+
+    private static func hexString(for color: UIColor) -> String? {
+        var red: CGFloat = 0
+        var green: CGFloat = 0
+        var blue: CGFloat = 0
+        var alpha: CGFloat = 0
+        guard color.getRed(&red, green: &green, blue: &blue, alpha: &alpha) else { return nil }
+
+        func component(_ value: CGFloat) -> Int {
+            return Int((min(max(value, 0), 1) * 255).rounded())
+        }
+        return String(format: "#%02X%02X%02X", component(red), component(green), component(blue))
+    }
+}
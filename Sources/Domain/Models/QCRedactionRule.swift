@@ -0,0 +1,27 @@
+//
+//  QCRedactionRule.swift
+//  QCBugPlugin
+//
+//  Copyright © 2025 VietUnion. All rights reserved.
+//
+
+import Foundation
+
+/// An extra pattern for the form's privacy check, e.g. internal account IDs.
+/// Emails, phone numbers and card numbers are always detected.
+public struct QCRedactionRule: Encodable {
+    /// Shown to the reporter next to each match, e.g. `"Account ID"`
+    public let name: String
+    /// JavaScript regular expression source, e.g. `"ACC-\\d{6}"`
+    public let pattern: String
+    /// Text that replaces a masked match; defaults to `[name]`
+    public let replacement: String?
+    public let caseInsensitive: Bool
+
+    public init(name: String, pattern: String, replacement: String? = nil, caseInsensitive: Bool = false) {
+        self.name = name
+        self.pattern = pattern
+        self.replacement = replacement
+        self.caseInsensitive = caseInsensitive
+    }
+}
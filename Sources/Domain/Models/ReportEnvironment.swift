@@ -0,0 +1,36 @@
+//
+//  ReportEnvironment.swift
+//  QCBugPlugin
+//
+//  Copyright © 2025 VietUnion. All rights reserved.
+//
+
+import Foundation
+
+/// Rows of the form's Environment panel that the reporter can leave out of the report.
+/// Custom data entries are toggled individually as `custom.<key>`.
+enum EnvironmentField: String, Codable, CaseIterable {
+    case device
+    case os
+    case screen
+    case app
+    case appVersion
+    case battery
+    case disk
+    case memory
+    case network
+    case locale
+
+    static let customDataPrefix = "custom."
+}
+
+/// The `setEnvironment(...)` argument for the web form: what the report will contain,
+/// plus the rows already excluded in this session
+struct BugReportWebEnvironment: Encodable {
+    let deviceInfo: DeviceInfo
+    let appInfo: AppInfo
+    let networkInfo: NetworkInfo
+    let memoryInfo: MemoryInfo
+    let customData: [String: String]
+    let excludedFields: [String]
+}
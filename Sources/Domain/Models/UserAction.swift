@@ -27,13 +27,13 @@ struct UserAction: Codable {
     let viewControllerClass: String
     
     /// Information about the UI element (if applicable)
-    let elementInfo: ElementInfo?
+    private(set) var elementInfo: ElementInfo?
     
     /// Coordinates where the action occurred (if applicable)
     let coordinates: CGPoint?
     
     /// Additional context data
-    let metadata: [String: String]?
+    private(set) var metadata: [String: String]?
     
     init(
         actionType: ActionType,
@@ -52,6 +52,14 @@ struct UserAction: Codable {
         self.coordinates = coordinates
         self.metadata = metadata
     }
+
+    /// A copy whose element texts and metadata were masked by the reporter, keeping id and timestamp
+    func redacted(elementInfo: ElementInfo?, metadata: [String: String]?) -> UserAction {
+        var copy = self
+        copy.elementInfo = elementInfo
+        copy.metadata = metadata
+        return copy
+    }
 }
 
 /// Types of user actions that can be tracked
@@ -21,6 +21,32 @@ protocol BugReportProtocol: AnyObject {
     ///   - reportId: Associated report ID
     /// - Returns: Result with file ID or error
     func uploadFile(_ fileURL: URL, for reportId: String, completion: @escaping (Result<String, BugReportError>) -> Void)
+
+    /// Submit a bug report, then compress and upload its attachments one at a time
+    /// - Parameters:
+    ///   - report: The bug report to submit; its attachments go to the upload endpoint
+    ///   - progress: Called on the main queue whenever an attachment changes phase or percentage
+    ///   - completion: Called once the report is posted and every attachment is done or cancelled.
+    ///     A failed attachment holds it until a retry succeeds or the attachment is cancelled.
+    /// - Returns: Handle to cancel or retry single attachments
+    @discardableResult
+    func submitBugReport(
+        _ report: BugReport,
+        progress: @escaping (AttachmentUploadProgress) -> Void,
+        completion: @escaping (Result<String, BugReportError>) -> Void
+    ) -> BugReportSubmissionHandle
+}
+
+/// Controls the attachment uploads of a submitted report
+protocol BugReportSubmissionHandle: AnyObject {
+    /// Stops one attachment; the report goes ahead without it
+    func cancelAttachment(withFileURL fileURL: String)
+
+    /// Queues a failed or cancelled attachment again
+    func retryAttachment(withFileURL fileURL: String)
+
+    /// Stops every attachment that has not finished uploading
+    func cancel()
 }
 
 /// Bug report specific errors
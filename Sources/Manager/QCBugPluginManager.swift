@@ -56,9 +56,12 @@ final class QCBugPluginManager: NSObject {
     private var sessionBugReportViewController: QCBugReportViewController?
     private var sessionBugDescription: String = ""
     private var sessionBugPriority: String = ""
+    private var sessionBugLabels: [String] = []
     private var sessionWebhookURL: String?
-    private var sessionAssigneeUsername: String?
+    private var sessionAssigneeUsernames: [String] = []
+    private var sessionWatcherUsernames: [String] = []
     private var sessionIssueNumber: Int?
+    private var sessionIssueRelation: String = "child"
     private var pendingScreenshotCompletion: ((Result<URL, Error>) -> Void)?
     private var pendingScreenshotOriginalURL: URL?
     private var pendingRecordingURL: URL?
@@ -70,6 +73,7 @@ final class QCBugPluginManager: NSObject {
     private var activePreviewMode: AttachmentPreviewMode = .none
     private var submissionTimeoutWorkItem: DispatchWorkItem?
     private weak var recordingPreviewPresenter: UIViewController?
+    private static let draftSessionIDDefaultsKey = "com.qcbugplugin.draft.sessionID"
 
     // MARK: - Testing helpers
     /// Test helper to directly invoke confirmation flow (fallback path)
@@ -97,6 +101,25 @@ final class QCBugPluginManager: NSObject {
         return configuration?.webhookURL ?? ""
     }
 
+    /// Identifier of the current report session, persisted so the web form can find its
+    /// autosaved draft after the app (or the web content process) has been killed.
+    private func currentDraftSessionID() -> String {
+        let defaults = UserDefaults.standard
+        if let existing = defaults.string(forKey: Self.draftSessionIDDefaultsKey), !existing.isEmpty {
+            return existing
+        }
+        let sessionID = UUID().uuidString
+        defaults.set(sessionID, forKey: Self.draftSessionIDDefaultsKey)
+        return sessionID
+    }
+
+    /// Starts a new report session and tells the presented form to drop the previous draft
+    private func rotateDraftSession() {
+        UserDefaults.standard.removeObject(forKey: Self.draftSessionIDDefaultsKey)
+        let sessionID = currentDraftSessionID()
+        sessionBugReportViewController?.updateDraftSession(sessionID, clearingCurrentDraft: true)
+    }
+
     private func refreshBugReportService() {
         let webhook = resolvedWebhookURL()
         guard !webhook.isEmpty else {
@@ -128,8 +151,10 @@ final class QCBugPluginManager: NSObject {
         self.hostWindow = window
         self.configuration = config
         self.sessionWebhookURL = nil
-        self.sessionAssigneeUsername = nil
+        self.sessionAssigneeUsernames = []
+        self.sessionWatcherUsernames = []
         self.sessionIssueNumber = nil
+        self.sessionIssueRelation = "child"
 
         // Initialize services
         if config.isScreenRecordingEnabled {
@@ -212,6 +237,7 @@ final class QCBugPluginManager: NSObject {
                     gitLabAuthProvider: self.gitLabAuthService
                 )
                 bugReportVC.delegate = self
+                bugReportVC.draftSessionID = self.currentDraftSessionID()
                 self.sessionBugReportViewController = bugReportVC
                 
                 // Add all session media attachments
@@ -224,9 +250,12 @@ final class QCBugPluginManager: NSObject {
             bugReportVC.restoreSessionState(
                 description: self.sessionBugDescription,
                 priority: self.sessionBugPriority,
+                labels: self.sessionBugLabels,
                 webhookURL: self.resolvedWebhookURL(),
-                assigneeUsername: self.sessionAssigneeUsername,
-                issueNumber: self.sessionIssueNumber
+                assigneeUsernames: self.sessionAssigneeUsernames,
+                watcherUsernames: self.sessionWatcherUsernames,
+                issueNumber: self.sessionIssueNumber,
+                issueRelation: self.sessionIssueRelation
             )
 
             // Hide floating UI (both buttons and overlay window) while bug report is presented
@@ -1127,7 +1156,7 @@ final class QCBugPluginManager: NSObject {
         let count = sessionMediaAttachments.count
         sessionMediaAttachments.forEach { attachment in
             if let url = URL(string: attachment.fileURL), url.isFileURL {
-                try? FileManager.default.removeItem(at: url)
+                removeMediaFile(at: url)
             }
         }
         sessionMediaAttachments.removeAll()
@@ -1135,18 +1164,25 @@ final class QCBugPluginManager: NSObject {
         // Clear session UI state
         sessionBugDescription = ""
         sessionBugPriority = ""
+        sessionBugLabels = []
         sessionWebhookURL = nil
-        sessionAssigneeUsername = nil
+        sessionAssigneeUsernames = []
+        sessionWatcherUsernames = []
         sessionIssueNumber = nil
+        sessionIssueRelation = "child"
 
         DispatchQueue.main.async {
+            self.rotateDraftSession()
             self.sessionBugReportViewController?.clearMediaAttachments()
             self.sessionBugReportViewController?.restoreSessionState(
                 description: "",
                 priority: "",
+                labels: [],
                 webhookURL: self.resolvedWebhookURL(),
-                assigneeUsername: nil,
-                issueNumber: nil
+                assigneeUsernames: [],
+                watcherUsernames: [],
+                issueNumber: nil,
+                issueRelation: "child"
             )
         }
 
@@ -1165,6 +1201,61 @@ final class QCBugPluginManager: NSObject {
         _ = removeSessionMedia(withFileURL: fileURL, updatePresentedView: true)
     }
 
+    /// Store a file attached from the bug report form and add it to the session as an `.other` attachment.
+    /// Each file gets its own folder so its original name can be kept.
+    func addFileAttachment(named fileName: String, data: Data, completion: @escaping (Result<MediaAttachment, Error>) -> Void) {
+        DispatchQueue.global(qos: .userInitiated).async {
+            let safeName = fileName
+                .components(separatedBy: CharacterSet(charactersIn: "/\\:"))
+                .joined(separator: "_")
+                .trimmingCharacters(in: CharacterSet(charactersIn: ". "))
+            let folderURL = Self.fileAttachmentsDirectory.appendingPathComponent(UUID().uuidString, isDirectory: true)
+            let fileURL = folderURL.appendingPathComponent(safeName.isEmpty ? "attachment" : safeName)
+
+            let result: Result<MediaAttachment, Error>
+            do {
+                try FileManager.default.createDirectory(at: folderURL, withIntermediateDirectories: true, attributes: nil)
+                try data.write(to: fileURL, options: .atomic)
+                result = .success(MediaAttachment(type: .other, fileURL: fileURL, fileSize: Int64(data.count)))
+            } catch {
+                result = .failure(error)
+            }
+
+            DispatchQueue.main.async {
+                if case .success(let attachment) = result {
+                    self.sessionMediaAttachments.append(attachment)
+                    self.sessionBugReportViewController?.addMediaAttachment(attachment)
+                    print("📎 QCBugPlugin: Attached file from form - \(attachment.fileName)")
+                }
+                completion(result)
+            }
+        }
+    }
+
+    private static var fileAttachmentsDirectory: URL {
+        let documentsPath = FileManager.default.urls(for: .documentDirectory, in: .userDomainMask)[0]
+        return documentsPath.appendingPathComponent("QCBugPlugin/Attachments", isDirectory: true)
+    }
+
+    /// Deletes a media file, along with its folder when it was attached from the form
+    private func removeMediaFile(at url: URL) {
+        let folderURL = url.deletingLastPathComponent()
+        if folderURL.deletingLastPathComponent().standardizedFileURL == Self.fileAttachmentsDirectory.standardizedFileURL {
+            try? FileManager.default.removeItem(at: folderURL)
+        } else {
+            try? FileManager.default.removeItem(at: url)
+        }
+    }
+
+    /// Mirror caption and order edits made in the bug report form onto the session media
+    func updateSessionMedia(_ attachments: [MediaAttachment]) {
+        let sessionURLs = Set(sessionMediaAttachments.map { $0.fileURL })
+        let editedURLs = Set(attachments.map { $0.fileURL })
+        let edited = attachments.filter { sessionURLs.contains($0.fileURL) }
+        let untouched = sessionMediaAttachments.filter { !editedURLs.contains($0.fileURL) }
+        sessionMediaAttachments = edited + untouched
+    }
+
     /// Remove a specific media attachment from session by file URL
     @discardableResult
     func removeSessionMedia(withFileURL fileURL: String, updatePresentedView: Bool = true) -> Bool {
@@ -1174,7 +1265,7 @@ final class QCBugPluginManager: NSObject {
         let removed = sessionMediaAttachments.remove(at: index)
 
         if let url = URL(string: removed.fileURL), url.isFileURL {
-            try? FileManager.default.removeItem(at: url)
+            removeMediaFile(at: url)
         }
 
         if updatePresentedView {
@@ -1284,8 +1375,11 @@ extension QCBugPluginManager: QCBugReportViewControllerDelegate {
         // Capture session state before submission
         self.sessionBugDescription = report.description
         self.sessionBugPriority = report.priority
-        self.sessionAssigneeUsername = report.assigneeUsername
+        self.sessionBugLabels = report.labels
+        self.sessionAssigneeUsernames = report.assigneeUsernames
+        self.sessionWatcherUsernames = report.watcherUsernames
         self.sessionIssueNumber = report.issueNumber
+        self.sessionIssueRelation = report.issueRelation ?? "child"
         let userWebhookInput = controller.getSessionWebhookURL().trimmingCharacters(in: .whitespacesAndNewlines)
         if userWebhookInput.isEmpty || userWebhookInput == configuration?.webhookURL {
             self.sessionWebhookURL = nil
@@ -1311,6 +1405,11 @@ extension QCBugPluginManager: QCBugReportViewControllerDelegate {
             return
         }
 
+        if configuration?.uploadsAttachmentsSeparately == true, !report.mediaAttachments.isEmpty {
+            submitShowingUploadProgress(report, from: controller, using: bugReportService)
+            return
+        }
+
         floatingActionButtons?.showSubmissionProgress()
         submissionTimeoutWorkItem?.cancel()
         submissionTimeoutWorkItem = nil
@@ -1335,6 +1434,7 @@ extension QCBugPluginManager: QCBugReportViewControllerDelegate {
 
                 switch result {
                 case .success(let reportId):
+                    self.rotateDraftSession()
                     self.delegate?.bugPluginDidSubmitReport(reportId)
                     print("✅ QCBugPlugin: Bug report submitted successfully with ID: \(reportId)")
 
@@ -1360,12 +1460,59 @@ extension QCBugPluginManager: QCBugReportViewControllerDelegate {
         DispatchQueue.main.asyncAfter(deadline: .now() + submissionTimeout, execute: timeoutItem)
     }
     
+    /// With `uploadsAttachmentsSeparately`, reports with attachments keep the form open: it shows
+    /// each attachment compressing and uploading, with cancel and retry, and closes itself once
+    /// nothing is left to upload.
+    private func submitShowingUploadProgress(
+        _ report: BugReport,
+        from controller: QCBugReportViewController,
+        using bugReportService: BugReportProtocol
+    ) {
+        submissionTimeoutWorkItem?.cancel()
+        submissionTimeoutWorkItem = nil
+
+        let submission = bugReportService.submitBugReport(report, progress: { [weak controller] progress in
+            controller?.updateAttachmentProgress(progress)
+        }, completion: { [weak self, weak controller] result in
+            guard let self = self else { return }
+
+            switch result {
+            case .success(let reportId):
+                self.rotateDraftSession()
+                self.delegate?.bugPluginDidSubmitReport(reportId)
+                print("✅ QCBugPlugin: Bug report submitted successfully with ID: \(reportId)")
+
+            case .failure(let error):
+                self.delegate?.bugPluginDidFailToSubmitReport(error)
+                print("❌ QCBugPlugin: Failed to submit bug report: \(error.localizedDescription)")
+                // The open form shows the error itself
+                if controller == nil {
+                    self.showErrorAlert(message: "Failed to submit bug report: \(error.localizedDescription)")
+                }
+            }
+
+            controller?.finishSubmission(with: result)
+        })
+        controller.beginSubmission(submission)
+    }
+
+    func bugReportViewControllerDidFinishSubmission(_ controller: QCBugReportViewController) {
+        controller.dismiss(animated: true) { [weak self] in
+            // Show floating UI (both buttons and overlay window) after dismissal
+            self?.floatingActionButtons?.isHidden = false
+            self?.overlayWindow?.isHidden = false
+        }
+    }
+
     func bugReportViewControllerDidCancel(_ controller: QCBugReportViewController) {
         // Capture session state even on cancel so it can be restored later
         self.sessionBugDescription = controller.getSessionDescription()
         self.sessionBugPriority = controller.getSessionPriority()
-        self.sessionAssigneeUsername = controller.getSessionAssigneeUsername()
+        self.sessionBugLabels = controller.getSessionLabels()
+        self.sessionAssigneeUsernames = controller.getSessionAssigneeUsernames()
+        self.sessionWatcherUsernames = controller.getSessionWatcherUsernames()
         self.sessionIssueNumber = controller.getSessionIssueNumber()
+        self.sessionIssueRelation = controller.getSessionIssueRelation()
         let userWebhookInput = controller.getSessionWebhookURL().trimmingCharacters(in: .whitespacesAndNewlines)
         if userWebhookInput.isEmpty || userWebhookInput == configuration?.webhookURL {
             self.sessionWebhookURL = nil
@@ -0,0 +1,132 @@
+//
+//  QCBugReportViewController+Bridge.swift
+//  QCBugPlugin
+//
+//  Copyright © 2025 VietUnion. All rights reserved.
+//
+
+import Foundation
+
+/// Events native pushes to the web form. The raw value is the name `qcBridge.receive` dispatches on.
+enum BugReportBridgeEvent: String {
+    case gitLabAuthReady
+    case gitLabMembers
+    case labelsChanged
+    case actionHistory
+    case mediaAdded
+    case mediaDuration
+    case mediaCleared
+    case fileAttachmentFailed
+    case draftCleared
+    case draftSession
+    case llmSupportCheck
+    case submissionStatus
+    case attachmentProgress
+
+    /// Page global that handled the event before `window.qcBridge` existed, called with the same payload
+    var legacyFunctionName: String? {
+        switch self {
+        case .gitLabAuthReady: return "onGitLabAuthReady"
+        case .gitLabMembers: return "updateGitLabMembers"
+        case .labelsChanged: return "refetchLabels"
+        case .actionHistory: return "loadActionHistory"
+        case .mediaAdded: return "addMediaAttachment"
+        case .mediaDuration: return "setMediaDuration"
+        case .fileAttachmentFailed: return "fileAttachmentFailed"
+        case .draftCleared: return "clearDraft"
+        case .draftSession: return "setDraftSession"
+        case .mediaCleared, .llmSupportCheck, .submissionStatus, .attachmentProgress: return nil
+        }
+    }
+}
+
+/// Why native turned down a request from the form; becomes the page's `{ kind: 'bridge', code, message }`
+struct BugReportBridgeError: Encodable {
+    let code: String
+    let message: String
+
+    static func unsupportedAction(_ action: String) -> BugReportBridgeError {
+        return BugReportBridgeError(code: "unsupported_action", message: "Unknown action '\(action)'")
+    }
+}
+
+extension QCBugReportViewController {
+    /// Highest bridge protocol this host speaks. Version 1 is fire-and-forget `postMessage` plus
+    /// page globals; version 2 adds request ids with responses, `qcBridge` events and coalesced
+    /// text updates. Pages without `window.qcBridge` keep getting version 1 traffic.
+    static let bridgeProtocolVersion = 2
+
+    /// Tells the page which protocol this host speaks. Must run before anything else is injected
+    /// so the page's first requests already carry ids.
+    func negotiateBridgeProtocol() {
+        let script = """
+        (window.qcBridge && typeof window.qcBridge.receive === 'function')
+            ? window.qcBridge.receive({ type: 'hello', protocolVersion: \(Self.bridgeProtocolVersion) })
+            : 1
+        """
+        webView.evaluateJavaScript(script) { result, error in
+            if let error = error {
+                print("❌ QCBugPlugin: Failed to negotiate bridge protocol - \(error.localizedDescription)")
+            } else {
+                print("🔌 QCBugPlugin: Bridge protocol \((result as? NSNumber)?.intValue ?? 1)")
+            }
+        }
+    }
+
+    func bridgeEventScript(_ event: BugReportBridgeEvent, payload: String = "null") -> String {
+        let legacyCall = event.legacyFunctionName.map { name in
+            """
+             else if (typeof window.\(name) === 'function') {
+                window.\(name)(payload);
+            }
+            """
+        } ?? ""
+        return """
+        (function(payload) {
+            if (window.qcBridge && typeof window.qcBridge.receive === 'function') {
+                window.qcBridge.receive({ type: 'event', name: '\(event.rawValue)', payload: payload });
+            }\(legacyCall)
+        })(\(payload));
+        """
+    }
+
+    func sendBridgeEvent(_ event: BugReportBridgeEvent, payload: String = "null") {
+        webView.evaluateJavaScript(bridgeEventScript(event, payload: payload)) { _, error in
+            if let error = error {
+                print("❌ QCBugPlugin: Failed to send \(event.rawValue) to web view - \(error.localizedDescription)")
+            }
+        }
+    }
+
+    /// Settles the page's pending request. `result` is a JavaScript literal. Messages without a
+    /// request id come from protocol 1 pages and get no answer.
+    func replyToBridgeRequest(_ requestId: String?, result: String = "null", error: BugReportBridgeError? = nil) {
+        guard let requestId = requestId, isWebViewLoaded else { return }
+        let outcome = error.map { "ok: false, error: \(Self.javaScriptLiteral($0))" } ?? "ok: true, result: \(result)"
+        let script = """
+        if (window.qcBridge && typeof window.qcBridge.receive === 'function') {
+            window.qcBridge.receive({ type: 'response', requestId: \(Self.javaScriptLiteral(requestId)), \(outcome) });
+        }
+        """
+        webView.evaluateJavaScript(script)
+    }
+
+    /// Applies the text edits the page is still coalescing, so submitting or closing right after
+    /// typing keeps the last keystrokes. Protocol 1 pages post every edit immediately.
+    func applyPendingBridgeUpdates(then completion: @escaping () -> Void) {
+        guard isViewLoaded, isWebViewLoaded else {
+            completion()
+            return
+        }
+        let script = """
+        (window.qcBridge && typeof window.qcBridge.takePendingUpdates === 'function')
+            ? window.qcBridge.takePendingUpdates()
+            : []
+        """
+        webView.evaluateJavaScript(script) { [weak self] result, _ in
+            let messages = result as? [[String: Any]] ?? []
+            messages.forEach { self?.handleBridgeMessage($0) }
+            completion()
+        }
+    }
+}
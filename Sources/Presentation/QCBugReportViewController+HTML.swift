@@ -190,8 +190,8 @@ extension QCBugReportViewController {
         didInjectGitLabCredentials = true
         executeGitLabInjectionScript(script)
 
-        // Always refetch priorities when GitLab state changes
-        triggerPriorityRefetch()
+        // Always refetch labels when GitLab state changes
+        triggerLabelRefetch()
     }
 
     private func makeGitLabCredentialScript(
@@ -210,6 +210,7 @@ extension QCBugReportViewController {
         let isAuthenticatedValue = (!requiresLogin && token != nil) ? "true" : "false"
         let isLoadingValue = isLoading ? "true" : "false"
         let projectValue = gitLabProject.map { "'\(sanitizeForJavaScript($0))'" } ?? "null"
+        let authReadyScript = bridgeEventScript(.gitLabAuthReady, payload: "window.qcBugGitLab")
 
         return """
         (function() {
@@ -223,12 +224,10 @@ extension QCBugReportViewController {
             window.qcBugGitLab.requiresLogin = \(requiresLoginValue);
             window.qcBugGitLab.isAuthenticated = \(isAuthenticatedValue);
             window.qcBugGitLab.isLoading = \(isLoadingValue);
-            if (typeof window.onGitLabAuthReady === 'function') {
-                try {
-                    window.onGitLabAuthReady(window.qcBugGitLab);
-                } catch (callbackError) {
-                    console.error('onGitLabAuthReady failed', callbackError);
-                }
+            try {
+                \(authReadyScript)
+            } catch (callbackError) {
+                console.error('gitLabAuthReady failed', callbackError);
             }
         })();
         """
@@ -0,0 +1,68 @@
+//
+//  QCBugReportViewController+UploadProgress.swift
+//  QCBugPlugin
+//
+//  Copyright © 2025 VietUnion. All rights reserved.
+//
+
+import Foundation
+
+/// The submission as a whole; becomes the form's `submissionStatus` event
+struct BugReportSubmissionStatus: Encodable {
+    /// `sending`, `sent` or `failed`
+    let stage: String
+    let reportId: String?
+    let message: String?
+}
+
+extension QCBugReportViewController {
+    /// Keeps the form on screen while the report and its attachments upload. Submit stays
+    /// disabled; Cancel stops the remaining uploads.
+    func beginSubmission(_ submission: BugReportSubmissionHandle) {
+        self.submission = submission
+        submittedReportId = nil
+        attachmentUploadProgress = [:]
+        updateSubmitButtonState()
+        sendBridgeEvent(.submissionStatus, payload: Self.javaScriptLiteral(
+            BugReportSubmissionStatus(stage: "sending", reportId: nil, message: nil)
+        ))
+    }
+
+    func updateAttachmentProgress(_ progress: AttachmentUploadProgress) {
+        attachmentUploadProgress[progress.fileURL] = progress
+        sendBridgeEvent(.attachmentProgress, payload: Self.javaScriptLiteral(progress))
+        closeIfUploadsFinished()
+    }
+
+    /// Called once the report is posted and every attachment is done or cancelled, or when the report itself failed
+    func finishSubmission(with result: Result<String, BugReportError>) {
+        switch result {
+        case .success(let reportId):
+            submittedReportId = reportId
+            sendBridgeEvent(.submissionStatus, payload: Self.javaScriptLiteral(
+                BugReportSubmissionStatus(stage: "sent", reportId: reportId, message: nil)
+            ))
+            closeIfUploadsFinished()
+
+        case .failure(let error):
+            // Nothing was filed, so the form stays as it was for another try
+            submission = nil
+            wasExplicitlyDismissed = false
+            updateSubmitButtonState()
+            sendBridgeEvent(.submissionStatus, payload: Self.javaScriptLiteral(
+                BugReportSubmissionStatus(stage: "failed", reportId: nil, message: error.localizedDescription)
+            ))
+        }
+    }
+
+    /// Failed attachments keep the form open for a retry until the reporter cancels them
+    private func closeIfUploadsFinished() {
+        guard submittedReportId != nil,
+              !attachmentUploadProgress.values.contains(where: { $0.isInFlight || $0.phase == .failed }) else {
+            return
+        }
+        submission = nil
+        updateSubmitButtonState()
+        delegate?.bugReportViewControllerDidFinishSubmission(self)
+    }
+}
@@ -9,11 +9,14 @@
 import Foundation
 import UIKit
 import WebKit
+import AVFoundation
 
 /// Delegate protocol for bug report view controller
 protocol QCBugReportViewControllerDelegate: AnyObject {
     func bugReportViewController(_ controller: QCBugReportViewController, didSubmitReport report: BugReport)
     func bugReportViewControllerDidCancel(_ controller: QCBugReportViewController)
+    /// The submitted report and all of its attachments are through; the form can close
+    func bugReportViewControllerDidFinishSubmission(_ controller: QCBugReportViewController)
     func bugReportViewController(_ controller: QCBugReportViewController, requestNativePreviewFor url: URL)
 }
 
@@ -29,6 +32,8 @@ final class QCBugReportViewController: UIViewController {
     
     var webView: WKWebView!
     var mediaAttachments: [MediaAttachment] = []
+    /// Recording lengths by file URL, loaded off the main thread
+    private var recordingDurations: [String: Double] = [:]
     var isWebViewLoaded = false
     var gitLabAuthProvider: GitLabAuthProviding?
     var isFetchingGitLabCredentials = false
@@ -40,20 +45,41 @@ final class QCBugReportViewController: UIViewController {
     var shouldSubmitAfterGitLabLogin = false
 
     // Track if view controller was explicitly dismissed (via cancel/submit)
-    private var wasExplicitlyDismissed = false
+    var wasExplicitlyDismissed = false
     private var isPresentingChildController = false
 
     // Bug report data
     private var bugDescription = ""
     private var isManualMode: Bool = false
+    private var manualTitle: String = ""
     private var manualWhat: String = ""
     private var manualSteps: String = ""
     private var manualExpected: String = ""
     private var selectedPriority: String = ""
+    private var selectedLabels: [String] = []
     private var webhookURL: String
-    private var selectedAssigneeUsername: String?
+    private var selectedAssigneeUsernames: [String] = []
+    private var selectedWatcherUsernames: [String] = []
     private var issueNumber: Int?
+    private var issueRelation: String = "child"
+    /// Actions the reporter masked in the privacy check, by action id. Kept so a refreshed
+    /// history from the manager does not bring the original values back.
+    private var redactedActions: [String: UserAction] = [:]
+    /// Environment rows (`EnvironmentField` raw values or `custom.<key>`) left out of the report
+    private var excludedEnvironmentFields: [String] = []
+    /// Latest verdict posted by the web form's validation (`validationChanged`). Until the page
+    /// sends one (older pages never do), Submit falls back to the native required-field check.
+    private var isFormValid: Bool?
+    private var validationErrors: [String] = []
     var gitLabProject: String?
+
+    /// Identifier the web form uses to key its locally autosaved draft
+    var draftSessionID: String?
+
+    /// A submitted report whose attachments are still on their way, see +UploadProgress
+    var submission: BugReportSubmissionHandle?
+    var submittedReportId: String?
+    var attachmentUploadProgress: [String: AttachmentUploadProgress] = [:]
     
     // MARK: - Initialization
     
@@ -118,8 +144,7 @@ final class QCBugReportViewController: UIViewController {
 
         // Trigger LLM support check every time view appears (if WebView is loaded)
         if isWebViewLoaded {
-            let script = "if (typeof checkLLMSupport === 'function') { checkLLMSupport(); }"
-            webView.evaluateJavaScript(script)
+            sendBridgeEvent(.llmSupportCheck)
         }
     }
 
@@ -133,7 +158,10 @@ final class QCBugReportViewController: UIViewController {
         }
 
         if !wasExplicitlyDismissed {
-            delegate?.bugReportViewControllerDidCancel(self)
+            applyPendingBridgeUpdates { [weak self] in
+                guard let self = self else { return }
+                self.delegate?.bugReportViewControllerDidCancel(self)
+            }
         }
     }
 
@@ -142,7 +170,7 @@ final class QCBugReportViewController: UIViewController {
     private func setupUI() {
         // iOS 12 compatible background color
         if #available(iOS 13.0, *) {
-            view.backgroundColor = UIColor.systemBackground
+            view.backgroundColor = UIColor.systemGroupedBackground
         } else {
             view.backgroundColor = UIColor.white
         }
@@ -187,6 +215,10 @@ final class QCBugReportViewController: UIViewController {
         webView = WKWebView(frame: .zero, configuration: configuration)
         webView.navigationDelegate = self
         webView.translatesAutoresizingMaskIntoConstraints = false
+        // Let the view's background show until the page paints, so dark mode never flashes white
+        webView.isOpaque = false
+        webView.backgroundColor = .clear
+        webView.scrollView.backgroundColor = .clear
         
         view.addSubview(webView)
         
@@ -203,6 +235,9 @@ final class QCBugReportViewController: UIViewController {
         didInjectGitLabCredentials = false
         isFetchingGitLabCredentials = false
         pendingGitLabCredentialScript = nil
+        isFormValid = nil
+        validationErrors = []
+        updateSubmitButtonState()
         if let resource = bugReportHTMLResource() {
             webView.loadHTMLString(resource.html, baseURL: resource.baseURL)
         } else {
@@ -213,8 +248,16 @@ final class QCBugReportViewController: UIViewController {
     // MARK: - Actions
     
     @objc private func cancelTapped() {
+        // The report is already on its way; closing stops the attachments that have not uploaded
+        if let submission = submission {
+            submission.cancel()
+            return
+        }
         wasExplicitlyDismissed = true
-        delegate?.bugReportViewControllerDidCancel(self)
+        applyPendingBridgeUpdates { [weak self] in
+            guard let self = self else { return }
+            self.delegate?.bugReportViewControllerDidCancel(self)
+        }
     }
     
     @objc private func submitTapped() {
@@ -243,17 +286,20 @@ final class QCBugReportViewController: UIViewController {
             return
         }
 
-        let report = createBugReport()
         wasExplicitlyDismissed = true
-        delegate?.bugReportViewController(self, didSubmitReport: report)
+        applyPendingBridgeUpdates { [weak self] in
+            guard let self = self else { return }
+            self.delegate?.bugReportViewController(self, didSubmitReport: self.createBugReport())
+        }
     }
 
     // MARK: - Bug Report Creation
     
     private func createBugReport() -> BugReport {
-        let deviceInfo = DeviceInfo()
-        let appInfo = AppInfo()
-        let customData = configuration?.customData.compactMapValues { "\($0)" } ?? [:]
+        let excludedFields = Set(excludedEnvironmentFields.compactMap(EnvironmentField.init(rawValue:)))
+        let customData = reportCustomData.filter {
+            !excludedEnvironmentFields.contains(EnvironmentField.customDataPrefix + $0.key)
+        }
         let gitLabCredentials: GitLabCredentials? = {
             guard let token = gitLabJWT else { return nil }
             return GitLabCredentials(pat: token, project: gitLabProject)
@@ -262,25 +308,43 @@ final class QCBugReportViewController: UIViewController {
         return BugReport(
             description: bugDescription,
             priority: selectedPriority,
+            labels: labelsForSubmission(),
             userActions: actionHistory,
-            deviceInfo: deviceInfo,
-            appInfo: appInfo,
+            deviceInfo: DeviceInfo().excluding(excludedFields),
+            appInfo: AppInfo().excluding(excludedFields),
             customData: customData,
             currentScreen: getCurrentScreenName(),
-            networkInfo: NetworkInfo(),
-            memoryInfo: MemoryInfo(),
+            networkInfo: excludedFields.contains(.network) ? nil : NetworkInfo(),
+            memoryInfo: excludedFields.contains(.memory) ? nil : MemoryInfo(),
             mediaAttachments: mediaAttachments,
             gitLabProject: gitLabProject,
-            assigneeUsername: selectedAssigneeUsername,
+            assigneeUsernames: selectedAssigneeUsernames,
+            watcherUsernames: selectedWatcherUsernames,
             issueNumber: issueNumber,
+            issueRelation: issueNumber == nil ? nil : issueRelation,
             gitLabCredentials: gitLabCredentials,
             mode: isManualMode ? "manual" : "llm",
+            manualTitle: isManualMode ? Self.nonEmpty(manualTitle) : nil,
             manualWhat: isManualMode ? manualWhat : nil,
             manualSteps: isManualMode ? manualSteps : nil,
             manualExpected: isManualMode ? manualExpected : nil
         )
     }
 
+    private var reportCustomData: [String: String] {
+        return configuration?.customData.compactMapValues { "\($0)" } ?? [:]
+    }
+
+    /// The priority can be preset natively (e.g. for crash reports) without the web form
+    /// echoing the label list back, so make sure it is part of the submitted labels.
+    private func labelsForSubmission() -> [String] {
+        let priority = selectedPriority.trimmingCharacters(in: .whitespacesAndNewlines)
+        guard !priority.isEmpty, !selectedLabels.contains(priority) else {
+            return selectedLabels
+        }
+        return [priority] + selectedLabels
+    }
+
     private func requestGitLabAuthentication(triggeredBySubmit: Bool = false) {
         guard let provider = gitLabAuthProvider else {
             if triggeredBySubmit {
@@ -448,7 +512,7 @@ final class QCBugReportViewController: UIViewController {
                 case .success(let members):
                     print("✅ QCBugPlugin: Fetched \(members.count) GitLab members")
                     self.injectGitLabMembers(members)
-                    // Priority refetch is now handled automatically by emitGitLabState()
+                    // Label refetch is now handled automatically by emitGitLabState()
 
                 case .failure(let error):
                     print("❌ QCBugPlugin: Failed to fetch GitLab members: \(error.localizedDescription)")
@@ -457,57 +521,22 @@ final class QCBugReportViewController: UIViewController {
         }
     }
 
-    internal func triggerPriorityRefetch() {
-        let script = """
-        (function() {
-            if (typeof window.refetchPriorities === 'function') {
-                window.refetchPriorities();
-                console.log('✅ Triggered priority refetch');
-            } else {
-                console.warn('⚠️ window.refetchPriorities function not found');
-            }
-        })();
-        """
-
-        webView.evaluateJavaScript(script) { _, error in
-            if let error = error {
-                print("❌ QCBugPlugin: Failed to trigger priority refetch - \(error.localizedDescription)")
-            } else {
-                print("✅ QCBugPlugin: Triggered priority refetch")
-            }
-        }
+    internal func triggerLabelRefetch() {
+        sendBridgeEvent(.labelsChanged)
     }
 
     private func injectGitLabMembers(_ members: [GitLabMember]) {
         let usernames = members.map { $0.username }
-        let jsonData: [[String: String]] = members.map { member in
-            return ["username": member.username, "name": member.name]
-        }
 
-        guard let jsonString = try? JSONSerialization.data(withJSONObject: jsonData, options: []),
-              let escapedJSON = String(data: jsonString, encoding: .utf8) else {
+        // Encode the full member (avatar, state, access level) using the webhook's snake_case keys
+        guard let jsonData = try? JSONEncoder().encode(members),
+              let escapedJSON = String(data: jsonData, encoding: .utf8) else {
             print("❌ QCBugPlugin: Failed to serialize GitLab members")
             return
         }
 
-        let script = """
-        (function() {
-            if (typeof window.updateGitLabMembers === 'function') {
-                window.updateGitLabMembers(\(escapedJSON));
-                console.log('✅ Injected \(usernames.count) GitLab members');
-            } else {
-                console.warn('⚠️ window.updateGitLabMembers function not found');
-            }
-        })();
-        """
-
-        webView.evaluateJavaScript(script) { _, error in
-            if let error = error {
-                print("❌ QCBugPlugin: Failed to inject GitLab members - \(error.localizedDescription)")
-            } else {
-                print("✅ QCBugPlugin: Injected \(usernames.count) GitLab members into web view")
-            }
-        }
+        sendBridgeEvent(.gitLabMembers, payload: escapedJSON)
+        print("✅ QCBugPlugin: Injected \(usernames.count) GitLab members into web view")
     }
 
     // MARK: - Media Attachments
@@ -515,36 +544,108 @@ final class QCBugReportViewController: UIViewController {
     internal func addMediaAttachment(_ attachment: MediaAttachment) {
         mediaAttachments.append(attachment)
         guard isViewLoaded else { return }
-        let script = mediaAttachmentScript(for: attachment)
+        let payload = Self.javaScriptLiteral(webMedia(for: attachment))
         DispatchQueue.main.async { [weak self] in
             guard let self = self, self.isWebViewLoaded else { return }
-            self.webView.evaluateJavaScript(script)
+            self.sendBridgeEvent(.mediaAdded, payload: payload)
+            self.loadRecordingDuration(for: attachment)
         }
     }
 
     internal func removeMediaAttachment(withFileURL fileURL: String) {
         mediaAttachments.removeAll { $0.fileURL == fileURL }
     }
+
+    private func updateMediaCaption(_ caption: String?, forFileURL fileURL: String) {
+        guard let index = mediaAttachments.firstIndex(where: { $0.fileURL == fileURL }) else { return }
+        mediaAttachments[index].caption = caption
+        QCBugPluginManager.shared.updateSessionMedia(mediaAttachments)
+    }
+
+    /// Applies the masked element texts and metadata sent by the form's privacy check.
+    /// Only the text properties come from the page; class, tag and frame stay as recorded.
+    private func redactUserAction(_ data: [String: Any]) {
+        guard let id = data["id"] as? String,
+              let index = actionHistory.firstIndex(where: { $0.id == id }) else { return }
+        let action = actionHistory[index]
+        let maskedElement = data["elementInfo"] as? [String: Any]
+        let elementInfo = action.elementInfo.map { element in
+            ElementInfo(
+                accessibilityIdentifier: maskedElement?["accessibilityIdentifier"] as? String ?? element.accessibilityIdentifier,
+                accessibilityLabel: maskedElement?["accessibilityLabel"] as? String ?? element.accessibilityLabel,
+                className: element.className,
+                text: maskedElement?["text"] as? String ?? element.text,
+                tag: element.tag,
+                frame: element.frame
+            )
+        }
+        let metadata = (data["metadata"] as? [String: String]) ?? action.metadata
+        let redacted = action.redacted(elementInfo: elementInfo, metadata: metadata)
+        actionHistory[index] = redacted
+        redactedActions[id] = redacted
+    }
+
+    /// Largest file the form may attach; mirrors FILE_ATTACHMENT_MAX_BYTES in bug_report.js
+    private static let maxFileAttachmentBytes = 5 * 1024 * 1024
+
+    /// Stores a file the form attached. Answers the request once the file is stored; the
+    /// attachment itself reaches the page through the usual `mediaAdded` event first.
+    private func handleFileAttachment(_ data: [String: Any], requestId: String?) {
+        let fileName = data["fileName"] as? String ?? ""
+        guard let encoded = data["data"] as? String,
+              let fileData = Data(base64Encoded: encoded),
+              !fileData.isEmpty,
+              fileData.count <= Self.maxFileAttachmentBytes else {
+            rejectFileAttachment(named: fileName, requestId: requestId, reason: "File is empty or too large")
+            return
+        }
+        QCBugPluginManager.shared.addFileAttachment(named: fileName, data: fileData) { [weak self] result in
+            switch result {
+            case .success(let attachment):
+                self?.replyToBridgeRequest(requestId, result: "{ fileURL: \(Self.javaScriptLiteral(attachment.fileURL)) }")
+            case .failure(let error):
+                print("❌ QCBugPlugin: Failed to store attached file - \(error.localizedDescription)")
+                self?.rejectFileAttachment(named: fileName, requestId: requestId, reason: error.localizedDescription)
+            }
+        }
+    }
+
+    /// Lets the form drop its pending entry and show its own failure message
+    private func rejectFileAttachment(named fileName: String, requestId: String?, reason: String) {
+        if requestId != nil {
+            replyToBridgeRequest(requestId, error: BugReportBridgeError(code: "file_rejected", message: reason))
+        } else {
+            sendBridgeEvent(.fileAttachmentFailed, payload: Self.javaScriptLiteral(fileName))
+        }
+    }
+
+    /// Sorts the attachments into the order the form lists them; unknown URLs keep their place at the end
+    private func reorderMediaAttachments(byFileURLs fileURLs: [String]) {
+        var positions: [String: Int] = [:]
+        for (position, fileURL) in fileURLs.enumerated() where positions[fileURL] == nil {
+            positions[fileURL] = position
+        }
+        mediaAttachments = mediaAttachments.enumerated()
+            .sorted { lhs, rhs in
+                (positions[lhs.element.fileURL] ?? Int.max, lhs.offset) < (positions[rhs.element.fileURL] ?? Int.max, rhs.offset)
+            }
+            .map { $0.element }
+        QCBugPluginManager.shared.updateSessionMedia(mediaAttachments)
+    }
     
     internal func clearMediaAttachments() {
         mediaAttachments.removeAll()
         guard isViewLoaded else { return }
-        let script = """
-        if (typeof capturedMedia !== 'undefined' && Array.isArray(capturedMedia)) {
-            capturedMedia.splice(0, capturedMedia.length);
-            updateMediaList();
-        }
-        """
         DispatchQueue.main.async { [weak self] in
             guard let self = self, self.isWebViewLoaded else { return }
-            self.webView.evaluateJavaScript(script)
+            self.sendBridgeEvent(.mediaCleared)
         }
     }
     
     // MARK: - Session State Management
     
     internal func updateActionHistory(_ newHistory: [UserAction]) {
-        actionHistory = newHistory
+        actionHistory = newHistory.map { redactedActions[$0.id] ?? $0 }
         guard isViewLoaded else { return }
         DispatchQueue.main.async { [weak self] in
             guard let self = self, self.isWebViewLoaded else { return }
@@ -555,17 +656,23 @@ final class QCBugReportViewController: UIViewController {
     internal func restoreSessionState(
         description: String,
         priority: String,
+        labels: [String] = [],
         webhookURL: String? = nil,
-        assigneeUsername: String? = nil,
-        issueNumber: Int? = nil
+        assigneeUsernames: [String] = [],
+        watcherUsernames: [String] = [],
+        issueNumber: Int? = nil,
+        issueRelation: String = "child"
     ) {
         bugDescription = description
         selectedPriority = priority
+        selectedLabels = labels
         if let webhookURL = webhookURL {
             self.webhookURL = webhookURL
         }
-        selectedAssigneeUsername = assigneeUsername
+        selectedAssigneeUsernames = assigneeUsernames
+        selectedWatcherUsernames = watcherUsernames
         self.issueNumber = issueNumber
+        self.issueRelation = issueRelation
         guard isViewLoaded else { return }
         DispatchQueue.main.async { [weak self] in
             guard let self = self, self.isWebViewLoaded else { return }
@@ -581,29 +688,105 @@ final class QCBugReportViewController: UIViewController {
         return selectedPriority
     }
 
+    internal func getSessionLabels() -> [String] {
+        return selectedLabels
+    }
+
     internal func getSessionWebhookURL() -> String {
         return webhookURL
     }
 
-    internal func getSessionAssigneeUsername() -> String? {
-        return selectedAssigneeUsername
+    internal func getSessionAssigneeUsernames() -> [String] {
+        return selectedAssigneeUsernames
+    }
+
+    internal func getSessionWatcherUsernames() -> [String] {
+        return selectedWatcherUsernames
     }
 
     internal func getSessionIssueNumber() -> Int? {
         return issueNumber
     }
 
+    internal func getSessionIssueRelation() -> String {
+        return issueRelation
+    }
+
+    // MARK: - Draft Persistence
+
+    /// Points the web form's draft autosave at a new session. When `clearingCurrentDraft`
+    /// is true the draft saved under the previous session is removed first (e.g. after a
+    /// successful submission).
+    internal func updateDraftSession(_ sessionID: String, clearingCurrentDraft: Bool) {
+        draftSessionID = sessionID
+        guard isViewLoaded else { return }
+        DispatchQueue.main.async { [weak self] in
+            guard let self = self, self.isWebViewLoaded else { return }
+            if clearingCurrentDraft {
+                self.sendBridgeEvent(.draftCleared)
+            }
+            self.sendBridgeEvent(.draftSession, payload: Self.javaScriptLiteral(sessionID))
+        }
+    }
+
     internal static func normalizedGitLabProject(from value: String?) -> String? {
         guard let trimmed = value?.trimmingCharacters(in: .whitespacesAndNewlines), !trimmed.isEmpty else {
             return nil
         }
         return trimmed
     }
-    
+
+    /// Reads a `usernames` array posted by the web form, dropping blanks and duplicates
+    private static func usernames(from value: Any?) -> [String] {
+        let rawValues = value as? [Any] ?? []
+        var result: [String] = []
+        for case let username as String in rawValues {
+            let trimmed = username.trimmingCharacters(in: .whitespacesAndNewlines)
+            if !trimmed.isEmpty && !result.contains(trimmed) {
+                result.append(trimmed)
+            }
+        }
+        return result
+    }
+
+    /// Reads a `labels` array posted by the web form, keeping the order the user picked them in
+    private static func labelTitles(from value: Any?) -> [String] {
+        return usernames(from: value)
+    }
+
+    private static func nonEmpty(_ value: String) -> String? {
+        let trimmed = value.trimmingCharacters(in: .whitespacesAndNewlines)
+        return trimmed.isEmpty ? nil : trimmed
+    }
+
+    static func javaScriptArrayLiteral<Element: Encodable>(_ values: [Element]) -> String {
+        guard let data = try? JSONEncoder().encode(values),
+              let json = String(data: data, encoding: .utf8) else {
+            return "[]"
+        }
+        return json
+    }
+
+    /// JSON-encodes a single value (top-level fragments need iOS 13, so encode it inside an array)
+    static func javaScriptLiteral<Value: Encodable>(_ value: Value) -> String {
+        let arrayLiteral = javaScriptArrayLiteral([value])
+        guard arrayLiteral.count > 2 else { return "null" }
+        return String(arrayLiteral.dropFirst().dropLast())
+    }
+
     private func getCurrentScreenName() -> String? {
         return navigationController?.visibleViewController?.title ??
                navigationController?.visibleViewController?.navigationItem.title
     }
+
+    /// Screen hint for the duplicate search. The form itself is on screen now, so this prefers
+    /// the last screen the user visited; the submitted report keeps `getCurrentScreenName()`.
+    func duplicateSearchScreenName() -> String? {
+        if let screenView = actionHistory.last(where: { $0.actionType == .screenView }) {
+            return screenView.screenName
+        }
+        return getCurrentScreenName()
+    }
 }
 
 // MARK: - WKScriptMessageHandler
@@ -622,9 +805,16 @@ extension QCBugReportViewController: WKScriptMessageHandler {
     
     private func handleBugReportMessage(_ message: WKScriptMessage) {
         guard let data = message.body as? [String: Any] else { return }
-        
+        handleBridgeMessage(data)
+    }
+
+    /// Applies one message from the form. Messages with a `requestId` (bridge protocol 2) are
+    /// answered: with an error for unknown actions or bad input, otherwise once applied.
+    func handleBridgeMessage(_ data: [String: Any]) {
         let action = data["action"] as? String ?? ""
-        
+        let requestId = data["requestId"] as? String
+        var bridgeError: BugReportBridgeError?
+
         switch action {
         case "updateDescription":
             bugDescription = data["description"] as? String ?? ""
@@ -635,17 +825,18 @@ extension QCBugReportViewController: WKScriptMessageHandler {
                 selectedPriority = priorityString
             }
 
+        case "updateLabels":
+            selectedLabels = Self.labelTitles(from: data["labels"])
+
         case "updateWebhookURL":
             let value = (data["webhookURL"] as? String ?? "").trimmingCharacters(in: .whitespacesAndNewlines)
             webhookURL = value
 
-        case "updateAssignee":
-            if let username = data["username"] as? String {
-                let trimmed = username.trimmingCharacters(in: .whitespacesAndNewlines)
-                selectedAssigneeUsername = trimmed.isEmpty ? nil : trimmed
-            } else {
-                selectedAssigneeUsername = nil
-            }
+        case "updateAssignees":
+            selectedAssigneeUsernames = Self.usernames(from: data["usernames"])
+
+        case "updateWatchers":
+            selectedWatcherUsernames = Self.usernames(from: data["usernames"])
 
         case "updateIssueNumber":
             if let number = data["issueNumber"] as? Int {
@@ -654,9 +845,11 @@ extension QCBugReportViewController: WKScriptMessageHandler {
                 issueNumber = parsed >= 0 ? parsed : nil
             } else {
                 issueNumber = nil
-                updateSubmitButtonState()
             }
 
+        case "updateIssueRelation":
+            issueRelation = (data["relation"] as? String) == "comment" ? "comment" : "child"
+
         case "setMode":
                 if let mode = data["mode"] as? String {
                     let isManual = mode.lowercased() == "manual"
@@ -671,6 +864,9 @@ extension QCBugReportViewController: WKScriptMessageHandler {
                 }
                 updateSubmitButtonState()
 
+            case "updateManualTitle":
+                manualTitle = data["title"] as? String ?? ""
+
             case "updateManualWhat":
                 manualWhat = data["what"] as? String ?? ""
                 updateSubmitButtonState()
@@ -688,10 +884,52 @@ extension QCBugReportViewController: WKScriptMessageHandler {
                 QCBugPluginManager.shared.removeSessionMedia(withFileURL: fileURL, updatePresentedView: false)
             }
 
+        case "updateMediaCaption":
+            if let fileURL = data["fileURL"] as? String {
+                updateMediaCaption(Self.nonEmpty(data["caption"] as? String ?? ""), forFileURL: fileURL)
+            }
+
+        case "redactUserAction":
+            redactUserAction(data)
+
+        case "updateExcludedEnvironmentFields":
+            excludedEnvironmentFields = data["fields"] as? [String] ?? []
+
+        case "addFileAttachment":
+            // Answers on its own once the file is written
+            handleFileAttachment(data, requestId: requestId)
+            return
+
+        case "reorderMediaAttachments":
+            reorderMediaAttachments(byFileURLs: data["fileURLs"] as? [String] ?? [])
+
         case "previewAttachment":
             if let fileURLString = data["fileURL"] as? String,
                let url = URL(string: fileURLString) {
                 delegate?.bugReportViewController(self, requestNativePreviewFor: url)
+            } else {
+                bridgeError = BugReportBridgeError(code: "invalid_url", message: "Attachment has no valid file URL")
+            }
+
+        case "openExternalURL":
+            // Only web links (e.g. an existing GitLab issue) may leave the form
+            if let urlString = data["url"] as? String,
+               let url = URL(string: urlString),
+               let scheme = url.scheme?.lowercased(),
+               scheme == "http" || scheme == "https" {
+                delegate?.bugReportViewController(self, requestNativePreviewFor: url)
+            } else {
+                bridgeError = BugReportBridgeError(code: "invalid_url", message: "Only http and https links can be opened")
+            }
+
+        case "cancelAttachmentUpload":
+            if let fileURL = data["fileURL"] as? String {
+                submission?.cancelAttachment(withFileURL: fileURL)
+            }
+
+        case "retryAttachmentUpload":
+            if let fileURL = data["fileURL"] as? String {
+                submission?.retryAttachment(withFileURL: fileURL)
             }
 
         case "gitlabLogin":
@@ -700,27 +938,39 @@ extension QCBugReportViewController: WKScriptMessageHandler {
         case "gitlabLogout":
             performGitLabLogout()
 
+        case "validationChanged":
+            // The web form owns the validation rules; Submit only mirrors its verdict
+            isFormValid = data["isValid"] as? Bool ?? false
+            validationErrors = (data["errors"] as? [[String: Any]] ?? []).compactMap { $0["message"] as? String }
+            updateSubmitButtonState()
+
         case "logMessage":
             if let message = data["message"] as? String, !message.isEmpty {
                 print("🪵 QCBugPlugin WebView: \(message)")
             }
             
         default:
-            break
+            bridgeError = .unsupportedAction(action)
         }
+
+        replyToBridgeRequest(requestId, error: bridgeError)
     }
     
-    private func updateSubmitButtonState() {
-        let enabled: Bool
+    func updateSubmitButtonState() {
+        let isValid = isFormValid ?? hasRequiredFields
+        navigationItem.rightBarButtonItem?.isEnabled = isValid && submission == nil
+        navigationItem.rightBarButtonItem?.accessibilityHint = validationErrors.first
+    }
+
+    /// Native check used until the web form reports its own validation
+    private var hasRequiredFields: Bool {
         if isManualMode {
             let whatOk = !manualWhat.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty
             let stepsOk = !manualSteps.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty
             let expectedOk = !manualExpected.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty
-            enabled = whatOk && stepsOk && expectedOk
-        } else {
-            enabled = !bugDescription.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty
+            return whatOk && stepsOk && expectedOk
         }
-        navigationItem.rightBarButtonItem?.isEnabled = enabled
+        return !bugDescription.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty
     }
 }
 
@@ -730,15 +980,18 @@ extension QCBugReportViewController: WKNavigationDelegate {
     
     func webView(_ webView: WKWebView, didFinish navigation: WKNavigation!) {
         isWebViewLoaded = true
+        // Agree on the bridge protocol before the page sends or receives anything else
+        negotiateBridgeProtocol()
+
         // Inject action history data
         injectActionHistory()
         
-        // Inject media attachments
-        injectMediaAttachments()
-        
-        // Inject form state
+        // Render the form state, attachments included
         injectFormState()
 
+        // Start draft autosave (offers restore when a newer local draft exists)
+        injectDraftSession()
+
         // Resolve GitLab credentials for embedded UI when needed
         injectGitLabAccessTokenIfNeeded()
         executePendingGitLabInjectionScriptIfNeeded()
@@ -751,84 +1004,68 @@ extension QCBugReportViewController: WKNavigationDelegate {
             let jsonData = try encoder.encode(actionHistory)
             let jsonString = String(data: jsonData, encoding: .utf8) ?? "[]"
             
-            let script = "loadActionHistory(\(jsonString))"
-            webView.evaluateJavaScript(script)
+            sendBridgeEvent(.actionHistory, payload: jsonString)
         } catch {
             print("Failed to inject action history: \(error)")
         }
     }
     
-    private func injectMediaAttachments() {
-        guard !mediaAttachments.isEmpty else { return }
-        
-        for attachment in mediaAttachments {
-            let script = mediaAttachmentScript(for: attachment)
-            webView.evaluateJavaScript(script) { _, error in
-                if let error = error {
-                    print("Failed to inject media attachment: \(error)")
-                }
+    /// Renders the whole form from native state in one call. `hydrate` does not post the values
+    /// back, so nothing here round-trips through the message handler.
+    private func injectFormState() {
+        let snapshot = BugReportFormSnapshot(
+            locale: DeviceInfo().locale,
+            theme: configuration?.theme.map(BugReportWebTheme.init(theme:)),
+            validation: BugReportFormSnapshot.Validation(
+                requirePriority: configuration?.requiresPriority ?? false,
+                requireAssignee: configuration?.requiresAssignee ?? false
+            ),
+            mode: isManualMode ? "manual" : "llm",
+            description: bugDescription,
+            manualTitle: manualTitle,
+            manualWhat: manualWhat,
+            manualSteps: manualSteps,
+            manualExpected: manualExpected,
+            webhookURL: webhookURL,
+            assignees: selectedAssigneeUsernames,
+            watchers: selectedWatcherUsernames,
+            labelGroups: configuration?.labelGroups ?? QCBugPluginConfig.defaultLabelGroups,
+            labels: selectedLabels,
+            priority: selectedPriority,
+            issueNumber: issueNumber.map(String.init) ?? "",
+            issueRelation: issueRelation,
+            currentScreen: duplicateSearchScreenName(),
+            reportTemplates: configuration?.reportTemplates ?? [],
+            environment: BugReportWebEnvironment(
+                deviceInfo: DeviceInfo(),
+                appInfo: AppInfo(),
+                networkInfo: NetworkInfo(),
+                memoryInfo: MemoryInfo(),
+                customData: reportCustomData,
+                excludedFields: excludedEnvironmentFields
+            ),
+            redactionRules: configuration?.redactionRules ?? [],
+            media: mediaAttachments.map(webMedia(for:))
+        )
+        let script = "(typeof window.hydrate === 'function') ? window.hydrate(\(Self.javaScriptLiteral(snapshot))) : null"
+        webView.evaluateJavaScript(script) { result, error in
+            if let error = error {
+                print("❌ QCBugPlugin: Failed to hydrate form - \(error.localizedDescription)")
+            } else if let version = (result as? NSNumber)?.intValue, version != BugReportFormSnapshot.currentSchemaVersion {
+                print("⚠️ QCBugPlugin: Form speaks snapshot schema \(version), native sends \(BugReportFormSnapshot.currentSchemaVersion)")
             }
         }
+        mediaAttachments.forEach(loadRecordingDuration(for:))
     }
     
-    private func injectFormState() {
-        let escapedDescription = bugDescription
-            .replacingOccurrences(of: "\\", with: "\\\\")
-            .replacingOccurrences(of: "'", with: "\\'")
-            .replacingOccurrences(of: "\n", with: "\\n")
-        let escapedWebhookURL = webhookURL
-            .replacingOccurrences(of: "\\", with: "\\\\")
-            .replacingOccurrences(of: "'", with: "\\'")
-        let escapedAssignee = (selectedAssigneeUsername ?? "")
-            .replacingOccurrences(of: "\\", with: "\\\\")
-            .replacingOccurrences(of: "'", with: "\\'")
-        let issueNumberString = issueNumber.map(String.init) ?? ""
-        let escapedManualWhat = manualWhat
-            .replacingOccurrences(of: "\\", with: "\\\\")
-            .replacingOccurrences(of: "'", with: "\\'")
-            .replacingOccurrences(of: "\n", with: "\\n")
-        let escapedManualSteps = manualSteps
-            .replacingOccurrences(of: "\\", with: "\\\\")
-            .replacingOccurrences(of: "'", with: "\\'")
-            .replacingOccurrences(of: "\n", with: "\\n")
-        let escapedManualExpected = manualExpected
-            .replacingOccurrences(of: "\\", with: "\\\\")
-            .replacingOccurrences(of: "'", with: "\\'")
-            .replacingOccurrences(of: "\n", with: "\\n")
-        let script = """
-        (function() {
-            const descriptionField = document.getElementById('bugDescription');
-            if (descriptionField) {
-                descriptionField.value = '\(escapedDescription)';
-            }
-            const webhookField = document.getElementById('webhookURL');
-            if (webhookField) {
-                webhookField.value = '\(escapedWebhookURL)';
-            }
-            if (typeof setInitialAssignee === 'function') { setInitialAssignee('\(escapedAssignee)'); }
-            if (typeof setInitialPriority === 'function') { setInitialPriority('\(selectedPriority)'); }
-            if (typeof setInitialIssueNumber === 'function') { setInitialIssueNumber('\(issueNumberString)'); }
-            if (typeof setInitialMode === 'function') { setInitialMode('\(isManualMode ? "manual" : "llm")'); }
-            // Populate manual fields if present
-            const mw = document.getElementById('manualWhat');
-            if (mw) { mw.value = '\(escapedManualWhat)'; }
-            const ms = document.getElementById('manualSteps');
-            if (ms) { ms.value = '\(escapedManualSteps)'; }
-            const me = document.getElementById('manualExpected');
-            if (me) { me.value = '\(escapedManualExpected)'; }
-            if (typeof updateDescription === 'function') { updateDescription(); }
-            if (typeof updateWebhookURL === 'function') { updateWebhookURL(); }
-            if (typeof updateManualWhat === 'function') { updateManualWhat(); }
-            if (typeof updateManualSteps === 'function') { updateManualSteps(); }
-            if (typeof updateManualExpected === 'function') { updateManualExpected(); }
-            // Trigger LLM support check after webhook URL is set
-            if (typeof checkLLMSupport === 'function') { checkLLMSupport(); }
-        })();
-        """
-        webView.evaluateJavaScript(script)
+    private func injectDraftSession() {
+        guard let sessionID = draftSessionID else { return }
+        sendBridgeEvent(.draftSession, payload: Self.javaScriptLiteral(sessionID))
     }
-    
-    private func mediaAttachmentScript(for attachment: MediaAttachment) -> String {
+
+    /// Size is read from the file when the attachment did not record it. A recording's duration
+    /// is only known once `loadRecordingDuration(for:)` has measured it.
+    private func webMedia(for attachment: MediaAttachment) -> BugReportWebMedia {
         let mediaType: String
         switch attachment.type {
         case .screenRecording:
@@ -838,18 +1075,45 @@ extension QCBugReportViewController: WKNavigationDelegate {
         case .other:
             mediaType = "other"
         }
-        let fileName = attachment.fileName
-            .replacingOccurrences(of: "\\", with: "\\\\")
-            .replacingOccurrences(of: "'", with: "\\'")
+        let url = URL(string: attachment.fileURL)
+        let fileSize = attachment.fileSize ?? url.flatMap { url -> Int64? in
+            guard url.isFileURL,
+                  let size = (try? FileManager.default.attributesOfItem(atPath: url.path))?[.size] as? NSNumber else {
+                return nil
+            }
+            return size.int64Value
+        }
+        let duration = attachment.type == .screenRecording ? recordingDurations[attachment.fileURL] : nil
+        return BugReportWebMedia(
+            type: mediaType,
+            fileURL: attachment.fileURL,
+            fileName: attachment.fileName,
+            timestamp: (attachment.timestamp.timeIntervalSince1970 * 1000).rounded(),
+            fileSize: fileSize,
+            duration: duration,
+            caption: attachment.caption
+        )
+    }
+
+    /// Measures a recording without blocking the main thread, then sends its duration to the form
+    private func loadRecordingDuration(for attachment: MediaAttachment) {
         let fileURL = attachment.fileURL
-            .replacingOccurrences(of: "\\", with: "\\\\")
-            .replacingOccurrences(of: "'", with: "\\'")
-        return """
-        addMediaAttachment({
-            type: '\(mediaType)',
-            fileURL: '\(fileURL)',
-            fileName: '\(fileName)'
-        });
-        """
+        guard attachment.type == .screenRecording,
+              recordingDurations[fileURL] == nil,
+              let url = URL(string: fileURL), url.isFileURL else {
+            return
+        }
+        let asset = AVURLAsset(url: url)
+        asset.loadValuesAsynchronously(forKeys: ["duration"]) { [weak self] in
+            guard asset.statusOfValue(forKey: "duration", error: nil) == .loaded else { return }
+            let seconds = CMTimeGetSeconds(asset.duration)
+            guard seconds.isFinite else { return }
+            DispatchQueue.main.async {
+                guard let self = self else { return }
+                self.recordingDurations[fileURL] = seconds
+                guard self.isWebViewLoaded else { return }
+                self.sendBridgeEvent(.mediaDuration, payload: "{ fileURL: \(Self.javaScriptLiteral(fileURL)), duration: \(seconds) }")
+            }
+        }
     }
 }
@@ -1,25 +1,114 @@
 (function () {
+    // Scoped label prefixes (`priority::high`) that get their own single-select control.
+    // Native can replace this list through setLabelGroups().
+    var DEFAULT_LABEL_GROUPS = ['priority', 'severity', 'type', 'component'];
+    var LABEL_SCOPE_SEPARATOR = '::';
+
+    // Strings live in bug_report_strings.js; native picks the table through setLocale().
+    var DEFAULT_LOCALE = 'en';
+
     var state = {
+        locale: DEFAULT_LOCALE,
+        theme: null,
         actionHistory: [],
+        timeline: {
+            query: '',
+            hiddenTypes: {},
+            timeMode: 'relative',
+            collapsedGroups: {},
+            selectionStart: null,
+            selectionEnd: null
+        },
         capturedMedia: [],
+        mediaDragIndex: null,
+        privacy: {
+            configuredRules: [],
+            customRules: [],
+            findings: []
+        },
+        environment: {
+            data: null,
+            rows: [],
+            excluded: [],
+            isExpanded: false
+        },
+        files: {
+            pending: [],
+            status: '',
+            isError: false
+        },
         webhookURL: '',
         assign: {
             options: [],
             isLoading: false,
             error: '',
-            selected: null,
-            lastFetchKey: null,
-            requestId: 0
+            assignees: [],
+            watchers: [],
+            lastFetchKey: null
         },
-        priority: {
+        labels: {
             options: [],
             isLoading: false,
             error: '',
-            selected: null,
-            lastFetchKey: null,
-            requestId: 0
+            groups: DEFAULT_LABEL_GROUPS.slice(),
+            scoped: {},
+            free: [],
+            lastFetchKey: null
         },
         issueNumber: '',
+        issueRelation: 'child',
+        currentScreen: null,
+        llm: {
+            isSupported: false,
+            isLoading: false,
+            error: '',
+            draft: null
+        },
+        duplicates: {
+            isLoading: false,
+            error: '',
+            results: [],
+            lastQueryKey: null
+        },
+        parentIssue: {
+            query: '',
+            isLoading: false,
+            error: '',
+            issue: null,
+            notFound: false,
+            results: [],
+            isOpen: false,
+            activeIndex: -1
+        },
+        templates: {
+            configured: [],
+            remote: [],
+            isLoading: false,
+            error: '',
+            lastFetchKey: null,
+            selectedId: '',
+            pendingId: '',
+            applied: null
+        },
+        draft: {
+            sessionId: null,
+            pending: null
+        },
+        // Native's progress while it sends a report with attachments; `attachments` is keyed by fileURL
+        upload: {
+            stage: '',
+            reportId: null,
+            message: '',
+            attachments: {}
+        },
+        webSubmission: {
+            isEnabled: false,
+            files: {},
+            isSubmitting: false,
+            status: '',
+            isError: false,
+            result: null
+        },
         gitlab: {
             isAuthenticated: false,
             requiresLogin: false,
@@ -34,7 +123,73 @@
 
     var HANDLER_NAME = 'bugReportHandler';
     var assignFetchTimeout = null;
-    var priorityFetchTimeout = null;
+    var labelFetchTimeout = null;
+    var issueLookupTimeout = null;
+
+    // Parent issue lookup: digits resolve an issue number, other text searches issue titles.
+    var ISSUE_LOOKUP_DELAY_MS = 400;
+    var ISSUE_SEARCH_MIN_LENGTH = 3;
+    var ISSUE_SEARCH_LIMIT = 8;
+
+    // Duplicate detection queries open issues similar to the description and current screen.
+    var duplicateSearchTimeout = null;
+    var DUPLICATE_SEARCH_DELAY_MS = 800;
+    var DUPLICATE_MIN_TEXT_LENGTH = 12;
+    var DUPLICATE_QUERY_MAX_LENGTH = 300;
+    var DUPLICATE_LIMIT = 5;
+
+    // The LLM preview can take a while to generate and is not worth retrying automatically.
+    var LLM_PREVIEW_TIMEOUT_MS = 45000;
+    var LLM_PREVIEW_MAX_ACTIONS = 100;
+
+    // Report templates come from plugin configuration and the `report_templates` webhook.
+    var templateFetchTimeout = null;
+    var TEMPLATE_FIELDS = ['manualTitle', 'manualWhat', 'manualSteps', 'manualExpected'];
+
+    // Webhook client defaults. Every `whtype` call goes through webhookRequest().
+    var WEBHOOK_TIMEOUT_MS = 15000;
+    var WEBHOOK_MAX_RETRIES = 2;
+    var WEBHOOK_RETRY_BASE_DELAY_MS = 600;
+    var WEBHOOK_RETRY_MAX_DELAY_MS = 5000;
+    var webhookChannels = {};
+
+    // Local draft autosave, keyed by the report session id injected from native.
+    var DRAFT_STORAGE_PREFIX = 'qcBugReportDraft:';
+    var DRAFT_SAVE_DELAY_MS = 500;
+    var DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+    var draftSaveTimeout = null;
+
+    // Member pickers (assignees and watchers) share one combobox implementation keyed by role.
+    // Recently chosen usernames are remembered per role across reports.
+    var RECENT_MEMBERS_LIMIT = 5;
+    // GitLab access levels, shown by their `members.role.<level>` string
+    var GITLAB_ACCESS_LEVELS = [10, 20, 30, 40, 50];
+    var MEMBER_PICKERS = {
+        assignees: {
+            inputId: 'assigneeSearchInput',
+            listboxId: 'assigneeListbox',
+            chipsId: 'assigneeChips',
+            optionIdPrefix: 'assigneeOption',
+            recentStorageKey: 'qcBugReportRecentAssignees',
+            action: 'updateAssignees'
+        },
+        watchers: {
+            inputId: 'watcherSearchInput',
+            listboxId: 'watcherListbox',
+            chipsId: 'watcherChips',
+            optionIdPrefix: 'watcherOption',
+            recentStorageKey: 'qcBugReportRecentWatchers',
+            action: 'updateWatchers'
+        }
+    };
+    var memberPickers = {
+        assignees: { isOpen: false, query: '', activeIndex: -1, visibleUsernames: [] },
+        watchers: { isOpen: false, query: '', activeIndex: -1, visibleUsernames: [] }
+    };
+
+    // Gaps between consecutive actions longer than this are highlighted as possible hangs.
+    var ACTION_GAP_WARNING_MS = 10000;
+    var renderedActionGroupKeys = [];
 
     function getWebhookInputValue() {
         var field = document.getElementById('webhookURL');
@@ -44,54 +199,452 @@
         return field.value.trim();
     }
 
-    // Mode handlers (LLM vs Manual)
-    function validateFields() {
-        var modeManual = document.getElementById('modeManual');
-        var isManual = !!(modeManual && modeManual.checked);
+    // MARK: Localization
+
+    function stringTable(locale) {
+        var tables = window.qcBugReportStrings || {};
+        return tables[locale] || {};
+    }
+
+    function lookupString(table, key, count) {
+        if (typeof count === 'number') {
+            if (count === 1 && typeof table[key + '.one'] === 'string') {
+                return table[key + '.one'];
+            }
+            if (typeof table[key + '.other'] === 'string') {
+                return table[key + '.other'];
+            }
+        }
+        return typeof table[key] === 'string' ? table[key] : null;
+    }
+
+    // Looks `key` up in the current locale, then English, then returns the key itself.
+    // `{name}` placeholders are filled from `params`; `params.count` picks a `.one`/`.other` variant.
+    function t(key, params) {
+        var count = params && typeof params.count === 'number' ? params.count : null;
+        var text = lookupString(stringTable(state.locale), key, count);
+        if (text === null) {
+            text = lookupString(stringTable(DEFAULT_LOCALE), key, count);
+        }
+        if (text === null) {
+            return key;
+        }
+        if (!params) {
+            return text;
+        }
+        return text.replace(/\{(\w+)\}/g, function (match, name) {
+            return params[name] !== undefined && params[name] !== null ? String(params[name]) : match;
+        });
+    }
+
+    // `vi_VN`, `vi-VN` and `vi` all select the `vi` table; unknown languages use English.
+    function resolveLocale(value) {
+        var tables = window.qcBugReportStrings || {};
+        var tag = typeof value === 'string' ? value.trim().replace(/_/g, '-').toLowerCase() : '';
+        if (tag && tables[tag]) {
+            return tag;
+        }
+        var language = tag.split('-')[0];
+        return language && tables[language] ? language : DEFAULT_LOCALE;
+    }
+
+    // Static markup names its string with data-i18n (text) or data-i18n-<attribute>.
+    var I18N_ATTRIBUTES = [
+        { selector: 'data-i18n', target: null },
+        { selector: 'data-i18n-placeholder', target: 'placeholder' },
+        { selector: 'data-i18n-aria-label', target: 'aria-label' },
+        { selector: 'data-i18n-title', target: 'title' }
+    ];
+
+    function applyStaticTranslations(root) {
+        var scope = root || document;
+        I18N_ATTRIBUTES.forEach(function (attribute) {
+            var elements = scope.querySelectorAll('[' + attribute.selector + ']');
+            Array.prototype.forEach.call(elements, function (element) {
+                var text = t(element.getAttribute(attribute.selector));
+                if (attribute.target) {
+                    element.setAttribute(attribute.target, text);
+                } else {
+                    element.textContent = text;
+                }
+            });
+        });
+    }
+
+    // MARK: Accessibility
+
+    var announceTimeout = null;
+
+    // Reads `message` out through the visually hidden live region. The region is cleared first
+    // so repeating the same message is announced again.
+    function announce(message) {
+        var region = document.getElementById('a11yAnnouncer');
+        if (!region || !message) {
+            return;
+        }
+        region.textContent = '';
+        if (announceTimeout) {
+            clearTimeout(announceTimeout);
+        }
+        announceTimeout = setTimeout(function () {
+            region.textContent = message;
+            announceTimeout = null;
+        }, 100);
+    }
+
+    // Enter/Space activation for elements with role="button" that are not real buttons
+    window.activateOnKeydown = function (event) {
+        if (!event || (event.key !== 'Enter' && event.key !== ' ')) {
+            return;
+        }
+        event.preventDefault();
+        if (event.currentTarget && typeof event.currentTarget.click === 'function') {
+            event.currentTarget.click();
+        }
+    };
+
+    // Called by native with the device locale (DeviceInfo.locale, e.g. `vi_VN`)
+    window.setLocale = function (locale) {
+        var resolved = resolveLocale(locale);
+        if (document.documentElement) {
+            document.documentElement.setAttribute('lang', resolved);
+        }
+        if (resolved === state.locale) {
+            return;
+        }
+        state.locale = resolved;
+        applyStaticTranslations();
+        updateGitLabSection();
+        renderAssignControls();
+        renderLabelControls();
+        renderParentIssue();
+        renderDuplicates();
+        renderTemplatePicker();
+        renderLLMPreview(false);
+        renderDraftBanner();
+        renderActionHistory();
+        updateMediaList();
+        renderFileAttachStatus();
+        renderEnvironment();
+        renderPrivacyFindings();
+        renderWebSubmission();
+        renderSubmissionProgress();
+        Object.keys(MARKDOWN_FIELDS).forEach(refreshMarkdownPreview);
+        validateFields();
+    };
+
+    // MARK: Theme
+
+    // CSS custom properties written by setTheme(). The stylesheet falls back to its own
+    // light/dark palette for any of these that are unset.
+    var THEME_PROPERTIES = [
+        '--qc-theme-accent', '--qc-theme-accent-pressed', '--qc-theme-accent-ring', '--qc-theme-accent-tint', '--qc-theme-accent-tint-border',
+        '--qc-theme-accent-dark', '--qc-theme-accent-dark-pressed', '--qc-theme-accent-dark-ring', '--qc-theme-accent-dark-tint', '--qc-theme-accent-dark-tint-border',
+        '--qc-theme-radius', '--qc-theme-radius-small', '--qc-theme-radius-large',
+        '--qc-theme-font-family'
+    ];
+    var THEME_MAX_RADIUS = 32;
+
+    function parseHexColor(value) {
+        var match = typeof value === 'string' ? /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim()) : null;
+        if (!match) {
+            return null;
+        }
+        var hex = match[1].length === 3 ? match[1].replace(/(.)/g, '$1$1') : match[1];
+        return {
+            r: parseInt(hex.substring(0, 2), 16),
+            g: parseInt(hex.substring(2, 4), 16),
+            b: parseInt(hex.substring(4, 6), 16)
+        };
+    }
+
+    // Mixes `rgb` toward black (amount < 0) or white (amount > 0)
+    function shadeColor(rgb, amount) {
+        var target = amount < 0 ? 0 : 255;
+        var weight = Math.abs(amount);
+        function channel(value) {
+            return Math.round(value + (target - value) * weight);
+        }
+        return 'rgb(' + channel(rgb.r) + ', ' + channel(rgb.g) + ', ' + channel(rgb.b) + ')';
+    }
+
+    function alphaColor(rgb, alpha) {
+        return 'rgba(' + rgb.r + ', ' + rgb.g + ', ' + rgb.b + ', ' + alpha + ')';
+    }
+
+    // Derives the pressed, focus-ring and tint shades the stylesheet uses alongside an accent.
+    // Dark mode presses toward white and uses stronger translucent tints.
+    function addAccentProperties(properties, prefix, rgb, isDark) {
+        properties[prefix] = 'rgb(' + rgb.r + ', ' + rgb.g + ', ' + rgb.b + ')';
+        properties[prefix + '-pressed'] = shadeColor(rgb, isDark ? 0.25 : -0.2);
+        properties[prefix + '-ring'] = alphaColor(rgb, isDark ? 0.3 : 0.15);
+        properties[prefix + '-tint'] = alphaColor(rgb, isDark ? 0.16 : 0.06);
+        properties[prefix + '-tint-border'] = alphaColor(rgb, isDark ? 0.35 : 0.18);
+    }
+
+    // Quotes a family name for CSS; generic families and stacks pass through unchanged.
+    function cssFontFamily(value) {
+        var family = typeof value === 'string' ? value.replace(/[;{}<>\\"]/g, '').trim() : '';
+        if (!family.length) {
+            return null;
+        }
+        var stack = family.indexOf(',') !== -1 || /^(serif|sans-serif|monospace|system-ui|-apple-system)$/i.test(family)
+            ? family
+            : '"' + family + '"';
+        return stack + ', var(--qc-system-font)';
+    }
+
+    // Called by native with the host app's look:
+    // {accentColor: '#RRGGBB', accentColorDark: '#RRGGBB', cornerRadius: 12, fontFamily: 'Avenir Next'}.
+    // Every key is optional and omitted keys return to the stock appearance.
+    window.setTheme = function (theme) {
+        state.theme = theme && typeof theme === 'object' ? theme : null;
+        var options = state.theme || {};
+        var properties = {};
+        var accent = parseHexColor(options.accentColor);
+        var accentDark = parseHexColor(options.accentColorDark) || accent;
+        var radius = typeof options.cornerRadius === 'number' && isFinite(options.cornerRadius)
+            ? Math.max(0, Math.min(THEME_MAX_RADIUS, options.cornerRadius))
+            : null;
+        var fontFamily = cssFontFamily(options.fontFamily);
+
+        if (accent) {
+            addAccentProperties(properties, '--qc-theme-accent', accent, false);
+        }
+        if (accentDark) {
+            addAccentProperties(properties, '--qc-theme-accent-dark', accentDark, true);
+        }
+        if (radius !== null) {
+            properties['--qc-theme-radius'] = radius + 'px';
+            properties['--qc-theme-radius-small'] = Math.round(radius * 2 / 3) + 'px';
+            properties['--qc-theme-radius-large'] = Math.round(radius * 4 / 3) + 'px';
+        }
+        if (fontFamily) {
+            properties['--qc-theme-font-family'] = fontFamily;
+        }
 
-        if (isManual) {
-            // Manual mode: validate What, Steps, Expected
-            var what = document.getElementById('manualWhat');
-            var steps = document.getElementById('manualSteps');
-            var expected = document.getElementById('manualExpected');
-            var bugDesc = document.getElementById('bugDescription');
+        var rootStyle = document.documentElement ? document.documentElement.style : null;
+        if (!rootStyle) {
+            return;
+        }
+        THEME_PROPERTIES.forEach(function (name) {
+            if (properties[name]) {
+                rootStyle.setProperty(name, properties[name]);
+            } else {
+                rootStyle.removeProperty(name);
+            }
+        });
+    };
+
+    // MARK: Validation
+
+    function hasFieldText(id) {
+        return readFieldValue(id).trim().length > 0;
+    }
 
-            // Clear LLM validation
-            if (bugDesc) { bugDesc.classList.remove('invalid'); }
+    function currentMode() {
+        var modeManual = document.getElementById('modeManual');
+        return modeManual && modeManual.checked ? 'manual' : 'llm';
+    }
 
-            // Validate manual fields
-            if (what) {
-                var whatOk = what.value && what.value.trim().length > 0;
-                what.classList.toggle('invalid', !whatOk);
+    // Declarative form rules. `modes` limits a rule to LLM or manual reporting, `config` names the
+    // validation option (set by native through setValidationConfig) that switches the rule on.
+    var VALIDATION_RULES = [
+        {
+            field: 'description',
+            inputId: 'bugDescription',
+            modes: ['llm'],
+            messageKey: 'validation.description',
+            isValid: function () { return hasFieldText('bugDescription'); }
+        },
+        {
+            field: 'manualWhat',
+            inputId: 'manualWhat',
+            modes: ['manual'],
+            messageKey: 'validation.manualWhat',
+            isValid: function () { return hasFieldText('manualWhat'); }
+        },
+        {
+            field: 'manualSteps',
+            inputId: 'manualSteps',
+            modes: ['manual'],
+            messageKey: 'validation.manualSteps',
+            isValid: function () { return hasFieldText('manualSteps'); }
+        },
+        {
+            field: 'manualExpected',
+            inputId: 'manualExpected',
+            modes: ['manual'],
+            messageKey: 'validation.manualExpected',
+            isValid: function () { return hasFieldText('manualExpected'); }
+        },
+        {
+            field: 'webhookURL',
+            inputId: 'webhookURL',
+            messageKey: 'validation.webhookURL',
+            isValid: function () {
+                // Empty falls back to the configured default webhook
+                var value = getWebhookInputValue();
+                return !value || !!deriveMembersEndpoint(value);
             }
-            if (steps) {
-                var stepsOk = steps.value && steps.value.trim().length > 0;
-                steps.classList.toggle('invalid', !stepsOk);
+        },
+        {
+            field: 'priority',
+            inputId: function () {
+                var index = state.labels.groups.indexOf('priority');
+                return index === -1 ? null : 'labelSelect' + index;
+            },
+            config: 'requirePriority',
+            messageKey: 'validation.priority',
+            isValid: function () {
+                // Nothing to pick from when the priority group is not configured
+                return state.labels.groups.indexOf('priority') === -1 || !!state.labels.scoped.priority;
             }
-            if (expected) {
-                var expectedOk = expected.value && expected.value.trim().length > 0;
-                expected.classList.toggle('invalid', !expectedOk);
+        },
+        {
+            field: 'assignees',
+            inputId: 'assigneeSearchInput',
+            config: 'requireAssignee',
+            messageKey: 'validation.assignees',
+            isValid: function () { return state.assign.assignees.length > 0; }
+        }
+    ];
+
+    var validationConfig = {
+        requirePriority: false,
+        requireAssignee: false
+    };
+    var lastPostedValidation = null;
+    // Errors stay hidden on a fresh form; a field shows its own once the reporter has left it,
+    // and every field shows its error after a submit attempt
+    var touchedFields = {};
+    var showsAllValidationErrors = false;
+
+    function validationRuleApplies(rule, mode) {
+        if (rule.modes && rule.modes.indexOf(mode) === -1) {
+            return false;
+        }
+        return !rule.config || !!validationConfig[rule.config];
+    }
+
+    // Evaluates every rule into {isValid, mode, errors: [{field, message}], fields: {field: {applies, isValid, message}}}.
+    function evaluateValidation() {
+        var mode = currentMode();
+        var result = { isValid: true, mode: mode, errors: [], fields: {} };
+        VALIDATION_RULES.forEach(function (rule) {
+            var applies = validationRuleApplies(rule, mode);
+            var isValid = !applies || !!rule.isValid();
+            result.fields[rule.field] = {
+                applies: applies,
+                isValid: isValid,
+                message: isValid ? '' : t(rule.messageKey)
+            };
+            if (!isValid) {
+                result.isValid = false;
+                result.errors.push({ field: rule.field, message: t(rule.messageKey) });
             }
-        } else {
-            // LLM mode: validate Description
-            var bugDesc = document.getElementById('bugDescription');
-            var what = document.getElementById('manualWhat');
-            var steps = document.getElementById('manualSteps');
-            var expected = document.getElementById('manualExpected');
+        });
+        return result;
+    }
 
-            // Clear manual validation
-            if (what) { what.classList.remove('invalid'); }
-            if (steps) { steps.classList.remove('invalid'); }
-            if (expected) { expected.classList.remove('invalid'); }
+    function validationInputId(rule) {
+        return typeof rule.inputId === 'function' ? rule.inputId() : rule.inputId;
+    }
 
-            // Validate LLM description
-            if (bugDesc) {
-                var descOk = bugDesc.value && bugDesc.value.trim().length > 0;
-                bugDesc.classList.toggle('invalid', !descOk);
+    // Errors are tied to their inputs with aria-describedby, so they are read when a field is focused.
+    // A new error on the field being edited is also announced straight away.
+    function renderValidation(result) {
+        var announcements = [];
+        VALIDATION_RULES.forEach(function (rule) {
+            var fieldResult = result.fields[rule.field];
+            var inputId = validationInputId(rule);
+            var input = inputId ? document.getElementById(inputId) : null;
+            var errorId = rule.field + 'Error';
+            var message = document.getElementById(errorId);
+            var previousMessage = message ? message.textContent : '';
+            var isShown = showsAllValidationErrors || !!touchedFields[rule.field];
+            var shownMessage = isShown ? fieldResult.message : '';
+            if (input) {
+                input.classList.toggle('invalid', !!shownMessage);
+                if (!shownMessage) {
+                    input.removeAttribute('aria-invalid');
+                    input.removeAttribute('aria-describedby');
+                } else {
+                    input.setAttribute('aria-invalid', 'true');
+                    if (message) {
+                        input.setAttribute('aria-describedby', errorId);
+                    }
+                }
+            }
+            if (message) {
+                message.textContent = shownMessage;
+                message.style.display = shownMessage ? 'block' : 'none';
+                if (shownMessage && shownMessage !== previousMessage && input && input === document.activeElement) {
+                    announcements.push(shownMessage);
+                }
             }
+        });
+        if (announcements.length) {
+            announce(announcements.join(' '));
+        }
+    }
+
+    // Re-validates the form, marks the fields and tells native whether Submit is allowed.
+    function validateFields() {
+        var result = evaluateValidation();
+        renderValidation(result);
+
+        var message = {
+            action: 'validationChanged',
+            isValid: result.isValid,
+            mode: result.mode,
+            errors: result.errors
+        };
+        var serialized = JSON.stringify(message);
+        if (serialized !== lastPostedValidation) {
+            lastPostedValidation = serialized;
+            postMessage(message);
+        }
+        return result;
+    }
+
+    function markFieldTouched(event) {
+        var target = event && event.target;
+        if (!target || !target.id) {
+            return;
         }
+        VALIDATION_RULES.forEach(function (rule) {
+            if (validationInputId(rule) === target.id && !touchedFields[rule.field]) {
+                touchedFields[rule.field] = true;
+                validateFields();
+            }
+        });
+    }
+
+    // Submitting (or trying to) reveals the errors of fields the reporter never visited
+    function showAllValidationErrors() {
+        showsAllValidationErrors = true;
+        return validateFields();
+    }
+
+    function applyValidationConfig(config) {
+        config = config || {};
+        Object.keys(validationConfig).forEach(function (key) {
+            if (typeof config[key] === 'boolean') {
+                validationConfig[key] = config[key];
+            }
+        });
     }
 
+    window.setValidationConfig = function (config) {
+        applyValidationConfig(config);
+        validateFields();
+    };
+
+    window.getValidationResult = function () {
+        return evaluateValidation();
+    };
+
     window.setMode = function (mode) {
         var manualFields = document.getElementById('manualFields');
         var descriptionField = document.getElementById('bugDescription');
@@ -114,14 +667,16 @@
 
         postMessage({ action: 'setMode', mode: mode });
         validateFields();
+        scheduleDraftSave();
+        scheduleDuplicateSearch();
     };
 
-    window.setInitialMode = function (mode) {
+    // Reflects the mode in the UI without posting back to native
+    function applyMode(mode) {
         var modeLLM = document.getElementById('modeLLM');
         var modeManual = document.getElementById('modeManual');
         if (modeLLM) { modeLLM.checked = (mode !== 'manual'); }
         if (modeManual) { modeManual.checked = (mode === 'manual'); }
-        // Reflect UI without posting back to native
         var manualFields = document.getElementById('manualFields');
         var descriptionField = document.getElementById('bugDescription');
         var descriptionFieldGroup = descriptionField ? descriptionField.closest('.field-group') : null;
@@ -140,29 +695,50 @@
         if (descriptionFieldGroup) {
             descriptionFieldGroup.style.display = isManual ? 'none' : 'block';
         }
+    }
 
+    window.setInitialMode = function (mode) {
+        applyMode(mode);
         validateFields();
     };
 
     window.updateManualWhat = function () {
         var field = document.getElementById('manualWhat');
         if (!field) { return; }
-        postMessage({ action: 'updateManualWhat', what: field.value });
+        postUpdate({ action: 'updateManualWhat', what: field.value });
+        refreshMarkdownPreview('manualWhat');
         validateFields();
+        scheduleDraftSave();
+        scheduleDuplicateSearch();
+        schedulePrivacyScan();
     };
 
     window.updateManualSteps = function () {
         var field = document.getElementById('manualSteps');
         if (!field) { return; }
-        postMessage({ action: 'updateManualSteps', steps: field.value });
+        postUpdate({ action: 'updateManualSteps', steps: field.value });
+        refreshMarkdownPreview('manualSteps');
         validateFields();
+        scheduleDraftSave();
+        schedulePrivacyScan();
+    };
+
+    window.updateManualTitle = function () {
+        var field = document.getElementById('manualTitle');
+        if (!field) { return; }
+        postUpdate({ action: 'updateManualTitle', title: field.value });
+        scheduleDraftSave();
+        schedulePrivacyScan();
     };
 
     window.updateManualExpected = function () {
         var field = document.getElementById('manualExpected');
         if (!field) { return; }
-        postMessage({ action: 'updateManualExpected', expected: field.value });
+        postUpdate({ action: 'updateManualExpected', expected: field.value });
+        refreshMarkdownPreview('manualExpected');
         validateFields();
+        scheduleDraftSave();
+        schedulePrivacyScan();
     };
 
     function notifyNativeLog(message) {
@@ -189,287 +765,857 @@
         return trimmed;
     }
 
-    function resetAssignState(shouldNotify) {
-        if (assignFetchTimeout) {
-            clearTimeout(assignFetchTimeout);
-            assignFetchTimeout = null;
+    // MARK: Bridge
+
+    // Protocol 1 is plain fire-and-forget postMessage plus native calling page globals. Protocol 2
+    // adds request ids with native responses, native events through `qcBridge.receive` and
+    // coalesced text updates. The page speaks 1 until native says hello with a higher version.
+    var BRIDGE_PROTOCOL_VERSION = 2;
+    var BRIDGE_REQUEST_TIMEOUT_MS = 15000;
+    var BRIDGE_COALESCE_DELAY_MS = 250;
+
+    var bridge = {
+        version: 1,
+        nextRequestId: 1,
+        pending: {},
+        queued: {},
+        queuedKeys: [],
+        flushTimeout: null
+    };
+
+    // Native → page events, by the name native sends in `{ type: 'event', name, payload }`
+    var BRIDGE_EVENTS = {
+        gitLabAuthReady: function (payload) { window.onGitLabAuthReady(payload); },
+        gitLabMembers: function (payload) { window.updateGitLabMembers(payload); },
+        labelsChanged: function () { window.refetchLabels(); },
+        actionHistory: function (payload) { window.loadActionHistory(payload); },
+        mediaAdded: function (payload) { window.addMediaAttachment(payload); },
+        mediaDuration: function (payload) { window.setMediaDuration(payload); },
+        mediaCleared: function () { clearMediaAttachments(); },
+        fileAttachmentFailed: function (payload) { window.fileAttachmentFailed(payload); },
+        draftCleared: function () { window.clearDraft(); },
+        draftSession: function (payload) { window.setDraftSession(payload); },
+        llmSupportCheck: function () { checkLLMSupport(); },
+        submissionStatus: function (payload) { applySubmissionStatus(payload); },
+        attachmentProgress: function (payload) { applyAttachmentProgress(payload); }
+    };
+
+    function createBridgeError(code, message) {
+        return {
+            kind: 'bridge',
+            code: code,
+            message: message || ''
+        };
+    }
+
+    function postRawMessage(message) {
+        if (!window.webkit || !window.webkit.messageHandlers) {
+            return false;
         }
-        var previousSelection = state.assign.selected;
-        state.assign.options = [];
-        state.assign.isLoading = false;
-        state.assign.error = '';
-        state.assign.lastFetchKey = null;
-        state.assign.requestId = 0;
-        state.assign.selected = shouldNotify ? null : state.assign.selected;
-        renderAssignControls();
-        if (shouldNotify && previousSelection) {
-            postMessage({ action: 'updateAssignee', username: null });
+        var handler = window.webkit.messageHandlers[HANDLER_NAME];
+        if (!handler || typeof handler.postMessage !== 'function') {
+            return false;
         }
+        handler.postMessage(message);
+        return true;
     }
 
-    function renderAssignControls() {
-        var select = document.getElementById('assigneeSelect');
-        var status = document.getElementById('assignStatus');
-        if (!select || !status) {
-            return;
-        }
+    // Sends a message right away. Queued text updates go first so native sees edits in order.
+    function postMessage(message) {
+        flushBridgeUpdates();
+        return postRawMessage(message);
+    }
 
-        var options = Array.isArray(state.assign.options) ? state.assign.options.slice() : [];
-        var selected = state.assign.selected;
-        var endpoint = deriveMembersEndpoint(state.webhookURL);
-        var hasEndpoint = !!endpoint;
-        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
-        var hasProject = projectValue.length > 0;
-        if (selected && options.indexOf(selected) === -1) {
-            options.unshift(selected);
+    // Text edits only need their latest value, keyed per action (and per attachment for captions).
+    // Protocol 1 hosts cannot pull the queue before submitting, so they still get every edit.
+    // Scanned text fields are masked before they are queued, so native never holds PII.
+    function postUpdate(message) {
+        message = redactedUpdate(message);
+        if (bridge.version < 2) {
+            return postRawMessage(message);
         }
-
-        var needsRebuild = select.options.length !== options.length + 1;
-        if (!needsRebuild) {
-            for (var i = 1; i < select.options.length; i += 1) {
-                if (select.options[i].value !== options[i - 1]) {
-                    needsRebuild = true;
-                    break;
-                }
-            }
+        var key = message.action + (message.fileURL ? ':' + message.fileURL : '');
+        if (!bridge.queued[key]) {
+            bridge.queuedKeys.push(key);
         }
-
-        if (needsRebuild) {
-            while (select.firstChild) {
-                select.removeChild(select.firstChild);
-            }
-
-            var defaultOption = document.createElement('option');
-            defaultOption.value = '';
-            defaultOption.textContent = 'Unassigned';
-            select.appendChild(defaultOption);
-
-            options.forEach(function (username) {
-                var option = document.createElement('option');
-                option.value = username;
-                option.textContent = username;
-                select.appendChild(option);
-            });
+        bridge.queued[key] = message;
+        if (!bridge.flushTimeout) {
+            bridge.flushTimeout = setTimeout(flushBridgeUpdates, BRIDGE_COALESCE_DELAY_MS);
         }
+        return true;
+    }
 
-        var desiredValue = selected && options.indexOf(selected) !== -1 ? selected : '';
-        select.value = desiredValue;
-        select.disabled = !!state.assign.isLoading || !hasEndpoint || !hasProject;
-
-        status.textContent = '';
-        status.className = 'assign-status';
-        if (state.assign.isLoading) {
-            status.textContent = 'Loading assignees…';
-            status.classList.add('assign-status--loading');
-        } else if (state.assign.error) {
-            status.textContent = state.assign.error;
-            status.classList.add('assign-status--error');
-        } else if (state.assign.lastFetchKey && options.length === 0) {
-            status.textContent = 'No team members found for this webhook.';
-        } else if (!hasEndpoint) {
-            status.textContent = 'Enter a webhook URL to load assignees.';
-        } else if (!hasProject) {
-            status.textContent = 'Set a GitLab project to load assignees.';
+    function takeBridgeUpdates() {
+        if (bridge.flushTimeout) {
+            clearTimeout(bridge.flushTimeout);
+            bridge.flushTimeout = null;
         }
+        var messages = bridge.queuedKeys.map(function (key) {
+            return bridge.queued[key];
+        });
+        bridge.queued = {};
+        bridge.queuedKeys = [];
+        return messages;
     }
 
-    function scheduleAssigneeFetch(force) {
-        if (assignFetchTimeout) {
-            clearTimeout(assignFetchTimeout);
-        }
+    function flushBridgeUpdates() {
+        takeBridgeUpdates().forEach(postRawMessage);
+    }
 
-        var currentWebhook = getWebhookInputValue();
-        state.webhookURL = currentWebhook;
+    // Posts `action` and resolves with native's result. Rejects with a bridge error
+    // ({ kind: 'bridge', code, message }) on a native error, a timeout or no bridge at all.
+    // Protocol 1 hosts never answer, so the promise resolves with null once the message is posted.
+    function bridgeRequest(action, payload, options) {
+        var timeoutMs = options && options.timeoutMs ? options.timeoutMs : BRIDGE_REQUEST_TIMEOUT_MS;
+        var message = { action: action };
+        Object.keys(payload || {}).forEach(function (key) {
+            message[key] = payload[key];
+        });
 
-        var endpoint = deriveMembersEndpoint(currentWebhook);
-        if (!endpoint) {
-            return;
+        if (bridge.version < 2) {
+            return postMessage(message)
+                ? Promise.resolve(null)
+                : Promise.reject(createBridgeError('unavailable', 'Native bridge is not available.'));
         }
 
-        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
-        if (!projectValue.length) {
-            return;
-        }
+        return new Promise(function (resolve, reject) {
+            var requestId = 'r' + bridge.nextRequestId;
+            bridge.nextRequestId += 1;
+            message.requestId = requestId;
+            bridge.pending[requestId] = {
+                resolve: resolve,
+                reject: reject,
+                timer: setTimeout(function () {
+                    delete bridge.pending[requestId];
+                    reject(createBridgeError('timeout', 'Native did not answer ' + action + '.'));
+                }, timeoutMs)
+            };
+            if (!postMessage(message)) {
+                clearTimeout(bridge.pending[requestId].timer);
+                delete bridge.pending[requestId];
+                reject(createBridgeError('unavailable', 'Native bridge is not available.'));
+            }
+        });
+    }
 
-        assignFetchTimeout = setTimeout(function () {
-            fetchAssignees(force);
-            assignFetchTimeout = null;
-        }, 400);
+    // For requests nothing on the page waits on; a failure is only worth a line in the native log
+    function bridgeRequestLoggingFailure(action, payload) {
+        return bridgeRequest(action, payload).catch(function (error) {
+            if (error.code !== 'unavailable') {
+                notifyNativeLog(action + ' failed (' + error.code + '): ' + error.message);
+            }
+            return null;
+        });
     }
 
-    function fetchAssignees(force) {
-        var currentWebhook = getWebhookInputValue();
-        state.webhookURL = currentWebhook;
+    // Native opens http and https links and rejects anything else with `invalid_url`
+    function openExternalURL(url) {
+        return bridgeRequest('openExternalURL', { url: url }).catch(function (error) {
+            notifyNativeLog('Unable to open ' + url + ' (' + error.code + '): ' + error.message);
+            announce(t('common.openLinkFailed'));
+            throw error;
+        });
+    }
 
-        var endpoint = deriveMembersEndpoint(currentWebhook);
-        if (!endpoint) {
+    function settleBridgeRequest(envelope) {
+        var entry = bridge.pending[envelope.requestId];
+        if (!entry) {
             return;
         }
+        delete bridge.pending[envelope.requestId];
+        clearTimeout(entry.timer);
+        if (envelope.ok) {
+            entry.resolve(envelope.result === undefined ? null : envelope.result);
+        } else {
+            var error = envelope.error || {};
+            entry.reject(createBridgeError(error.code || 'native', error.message));
+        }
+    }
 
-        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
-        if (!projectValue.length) {
+    function dispatchBridgeEvent(name, payload) {
+        var handler = Object.prototype.hasOwnProperty.call(BRIDGE_EVENTS, name) ? BRIDGE_EVENTS[name] : null;
+        if (!handler) {
+            notifyNativeLog('Ignoring unknown bridge event: ' + name);
             return;
         }
+        handler(payload);
+    }
 
-        var cacheKey = endpoint + '::' + projectValue;
+    window.qcBridge = {
+        // Single entry point for native → page traffic. Returns the agreed version for 'hello'.
+        receive: function (envelope) {
+            if (!envelope || typeof envelope !== 'object') {
+                return null;
+            }
+            var hostVersion;
+            switch (envelope.type) {
+                case 'hello':
+                    hostVersion = parseInt(envelope.protocolVersion, 10) || 1;
+                    bridge.version = Math.max(1, Math.min(BRIDGE_PROTOCOL_VERSION, hostVersion));
+                    return bridge.version;
+                case 'response':
+                    settleBridgeRequest(envelope);
+                    return null;
+                case 'event':
+                    dispatchBridgeEvent(envelope.name, envelope.payload);
+                    return null;
+                default:
+                    return null;
+            }
+        },
+        // Lets native apply edits still waiting to be coalesced, e.g. right before submitting
+        takePendingUpdates: function () {
+            return takeBridgeUpdates();
+        },
+        request: bridgeRequest
+    };
 
-        if (!force && state.assign.lastFetchKey === cacheKey && state.assign.options.length && !state.assign.error) {
+    // MARK: Webhook client
+
+    function createWebhookError(kind, message, status) {
+        return {
+            kind: kind,
+            message: message || '',
+            status: typeof status === 'number' ? status : null
+        };
+    }
+
+    function isRetriableWebhookError(error) {
+        if (!error) {
+            return false;
+        }
+        if (error.kind === 'network' || error.kind === 'timeout') {
+            return true;
+        }
+        return error.kind === 'http' && error.status >= 500;
+    }
+
+    function webhookRetryDelay(attempt) {
+        var delay = WEBHOOK_RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+        var jitter = Math.floor(Math.random() * WEBHOOK_RETRY_BASE_DELAY_MS);
+        return Math.min(delay + jitter, WEBHOOK_RETRY_MAX_DELAY_MS);
+    }
+
+    function cancelWebhookRequest(channel) {
+        var entry = channel ? webhookChannels[channel] : null;
+        if (!entry) {
             return;
         }
+        delete webhookChannels[channel];
+        entry.cancel();
+    }
 
-        var requestId = state.assign.requestId + 1;
-        state.assign.requestId = requestId;
-        state.assign.isLoading = true;
-        state.assign.error = '';
-        renderAssignControls();
+    // Sends a single POST attempt. Resolves with { status, json } or rejects with a webhook error.
+    function sendWebhookAttempt(endpoint, body, headers, timeoutMs, entry) {
+        return new Promise(function (resolve, reject) {
+            var controller = typeof AbortController === 'function' ? new AbortController() : null;
+            var settled = false;
+            var timer = null;
 
-        var payload = {
-            team: 'ios',
-            whtype: 'get_members',
-            project: projectValue
-        };
+            function finish(callback, value) {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                entry.abortAttempt = null;
+                callback(value);
+            }
 
-        notifyNativeLog('Fetching GitLab members (endpoint=' + endpoint + ', project=' + projectValue + ')');
+            entry.abortAttempt = function () {
+                if (controller) {
+                    controller.abort();
+                }
+                finish(reject, createWebhookError('aborted', 'Request was cancelled.'));
+            };
 
-        fetch(endpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payload)
-        })
-            .then(function (response) {
-                if (state.assign.requestId !== requestId) {
-                    return null;
+            timer = setTimeout(function () {
+                if (controller) {
+                    controller.abort();
                 }
-                return response.json().catch(function () {
-                    return null;
+                finish(reject, createWebhookError('timeout', 'Request timed out.'));
+            }, timeoutMs);
+
+            var init = {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(body)
+            };
+            Object.keys(headers || {}).forEach(function (name) {
+                init.headers[name] = headers[name];
+            });
+            if (controller) {
+                init.signal = controller.signal;
+            }
+
+            fetch(endpoint, init)
+                .then(function (response) {
+                    return response.json()
+                        .catch(function () {
+                            return null;
+                        })
+                        .then(function (json) {
+                            if (response.status >= 500) {
+                                finish(reject, createWebhookError('http', 'Server responded with status ' + response.status + '.', response.status));
+                                return;
+                            }
+                            finish(resolve, { status: response.status, json: json });
+                        });
+                })
+                .catch(function (error) {
+                    finish(reject, createWebhookError('network', error && error.message ? error.message : 'Network request failed.'));
                 });
-            })
-            .then(function (json) {
-                if (state.assign.requestId !== requestId) {
-                    return;
-                }
+        });
+    }
 
-                state.assign.isLoading = false;
+    // Posts `{ whtype, ...payload }` to the webhook with a per-attempt timeout, exponential
+    // backoff for 5xx/network/timeout failures and cancellation. Requests sharing a `channel`
+    // supersede each other: starting a new one aborts the previous one, which rejects with
+    // kind 'aborted' so callers can ignore it. `options.headers` adds request headers.
+    function webhookRequest(whtype, payload, options) {
+        options = options || {};
+        var endpoint = deriveMembersEndpoint(options.endpoint || state.webhookURL);
+        if (!endpoint) {
+            return Promise.reject(createWebhookError('config', 'Webhook URL is missing or invalid.'));
+        }
 
-                if (json && json.code === 200 && Array.isArray(json.data)) {
-                    var usernames = [];
-                    json.data.forEach(function (member) {
-                        var username = member && typeof member.username === 'string' ? member.username.trim() : '';
-                        if (username && usernames.indexOf(username) === -1) {
-                            usernames.push(username);
-                        }
-                    });
-                    var previousSelection = state.assign.selected;
-                    state.assign.options = usernames;
-                    state.assign.error = '';
-                    state.assign.lastFetchKey = cacheKey;
-                    if (previousSelection && usernames.indexOf(previousSelection) === -1) {
-                        state.assign.selected = null;
-                        postMessage({ action: 'updateAssignee', username: null });
-                    }
-                    notifyNativeLog('Loaded GitLab members: count=' + usernames.length);
-                } else {
-                    var message = (json && typeof json.message === 'string' && json.message.trim()) ? json.message.trim() : 'Unable to load team members.';
-                    state.assign.options = [];
-                    state.assign.error = message;
-                    state.assign.lastFetchKey = null;
-                    notifyNativeLog('GitLab member fetch failed: ' + message);
+        var body = { whtype: whtype };
+        Object.keys(payload || {}).forEach(function (key) {
+            body[key] = payload[key];
+        });
+
+        var channel = options.channel || whtype;
+        var timeoutMs = typeof options.timeoutMs === 'number' ? options.timeoutMs : WEBHOOK_TIMEOUT_MS;
+        var maxRetries = typeof options.retries === 'number' ? options.retries : WEBHOOK_MAX_RETRIES;
+
+        cancelWebhookRequest(channel);
+
+        var entry = {
+            cancelled: false,
+            abortAttempt: null,
+            retryTimer: null,
+            rejectRetryWait: null,
+            cancel: function () {
+                entry.cancelled = true;
+                if (entry.retryTimer) {
+                    clearTimeout(entry.retryTimer);
+                    entry.retryTimer = null;
+                }
+                if (entry.rejectRetryWait) {
+                    entry.rejectRetryWait(createWebhookError('aborted', 'Request was cancelled.'));
+                    entry.rejectRetryWait = null;
+                }
+                if (entry.abortAttempt) {
+                    entry.abortAttempt();
                 }
+            }
+        };
+        webhookChannels[channel] = entry;
 
-                renderAssignControls();
-            })
-            .catch(function () {
-                if (state.assign.requestId !== requestId) {
-                    return;
+        function attempt(index) {
+            if (entry.cancelled) {
+                return Promise.reject(createWebhookError('aborted', 'Request was cancelled.'));
+            }
+            return sendWebhookAttempt(endpoint, body, options.headers, timeoutMs, entry).catch(function (error) {
+                if (entry.cancelled || index >= maxRetries || !isRetriableWebhookError(error)) {
+                    throw error;
                 }
-                state.assign.isLoading = false;
-                state.assign.options = [];
-                state.assign.error = 'Unable to load team members.';
-                state.assign.lastFetchKey = null;
-                renderAssignControls();
-                notifyNativeLog('GitLab member fetch encountered a network error.');
+                var delay = webhookRetryDelay(index);
+                notifyNativeLog('Webhook ' + whtype + ' failed (' + error.kind + '), retrying in ' + delay + 'ms');
+                return new Promise(function (resolve, reject) {
+                    entry.rejectRetryWait = reject;
+                    entry.retryTimer = setTimeout(function () {
+                        entry.retryTimer = null;
+                        entry.rejectRetryWait = null;
+                        resolve();
+                    }, delay);
+                }).then(function () {
+                    return attempt(index + 1);
+                });
+            });
+        }
+
+        return attempt(0).then(function (result) {
+            if (webhookChannels[channel] === entry) {
+                delete webhookChannels[channel];
+            }
+            if (entry.cancelled) {
+                throw createWebhookError('aborted', 'Request was cancelled.');
+            }
+            return result;
+        }, function (error) {
+            if (webhookChannels[channel] === entry) {
+                delete webhookChannels[channel];
+            }
+            throw entry.cancelled ? createWebhookError('aborted', 'Request was cancelled.') : error;
+        });
+    }
+
+    // Maps a webhook error (or an unsuccessful JSON envelope) to the text shown in status rows.
+    function describeWebhookError(error, fallback) {
+        if (!error) {
+            return fallback;
+        }
+        switch (error.kind) {
+            case 'timeout':
+                return t('webhook.timeout');
+            case 'network':
+                return t('webhook.network');
+            case 'http':
+                return t('webhook.http', { status: error.status });
+            case 'config':
+                return t('webhook.config');
+            case 'response':
+                return error.message || fallback;
+            default:
+                return fallback;
+        }
+    }
+
+    // Resolves with `json.data` when the webhook envelope reports `code: 200`, otherwise
+    // rejects with a 'response' error carrying the server message.
+    function unwrapWebhookData(result) {
+        var json = result ? result.json : null;
+        if (json && json.code === 200) {
+            return json.data;
+        }
+        var message = (json && typeof json.message === 'string' && json.message.trim()) ? json.message.trim() : '';
+        throw createWebhookError('response', message, result ? result.status : null);
+    }
+
+    function resetAssignState(shouldNotify) {
+        if (assignFetchTimeout) {
+            clearTimeout(assignFetchTimeout);
+            assignFetchTimeout = null;
+        }
+        state.assign.options = [];
+        state.assign.isLoading = false;
+        state.assign.error = '';
+        state.assign.lastFetchKey = null;
+        cancelWebhookRequest('get_members');
+        if (shouldNotify) {
+            setMemberSelection('assignees', [], true);
+            setMemberSelection('watchers', [], true);
+        }
+        renderAssignControls();
+    }
+
+    // Normalises `get_members` / `updateGitLabMembers` entries, drops blocked or inactive
+    // accounts and orders the rest by access level, then display name.
+    function normalizeMembers(members) {
+        var seen = {};
+        var result = [];
+        (Array.isArray(members) ? members : []).forEach(function (member) {
+            var username = member && typeof member.username === 'string' ? member.username.trim() : '';
+            if (!username || seen[username]) {
+                return;
+            }
+            var memberState = typeof member.state === 'string' ? member.state.toLowerCase() : '';
+            if (memberState && memberState !== 'active') {
+                return;
+            }
+            seen[username] = true;
+            var accessLevel = typeof member.access_level === 'number' ? member.access_level : member.accessLevel;
+            var avatarURL = member.avatar_url || member.avatarURL;
+            result.push({
+                username: username,
+                name: typeof member.name === 'string' && member.name.trim() ? member.name.trim() : username,
+                avatarURL: typeof avatarURL === 'string' && /^https?:\/\//i.test(avatarURL) ? avatarURL : null,
+                accessLevel: typeof accessLevel === 'number' ? accessLevel : 0
+            });
+        });
+        result.sort(function (lhs, rhs) {
+            if (lhs.accessLevel !== rhs.accessLevel) {
+                return rhs.accessLevel - lhs.accessLevel;
+            }
+            return lhs.name.toLowerCase() < rhs.name.toLowerCase() ? -1 : 1;
+        });
+        return result;
+    }
+
+    function findAssigneeOption(username) {
+        var options = state.assign.options;
+        for (var i = 0; i < options.length; i += 1) {
+            if (options[i].username === username) {
+                return options[i];
+            }
+        }
+        return null;
+    }
+
+    function memberForUsername(username) {
+        return findAssigneeOption(username) || { username: username, name: username, avatarURL: null, accessLevel: 0 };
+    }
+
+    function normalizeUsernameList(values) {
+        var result = [];
+        (Array.isArray(values) ? values : []).forEach(function (value) {
+            var username = typeof value === 'string' ? value.trim() : '';
+            if (username && result.indexOf(username) === -1) {
+                result.push(username);
+            }
+        });
+        return result;
+    }
+
+    // Replaces the usernames held for `role`. Someone assigned is never also a watcher.
+    function setMemberSelection(role, usernames, shouldNotify) {
+        var next = normalizeUsernameList(usernames);
+        var previous = state.assign[role];
+        state.assign[role] = next;
+        var changed = previous.join('\n') !== next.join('\n');
+
+        if (role === 'assignees') {
+            var watchers = state.assign.watchers.filter(function (username) {
+                return next.indexOf(username) === -1;
             });
+            if (watchers.length !== state.assign.watchers.length) {
+                setMemberSelection('watchers', watchers, shouldNotify);
+            }
+        }
+
+        if (shouldNotify && changed) {
+            postMessage({ action: MEMBER_PICKERS[role].action, usernames: next.slice() });
+            scheduleDraftSave();
+        }
     }
 
-    function resetPriorityState(shouldNotify) {
-        if (priorityFetchTimeout) {
-            clearTimeout(priorityFetchTimeout);
-            priorityFetchTimeout = null;
+    function loadRecentMembers(role) {
+        var storage = getLocalStorage();
+        if (!storage) {
+            return [];
         }
-        var previousSelection = state.priority.selected;
-        state.priority.options = [];
-        state.priority.isLoading = false;
-        state.priority.error = '';
-        state.priority.lastFetchKey = null;
-        state.priority.requestId = 0;
-        state.priority.selected = shouldNotify ? null : state.priority.selected;
-        renderPriorityControls();
-        if (shouldNotify && previousSelection) {
-            postMessage({ action: 'updatePriority', priority: null });
+        try {
+            var parsed = JSON.parse(storage.getItem(MEMBER_PICKERS[role].recentStorageKey) || '[]');
+            return Array.isArray(parsed) ? parsed.filter(function (value) { return typeof value === 'string'; }) : [];
+        } catch (error) {
+            return [];
         }
     }
 
-    function renderPriorityControls() {
-        var select = document.getElementById('prioritySelect');
-        var status = document.getElementById('priorityStatus');
-        if (!select || !status) {
+    function rememberRecentMember(role, username) {
+        var storage = getLocalStorage();
+        if (!storage || !username) {
             return;
         }
+        var recent = loadRecentMembers(role).filter(function (value) {
+            return value !== username;
+        });
+        recent.unshift(username);
+        try {
+            storage.setItem(MEMBER_PICKERS[role].recentStorageKey, JSON.stringify(recent.slice(0, RECENT_MEMBERS_LIMIT)));
+        } catch (error) {
+            notifyNativeLog('Unable to store recent ' + role + ': ' + error.message);
+        }
+    }
 
-        var options = Array.isArray(state.priority.options) ? state.priority.options.slice() : [];
-        var endpoint = deriveMembersEndpoint(state.webhookURL);
-        var hasEndpoint = !!endpoint;
-        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
-        var hasProject = projectValue.length > 0;
+    function memberMatchesQuery(member, query) {
+        if (!query) {
+            return true;
+        }
+        return member.username.toLowerCase().indexOf(query) !== -1 || member.name.toLowerCase().indexOf(query) !== -1;
+    }
+
+    function renderMemberAvatar(member) {
+        var initials = member.name.split(/\s+/).map(function (part) {
+            return part.charAt(0);
+        }).join('').substring(0, 2).toUpperCase();
+        var fallback = '<span class="member-avatar-initials' + (member.avatarURL ? '' : ' is-visible') + '">' + escapeHtml(initials) + '</span>';
+        if (!member.avatarURL) {
+            return '<span class="member-avatar">' + fallback + '</span>';
+        }
+        return '<span class="member-avatar">' +
+            '<img src="' + escapeHtml(member.avatarURL) + '" alt="" onerror="qcBugHandleThumbnailError(this)">' +
+            fallback +
+        '</span>';
+    }
+
+    // Members offered for `role`: not already chosen, and for watchers not assigned either.
+    function availableMembers(role) {
+        var excluded = state.assign[role].slice();
+        if (role === 'watchers') {
+            excluded = excluded.concat(state.assign.assignees);
+        }
+        return state.assign.options.filter(function (member) {
+            return excluded.indexOf(member.username) === -1;
+        });
+    }
+
+    function renderMemberChips(role) {
+        var config = MEMBER_PICKERS[role];
+        var chips = document.getElementById(config.chipsId);
+        if (!chips) {
+            return;
+        }
+        var usernames = state.assign[role];
+        chips.style.display = usernames.length ? 'flex' : 'none';
+        chips.innerHTML = usernames.map(function (username, index) {
+            var member = memberForUsername(username);
+            return '<span class="member-chip" title="@' + escapeHtml(username) + '">' +
+                renderMemberAvatar(member) +
+                '<span class="member-chip-name">' + escapeHtml(member.name) + '</span>' +
+                '<button type="button" class="member-chip-remove" aria-label="' + escapeHtml(t('members.remove', { name: member.name })) + '"' +
+                    ' onclick="removeMemberAt(\'' + role + '\', ' + index + ')">✕</button>' +
+            '</span>';
+        }).join('');
+    }
+
+    function renderMemberListbox(role) {
+        var config = MEMBER_PICKERS[role];
+        var picker = memberPickers[role];
+        var listbox = document.getElementById(config.listboxId);
+        var input = document.getElementById(config.inputId);
+        if (!listbox || !input) {
+            return;
+        }
+
+        input.setAttribute('aria-expanded', String(picker.isOpen));
+        if (!picker.isOpen) {
+            listbox.style.display = 'none';
+            listbox.innerHTML = '';
+            input.removeAttribute('aria-activedescendant');
+            picker.visibleUsernames = [];
+            return;
+        }
+
+        var query = picker.query;
+        var matches = availableMembers(role).filter(function (member) {
+            return memberMatchesQuery(member, query);
+        });
+        var recent = [];
+        loadRecentMembers(role).forEach(function (username) {
+            var member = findAssigneeOption(username);
+            if (member && matches.indexOf(member) !== -1) {
+                recent.push(member);
+            }
+        });
+        var others = matches.filter(function (member) {
+            return recent.indexOf(member) === -1;
+        });
 
-        while (select.firstChild) {
-            select.removeChild(select.firstChild);
+        var ordered = recent.concat(others);
+        picker.visibleUsernames = ordered.map(function (member) {
+            return member.username;
+        });
+        if (picker.activeIndex >= ordered.length) {
+            picker.activeIndex = ordered.length - 1;
         }
 
-        var placeholder = document.createElement('option');
-        placeholder.value = '';
-        placeholder.textContent = 'Select priority';
-        select.appendChild(placeholder);
+        function optionHtml(member, index) {
+            var isActive = index === picker.activeIndex;
+            return '<li id="' + config.optionIdPrefix + index + '" role="option" class="assignee-option' + (isActive ? ' is-active' : '') + '" aria-selected="false"' +
+                ' onmousedown="event.preventDefault()" onclick="pickMemberOption(\'' + role + '\', ' + index + ')">' +
+                    renderMemberAvatar(member) +
+                    '<span class="assignee-option-text">' +
+                        '<span class="assignee-option-name">' + escapeHtml(member.name) + '</span>' +
+                        '<span class="assignee-option-username">@' + escapeHtml(member.username) +
+                            (GITLAB_ACCESS_LEVELS.indexOf(member.accessLevel) !== -1 ? ' · ' + escapeHtml(t('members.role.' + member.accessLevel)) : '') +
+                        '</span>' +
+                    '</span>' +
+                '</li>';
+        }
 
-        options.forEach(function (option) {
-            var opt = document.createElement('option');
-            opt.value = option.value;
-            opt.textContent = option.title;
-            select.appendChild(opt);
+        var html = [];
+        if (recent.length) {
+            html.push('<li class="assignee-listbox-heading" role="presentation">' + escapeHtml(t('members.recent')) + '</li>');
+            recent.forEach(function (member, index) {
+                html.push(optionHtml(member, index));
+            });
+            if (others.length) {
+                html.push('<li class="assignee-listbox-heading" role="presentation">' + escapeHtml(t('members.all')) + '</li>');
+            }
+        }
+        others.forEach(function (member, index) {
+            html.push(optionHtml(member, recent.length + index));
         });
+        if (!ordered.length) {
+            var emptyText = escapeHtml(query ? t('members.noMatch', { query: query }) : t('members.allAdded'));
+            html.push('<li class="assignee-listbox-empty" role="presentation">' + emptyText + '</li>');
+        }
 
-        var selectedValue = '';
-        if (state.priority.selected && options.some(function (option) { return option.value === state.priority.selected; })) {
-            selectedValue = state.priority.selected;
+        listbox.innerHTML = html.join('');
+        listbox.style.display = 'block';
+        if (picker.activeIndex >= 0) {
+            input.setAttribute('aria-activedescendant', config.optionIdPrefix + picker.activeIndex);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function renderMemberPicker(role, disabled) {
+        var config = MEMBER_PICKERS[role];
+        var picker = memberPickers[role];
+        var input = document.getElementById(config.inputId);
+        if (!input) {
+            return;
+        }
+        input.disabled = disabled;
+        if (disabled) {
+            picker.isOpen = false;
+        }
+        if (!picker.isOpen) {
+            input.value = '';
+        }
+        renderMemberChips(role);
+        renderMemberListbox(role);
+    }
+
+    function renderAssignControls() {
+        var status = document.getElementById('assignStatus');
+        if (!status) {
+            return;
         }
-        select.value = selectedValue;
-        select.disabled = !!state.priority.isLoading || !hasEndpoint || !hasProject;
+
+        var options = Array.isArray(state.assign.options) ? state.assign.options : [];
+        var endpoint = deriveMembersEndpoint(state.webhookURL);
+        var hasEndpoint = !!endpoint;
+        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
+        var hasProject = projectValue.length > 0;
+        var disabled = !!state.assign.isLoading || !hasEndpoint || !hasProject;
+
+        renderMemberPicker('assignees', disabled);
+        renderMemberPicker('watchers', disabled);
 
         status.textContent = '';
         status.className = 'assign-status';
-        if (state.priority.isLoading) {
-            status.textContent = 'Loading priorities…';
+        if (state.assign.isLoading) {
+            status.textContent = t('assignees.loading');
             status.classList.add('assign-status--loading');
-        } else if (state.priority.error) {
-            status.textContent = state.priority.error;
+        } else if (state.assign.error) {
+            status.textContent = state.assign.error;
             status.classList.add('assign-status--error');
-        } else if (state.priority.lastFetchKey && options.length === 0) {
-            status.textContent = 'No priority labels found.';
+        } else if (state.assign.lastFetchKey && options.length === 0) {
+            status.textContent = t('assignees.empty');
         } else if (!hasEndpoint) {
-            status.textContent = 'Enter a webhook URL to load priorities.';
+            status.textContent = t('assignees.needsWebhook');
         } else if (!hasProject) {
-            status.textContent = 'Set a GitLab project to load priorities.';
+            status.textContent = t('assignees.needsProject');
         }
+        // Re-rendering replaces the picker markup, and the selection may have changed
+        validateFields();
     }
 
-    function schedulePriorityFetch(force) {
-        if (priorityFetchTimeout) {
-            clearTimeout(priorityFetchTimeout);
+    window.openMemberPicker = function (role) {
+        var picker = memberPickers[role];
+        var input = picker ? document.getElementById(MEMBER_PICKERS[role].inputId) : null;
+        if (!input || input.disabled || picker.isOpen) {
+            return;
         }
+        picker.isOpen = true;
+        picker.query = '';
+        picker.activeIndex = -1;
+        renderMemberListbox(role);
+    };
 
-        var endpoint = deriveMembersEndpoint(state.webhookURL);
+    window.closeMemberPicker = function (role) {
+        var picker = memberPickers[role];
+        if (!picker || !picker.isOpen) {
+            return;
+        }
+        picker.isOpen = false;
+        picker.query = '';
+        picker.activeIndex = -1;
+        renderMemberPicker(role, false);
+    };
+
+    window.filterMembers = function (role) {
+        var picker = memberPickers[role];
+        var input = picker ? document.getElementById(MEMBER_PICKERS[role].inputId) : null;
+        if (!input) {
+            return;
+        }
+        picker.isOpen = true;
+        picker.query = input.value.trim().toLowerCase();
+        picker.activeIndex = picker.query ? 0 : -1;
+        renderMemberListbox(role);
+    };
+
+    window.handleMemberPickerKeydown = function (event, role) {
+        var picker = memberPickers[role];
+        if (!event || !picker) {
+            return;
+        }
+        var count = picker.visibleUsernames.length;
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (!picker.isOpen) {
+                    window.openMemberPicker(role);
+                    return;
+                }
+                picker.activeIndex = count ? (picker.activeIndex + 1) % count : -1;
+                renderMemberListbox(role);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                picker.activeIndex = count ? (picker.activeIndex - 1 + count) % count : -1;
+                renderMemberListbox(role);
+                break;
+            case 'Enter':
+                if (picker.isOpen && picker.activeIndex >= 0) {
+                    event.preventDefault();
+                    window.pickMemberOption(role, picker.activeIndex);
+                }
+                break;
+            case 'Backspace':
+                if (!picker.query && state.assign[role].length) {
+                    window.removeMemberAt(role, state.assign[role].length - 1);
+                }
+                break;
+            case 'Escape':
+                if (picker.isOpen) {
+                    event.preventDefault();
+                    window.closeMemberPicker(role);
+                }
+                break;
+            default:
+                break;
+        }
+    };
+
+    window.pickMemberOption = function (role, index) {
+        var picker = memberPickers[role];
+        if (!picker || typeof index !== 'number' || index < 0 || index >= picker.visibleUsernames.length) {
+            return;
+        }
+        var username = picker.visibleUsernames[index];
+        rememberRecentMember(role, username);
+        setMemberSelection(role, state.assign[role].concat([username]), true);
+        // Keep the list open so several people can be added in a row
+        picker.query = '';
+        picker.activeIndex = -1;
+        var input = document.getElementById(MEMBER_PICKERS[role].inputId);
+        if (input) {
+            input.value = '';
+        }
+        renderAssignControls();
+    };
+
+    window.removeMemberAt = function (role, index) {
+        var current = state.assign[role];
+        if (!current || typeof index !== 'number' || index < 0 || index >= current.length) {
+            return;
+        }
+        var next = current.slice();
+        next.splice(index, 1);
+        setMemberSelection(role, next, true);
+        renderAssignControls();
+    };
+
+    function scheduleAssigneeFetch(force) {
+        if (assignFetchTimeout) {
+            clearTimeout(assignFetchTimeout);
+        }
+
+        var currentWebhook = getWebhookInputValue();
+        state.webhookURL = currentWebhook;
+
+        var endpoint = deriveMembersEndpoint(currentWebhook);
         if (!endpoint) {
             return;
         }
@@ -479,13 +1625,13 @@
             return;
         }
 
-        priorityFetchTimeout = setTimeout(function () {
-            fetchPriorities(force);
-            priorityFetchTimeout = null;
+        assignFetchTimeout = setTimeout(function () {
+            fetchAssignees(force);
+            assignFetchTimeout = null;
         }, 400);
     }
 
-    function fetchPriorities(force) {
+    function fetchAssignees(force) {
         var currentWebhook = getWebhookInputValue();
         state.webhookURL = currentWebhook;
 
@@ -499,24 +1645,55 @@
             return;
         }
 
-        var cacheKey = endpoint + '::labels::' + projectValue;
+        var cacheKey = endpoint + '::' + projectValue;
 
-        if (!force && state.priority.lastFetchKey === cacheKey && state.priority.options.length && !state.priority.error) {
+        if (!force && state.assign.lastFetchKey === cacheKey && state.assign.options.length && !state.assign.error) {
             return;
         }
 
-        var requestId = state.priority.requestId + 1;
-        state.priority.requestId = requestId;
-        state.priority.isLoading = true;
-        state.priority.error = '';
-        renderPriorityControls();
+        state.assign.isLoading = true;
+        state.assign.error = '';
+        renderAssignControls();
+
+        notifyNativeLog('Fetching GitLab members (endpoint=' + endpoint + ', project=' + projectValue + ')');
 
-        var payload = {
-            whtype: 'get_labels',
+        webhookRequest('get_members', {
+            team: 'ios',
             project: projectValue
-        };
+        }, { endpoint: endpoint })
+            .then(unwrapWebhookData)
+            .then(function (data) {
+                if (!Array.isArray(data)) {
+                    throw createWebhookError('response', '');
+                }
+                var members = normalizeMembers(data);
+                state.assign.isLoading = false;
+                state.assign.options = members;
+                state.assign.error = '';
+                state.assign.lastFetchKey = cacheKey;
+                // Drop selections that are no longer project members
+                ['assignees', 'watchers'].forEach(function (role) {
+                    setMemberSelection(role, state.assign[role].filter(findAssigneeOption), true);
+                });
+                renderAssignControls();
+                notifyNativeLog('Loaded GitLab members: count=' + members.length);
+            })
+            .catch(function (error) {
+                if (error && error.kind === 'aborted') {
+                    return;
+                }
+                var message = describeWebhookError(error, t('assignees.loadFailed'));
+                state.assign.isLoading = false;
+                state.assign.options = [];
+                state.assign.error = message;
+                state.assign.lastFetchKey = null;
+                renderAssignControls();
+                notifyNativeLog('GitLab member fetch failed (' + (error && error.kind) + '): ' + message);
+            });
+    }
 
-        // Add metadata with GitLab JWT if available
+    // Adds the GitLab JWT to a webhook payload when the user is signed in
+    function withGitLabMetadata(payload) {
         if (state.gitlab.pat) {
             payload.metadata = {
                 gitlab: {
@@ -524,97 +1701,321 @@
                 }
             };
         }
+        return payload;
+    }
 
-        notifyNativeLog('Fetching GitLab priorities (endpoint=' + endpoint + ', project=' + projectValue + ')');
-
-        fetch(endpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payload)
-        })
-            .then(function (response) {
-                if (state.priority.requestId !== requestId) {
-                    return null;
-                }
-                return response.json().catch(function () {
-                    return null;
-                });
-            })
-            .then(function (json) {
-                if (state.priority.requestId !== requestId) {
-                    return;
+    function resetLabelState(shouldNotify) {
+        if (labelFetchTimeout) {
+            clearTimeout(labelFetchTimeout);
+            labelFetchTimeout = null;
+        }
+        state.labels.options = [];
+        state.labels.isLoading = false;
+        state.labels.error = '';
+        state.labels.lastFetchKey = null;
+        cancelWebhookRequest('get_labels');
+        if (shouldNotify) {
+            setLabelSelection({}, [], true);
+        }
+        renderLabelControls();
+    }
+
+    // `priority::high` -> 'priority'; unscoped labels have no scope.
+    function labelScope(title) {
+        var index = title.lastIndexOf(LABEL_SCOPE_SEPARATOR);
+        return index > 0 ? title.substring(0, index).toLowerCase() : null;
+    }
+
+    function labelGroupTitle(prefix) {
+        return prefix.charAt(0).toUpperCase() + prefix.substring(1);
+    }
+
+    function sanitizeLabelColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(value.trim()) ? value.trim() : null;
+    }
+
+    // Normalises `get_labels` entries (GitLab label objects) into {title, color, textColor, description}.
+    function normalizeLabels(items) {
+        var labels = [];
+        var seen = {};
+        (Array.isArray(items) ? items : []).forEach(function (item) {
+            var title = item && typeof item.title === 'string' ? item.title.trim() : '';
+            if (!title.length || seen[title]) {
+                return;
+            }
+            seen[title] = true;
+            labels.push({
+                title: title,
+                color: sanitizeLabelColor(item.color),
+                textColor: sanitizeLabelColor(item.text_color || item.textColor),
+                description: typeof item.description === 'string' ? item.description : ''
+            });
+        });
+        return labels;
+    }
+
+    function labelsForGroup(prefix) {
+        return state.labels.options.filter(function (label) {
+            return labelScope(label.title) === prefix;
+        });
+    }
+
+    function unscopedLabels() {
+        return state.labels.options.filter(function (label) {
+            return labelScope(label.title) === null;
+        });
+    }
+
+    function selectedLabelTitles() {
+        var titles = [];
+        state.labels.groups.forEach(function (prefix) {
+            if (state.labels.scoped[prefix]) {
+                titles.push(state.labels.scoped[prefix]);
+            }
+        });
+        return titles.concat(state.labels.free);
+    }
+
+    // Replaces every label selection. The `priority` group is also bridged on its own
+    // because the report keeps a dedicated priority field.
+    function setLabelSelection(scoped, free, shouldNotify) {
+        var previousPriority = state.labels.scoped.priority || null;
+        var previousTitles = selectedLabelTitles().join('\n');
+
+        state.labels.scoped = {};
+        state.labels.groups.forEach(function (prefix) {
+            var value = scoped && typeof scoped[prefix] === 'string' ? scoped[prefix].trim() : '';
+            if (value && labelScope(value) === prefix) {
+                state.labels.scoped[prefix] = value;
+            }
+        });
+        state.labels.free = [];
+        (Array.isArray(free) ? free : []).forEach(function (title) {
+            var value = typeof title === 'string' ? title.trim() : '';
+            if (value && labelScope(value) === null && state.labels.free.indexOf(value) === -1) {
+                state.labels.free.push(value);
+            }
+        });
+
+        if (!shouldNotify) {
+            return;
+        }
+        var priority = state.labels.scoped.priority || null;
+        if (priority !== previousPriority) {
+            postMessage({ action: 'updatePriority', priority: priority });
+        }
+        if (selectedLabelTitles().join('\n') !== previousTitles) {
+            postMessage({ action: 'updateLabels', labels: selectedLabelTitles() });
+            scheduleDraftSave();
+        }
+    }
+
+    // Splits a flat list of label titles into the scoped groups and the free selection.
+    function applyLabelTitles(titles, shouldNotify) {
+        var scoped = {};
+        var free = [];
+        (Array.isArray(titles) ? titles : []).forEach(function (title) {
+            if (typeof title !== 'string') {
+                return;
+            }
+            var scope = labelScope(title.trim());
+            if (scope === null) {
+                free.push(title);
+            } else if (state.labels.groups.indexOf(scope) !== -1) {
+                scoped[scope] = title.trim();
+            }
+        });
+        setLabelSelection(scoped, free, shouldNotify);
+    }
+
+    function renderLabelSwatch(label) {
+        var color = label && label.color ? label.color : 'var(--qc-border)';
+        return '<span class="label-swatch" style="background:' + color + '"></span>';
+    }
+
+    function renderScopedLabelGroups(disabled) {
+        var container = document.getElementById('labelGroups');
+        if (!container) {
+            return;
+        }
+        container.innerHTML = state.labels.groups.map(function (prefix, index) {
+            var options = labelsForGroup(prefix);
+            var selected = state.labels.scoped[prefix] || '';
+            var selectedLabel = null;
+            var optionsHtml = options.map(function (label) {
+                if (label.title === selected) {
+                    selectedLabel = label;
                 }
+                var value = label.title.substring(label.title.lastIndexOf(LABEL_SCOPE_SEPARATOR) + LABEL_SCOPE_SEPARATOR.length).trim();
+                return '<option value="' + escapeHtml(label.title) + '"' + (label.title === selected ? ' selected' : '') + '>' +
+                    escapeHtml(value || label.title) +
+                '</option>';
+            }).join('');
+            // Keep a restored selection visible until the labels arrive
+            if (selected && !selectedLabel) {
+                optionsHtml += '<option value="' + escapeHtml(selected) + '" selected>' + escapeHtml(selected) + '</option>';
+            }
+            var groupTitle = labelGroupTitle(prefix);
+            return '<div class="field-group label-group">' +
+                '<label class="field-label" for="labelSelect' + index + '">' + renderLabelSwatch(selectedLabel) + escapeHtml(groupTitle) + '</label>' +
+                '<select id="labelSelect' + index + '" onchange="updateScopedLabel(' + index + ')"' +
+                    (disabled || (!options.length && !selected) ? ' disabled' : '') + '>' +
+                    '<option value="">' + escapeHtml(t('labels.select', { group: prefix })) + '</option>' +
+                    optionsHtml +
+                '</select>' +
+            '</div>';
+        }).join('');
+    }
 
-                state.priority.isLoading = false;
-
-                if (json && json.code === 200 && Array.isArray(json.data)) {
-                    var prefix = 'priority::';
-                    var labels = [];
-                    json.data.forEach(function (item) {
-                        var title = item && typeof item.title === 'string' ? item.title.trim() : '';
-                        if (!title.length) {
-                            return;
-                        }
-                        var normalized = title.toLowerCase();
-                        if (normalized.indexOf(prefix) !== 0) {
-                            return;
-                        }
-                        var displayValue = title.substring(prefix.length).trim();
-                        if (!displayValue.length) {
-                            return;
-                        }
-                        if (labels.some(function (label) { return label.value === title; })) {
-                            return;
-                        }
-                        labels.push({ title: displayValue, value: title });
-                    });
-
-                    var previousSelection = state.priority.selected;
-                    state.priority.options = labels;
-                    state.priority.error = '';
-                    state.priority.lastFetchKey = cacheKey;
-                    if (previousSelection && !labels.some(function (label) { return label.value === previousSelection; })) {
-                        state.priority.selected = null;
-                        postMessage({ action: 'updatePriority', priority: null });
-                    }
-                    notifyNativeLog('Loaded GitLab priorities: count=' + labels.length);
-                } else {
-                    var message = (json && typeof json.message === 'string' && json.message.trim()) ? json.message.trim() : 'Unable to load priorities.';
-                    state.priority.options = [];
-                    state.priority.error = message;
-                    state.priority.lastFetchKey = null;
-                    notifyNativeLog('GitLab priority fetch failed: ' + message);
+    function renderFreeLabels(disabled) {
+        var container = document.getElementById('freeLabels');
+        if (!container) {
+            return;
+        }
+        var labels = unscopedLabels();
+        var group = document.getElementById('freeLabelsGroup');
+        if (group) {
+            group.style.display = labels.length ? 'block' : 'none';
+        }
+        container.innerHTML = labels.map(function (label, index) {
+            var isSelected = state.labels.free.indexOf(label.title) !== -1;
+            var style = '';
+            if (isSelected && label.color) {
+                style = ' style="background:' + label.color + ';border-color:' + label.color +
+                    (label.textColor ? ';color:' + label.textColor : '') + '"';
+            }
+            return '<button type="button" class="label-chip' + (isSelected ? ' is-selected' : '') + '"' + style +
+                ' aria-pressed="' + isSelected + '"' + (disabled ? ' disabled' : '') +
+                (label.description ? ' title="' + escapeHtml(label.description) + '"' : '') +
+                ' onclick="toggleFreeLabel(' + index + ')">' +
+                (isSelected ? '' : renderLabelSwatch(label)) + escapeHtml(label.title) +
+            '</button>';
+        }).join('');
+    }
+
+    function renderLabelControls() {
+        var status = document.getElementById('labelStatus');
+        if (!status) {
+            return;
+        }
+
+        var options = Array.isArray(state.labels.options) ? state.labels.options : [];
+        var endpoint = deriveMembersEndpoint(state.webhookURL);
+        var hasEndpoint = !!endpoint;
+        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
+        var hasProject = projectValue.length > 0;
+        var disabled = !!state.labels.isLoading || !hasEndpoint || !hasProject;
+
+        renderScopedLabelGroups(disabled);
+        renderFreeLabels(disabled);
+
+        status.textContent = '';
+        status.className = 'assign-status';
+        if (state.labels.isLoading) {
+            status.textContent = t('labels.loading');
+            status.classList.add('assign-status--loading');
+        } else if (state.labels.error) {
+            status.textContent = state.labels.error;
+            status.classList.add('assign-status--error');
+        } else if (state.labels.lastFetchKey && options.length === 0) {
+            status.textContent = t('labels.empty');
+        } else if (!hasEndpoint) {
+            status.textContent = t('labels.needsWebhook');
+        } else if (!hasProject) {
+            status.textContent = t('labels.needsProject');
+        }
+        // Re-rendering replaces the selects, and the selection may have changed
+        validateFields();
+    }
+
+    function scheduleLabelFetch(force) {
+        if (labelFetchTimeout) {
+            clearTimeout(labelFetchTimeout);
+        }
+
+        var endpoint = deriveMembersEndpoint(state.webhookURL);
+        if (!endpoint) {
+            return;
+        }
+
+        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
+        if (!projectValue.length) {
+            return;
+        }
+
+        labelFetchTimeout = setTimeout(function () {
+            fetchLabels(force);
+            labelFetchTimeout = null;
+        }, 400);
+    }
+
+    function fetchLabels(force) {
+        var currentWebhook = getWebhookInputValue();
+        state.webhookURL = currentWebhook;
+
+        var endpoint = deriveMembersEndpoint(currentWebhook);
+        if (!endpoint) {
+            return;
+        }
+
+        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
+        if (!projectValue.length) {
+            return;
+        }
+
+        var cacheKey = endpoint + '::labels::' + projectValue;
+
+        if (!force && state.labels.lastFetchKey === cacheKey && state.labels.options.length && !state.labels.error) {
+            return;
+        }
+
+        state.labels.isLoading = true;
+        state.labels.error = '';
+        renderLabelControls();
+
+        var payload = withGitLabMetadata({
+            project: projectValue
+        });
+
+        notifyNativeLog('Fetching GitLab labels (endpoint=' + endpoint + ', project=' + projectValue + ')');
+
+        webhookRequest('get_labels', payload, { endpoint: endpoint })
+            .then(unwrapWebhookData)
+            .then(function (data) {
+                if (!Array.isArray(data)) {
+                    throw createWebhookError('response', '');
                 }
+                var labels = normalizeLabels(data);
+                var known = {};
+                labels.forEach(function (label) {
+                    known[label.title] = true;
+                });
 
-                renderPriorityControls();
+                state.labels.isLoading = false;
+                state.labels.options = labels;
+                state.labels.error = '';
+                state.labels.lastFetchKey = cacheKey;
+                // Drop selections the project no longer has
+                applyLabelTitles(selectedLabelTitles().filter(function (title) {
+                    return known[title];
+                }), true);
+                renderLabelControls();
+                notifyNativeLog('Loaded GitLab labels: count=' + labels.length);
             })
-            .catch(function () {
-                if (state.priority.requestId !== requestId) {
+            .catch(function (error) {
+                if (error && error.kind === 'aborted') {
                     return;
                 }
-                state.priority.isLoading = false;
-                state.priority.options = [];
-                state.priority.error = 'Unable to load priorities.';
-                state.priority.lastFetchKey = null;
-                renderPriorityControls();
-                notifyNativeLog('GitLab priority fetch encountered a network error.');
+                var message = describeWebhookError(error, t('labels.loadFailed'));
+                state.labels.isLoading = false;
+                state.labels.options = [];
+                state.labels.error = message;
+                state.labels.lastFetchKey = null;
+                renderLabelControls();
+                notifyNativeLog('GitLab label fetch failed (' + (error && error.kind) + '): ' + message);
             });
     }
 
-    function postMessage(message) {
-        if (!window.webkit || !window.webkit.messageHandlers) {
-            return false;
-        }
-        var handler = window.webkit.messageHandlers[HANDLER_NAME];
-        if (!handler || typeof handler.postMessage !== 'function') {
-            return false;
-        }
-        handler.postMessage(message);
-        return true;
-    }
-
     function escapeHtml(value) {
         if (value === null || value === undefined) {
             return '';
@@ -654,29 +2055,6 @@
         return str.substring(0, frontLength) + '...' + str.substring(str.length - backLength) + extension;
     }
 
-    function updateSystemInfo() {
-        var deviceLabel = document.getElementById('deviceModel');
-        var systemLabel = document.getElementById('systemVersion');
-        var appLabel = document.getElementById('appVersion');
-        var screenLabel = document.getElementById('screenSize');
-
-        if (deviceLabel) {
-            deviceLabel.textContent = navigator.platform || 'Unknown';
-        }
-
-        if (systemLabel) {
-            systemLabel.textContent = navigator.userAgent || 'Unknown';
-        }
-
-        if (appLabel) {
-            appLabel.textContent = '1.0.0';
-        }
-
-        if (screenLabel) {
-            screenLabel.textContent = (window.screen.width || '?') + '×' + (window.screen.height || '?');
-        }
-    }
-
     function updateGitLabSection() {
         var section = document.getElementById('gitlabSection');
         var loginButton = document.getElementById('gitlabLoginButton');
@@ -713,7 +2091,7 @@
                 loginButton.textContent = 'GitLab';
             }
         } else if (gitlab.isAuthenticated) {
-            usernameLabel.textContent = gitlab.username || 'Connected';
+            usernameLabel.textContent = gitlab.username || t('gitlab.connected');
             authState.style.display = 'flex';
             loginButton.style.display = 'none';
         } else if (gitlab.requiresLogin) {
@@ -725,7 +2103,7 @@
     }
 
     window.triggerGitLabLogin = function () {
-        if (!postMessage({ action: 'gitlabLogin' })) {
+        if (!hasNativeBridge()) {
             return;
         }
 
@@ -733,12 +2111,18 @@
         state.gitlab.isLoading = true;
         state.gitlab.requiresLogin = true;
         updateGitLabSection();
+        bridgeRequest('gitlabLogin').catch(function (error) {
+            notifyNativeLog('gitlabLogin failed (' + error.code + '): ' + error.message);
+            state.gitlab.isLoading = false;
+            updateGitLabSection();
+        });
     };
 
     window.logoutGitLab = function () {
-        if (!postMessage({ action: 'gitlabLogout' })) {
+        if (!hasNativeBridge()) {
             return;
         }
+        bridgeRequestLoggingFailure('gitlabLogout');
 
         state.gitlab.isLoading = true;
         state.gitlab.isAuthenticated = false;
@@ -764,490 +2148,4146 @@
         if (!field) {
             return;
         }
-        postMessage({
+        postUpdate({
             action: 'updateDescription',
             description: field.value
         });
+        refreshMarkdownPreview('bugDescription');
         validateFields();
+        scheduleDraftSave();
+        scheduleDuplicateSearch();
+        schedulePrivacyScan();
+        renderLLMPreview(false);
     };
 
-    window.updatePriority = function () {
-        var field = document.getElementById('prioritySelect');
-        if (!field) {
+    window.updateScopedLabel = function (index) {
+        var prefix = state.labels.groups[index];
+        var field = document.getElementById('labelSelect' + index);
+        if (!prefix || !field) {
             return;
         }
-        var value = typeof field.value === 'string' ? field.value.trim() : '';
-        var priority = value.length ? value : null;
-        state.priority.selected = priority;
-        renderPriorityControls();
-        postMessage({
-            action: 'updatePriority',
-            priority: priority
+        var scoped = {};
+        Object.keys(state.labels.scoped).forEach(function (key) {
+            scoped[key] = state.labels.scoped[key];
         });
+        scoped[prefix] = typeof field.value === 'string' ? field.value : '';
+        setLabelSelection(scoped, state.labels.free, true);
+        renderLabelControls();
     };
 
-    window.setInitialPriority = function (value) {
-        var priority = null;
-        if (typeof value === 'string') {
-            var trimmed = value.trim();
-            if (trimmed.length) {
-                priority = trimmed;
-            }
+    window.toggleFreeLabel = function (index) {
+        var label = unscopedLabels()[index];
+        if (!label) {
+            return;
+        }
+        var free = state.labels.free.slice();
+        var position = free.indexOf(label.title);
+        if (position === -1) {
+            free.push(label.title);
+        } else {
+            free.splice(position, 1);
         }
-        state.priority.selected = priority;
-        renderPriorityControls();
+        setLabelSelection(state.labels.scoped, free, true);
+        renderLabelControls();
     };
 
-    window.updateWebhookURL = function () {
+    function normalizeLabelGroups(prefixes) {
+        var groups = [];
+        (Array.isArray(prefixes) ? prefixes : []).forEach(function (prefix) {
+            var value = typeof prefix === 'string' ? prefix.trim().toLowerCase() : '';
+            if (value.length > 2 && value.slice(-2) === LABEL_SCOPE_SEPARATOR) {
+                value = value.slice(0, -2);
+            }
+            if (value && groups.indexOf(value) === -1) {
+                groups.push(value);
+            }
+        });
+        return groups;
+    }
+
+    window.setLabelGroups = function (prefixes) {
+        var titles = selectedLabelTitles();
+        state.labels.groups = normalizeLabelGroups(prefixes);
+        applyLabelTitles(titles, true);
+        renderLabelControls();
+    };
+
+    window.setInitialPriority = function (value) {
+        var scoped = {};
+        Object.keys(state.labels.scoped).forEach(function (key) {
+            scoped[key] = state.labels.scoped[key];
+        });
+        scoped.priority = typeof value === 'string' ? value.trim() : '';
+        setLabelSelection(scoped, state.labels.free, false);
+        renderLabelControls();
+    };
+
+    window.setInitialLabels = function (titles) {
+        applyLabelTitles(titles, false);
+        renderLabelControls();
+    };
+
+    // Picks up the webhook field and refreshes everything that depends on it.
+    // Returns whether the URL changed.
+    function applyWebhookURL() {
         var trimmed = getWebhookInputValue();
         var previous = state.webhookURL;
         state.webhookURL = trimmed;
         renderAssignControls();
-        renderPriorityControls();
+        renderLabelControls();
 
         if (previous !== trimmed) {
             if (!trimmed) {
                 resetAssignState(true);
-                resetPriorityState(true);
+                resetLabelState(true);
             } else {
                 scheduleAssigneeFetch(true);
-                schedulePriorityFetch(true);
+                scheduleLabelFetch(true);
             }
+            scheduleTemplateFetch(true);
+            refreshParentIssueLookup();
+            scheduleDuplicateSearch();
             // Re-check LLM support when webhook URL changes
             checkLLMSupport();
         }
+        return previous !== trimmed;
+    }
 
-        if (previous === trimmed) {
+    window.updateWebhookURL = function () {
+        if (!applyWebhookURL()) {
             return;
         }
 
         postMessage({
             action: 'updateWebhookURL',
-            webhookURL: trimmed
+            webhookURL: state.webhookURL
         });
+        scheduleDraftSave();
     };
 
-    window.updateAssignee = function () {
-        var select = document.getElementById('assigneeSelect');
-        if (!select) {
-            return;
-        }
-        var value = typeof select.value === 'string' ? select.value.trim() : '';
-        var username = value ? value : null;
-        state.assign.selected = username;
+    window.setInitialAssignees = function (usernames) {
+        setMemberSelection('assignees', usernames, false);
         renderAssignControls();
-        postMessage({
-            action: 'updateAssignee',
-            username: username
-        });
     };
 
-    window.setInitialAssignee = function (username) {
-        var value = typeof username === 'string' ? username.trim() : '';
-        state.assign.selected = value ? value : null;
+    window.setInitialWatchers = function (usernames) {
+        setMemberSelection('watchers', usernames, false);
         renderAssignControls();
     };
 
-    window.updateIssueNumber = function () {
-        var field = document.getElementById('issueNumberInput');
-        if (!field) {
-            return;
+    // Normalises a GitLab issue from `lookup_issue`/`find_duplicates` into {iid, title, state, assignee, webURL}.
+    function normalizeIssue(item) {
+        if (!item || typeof item !== 'object') {
+            return null;
+        }
+        var iid = parseInt(item.iid, 10);
+        if (!isFinite(iid) || iid < 0) {
+            return null;
+        }
+        var assignees = Array.isArray(item.assignees) ? item.assignees : (item.assignee ? [item.assignee] : []);
+        var assigneeNames = assignees.map(function (assignee) {
+            return assignee && (assignee.name || assignee.username);
+        }).filter(function (name) {
+            return typeof name === 'string' && name.length;
+        });
+        return {
+            iid: iid,
+            title: typeof item.title === 'string' ? item.title : '',
+            state: item.state === 'closed' ? 'closed' : 'opened',
+            assignee: assigneeNames.join(', '),
+            webURL: typeof item.web_url === 'string' ? item.web_url : null
+        };
+    }
+
+    function normalizeIssues(data) {
+        var items = Array.isArray(data) ? data : (data ? [data] : []);
+        return items.map(normalizeIssue).filter(function (issue) {
+            return issue !== null;
+        });
+    }
+
+    function resetParentIssueLookup() {
+        if (issueLookupTimeout) {
+            clearTimeout(issueLookupTimeout);
+            issueLookupTimeout = null;
         }
-        var value = typeof field.value === 'string' ? field.value : '';
-        var sanitized = value.replace(/[^0-9]/g, '');
-        if (sanitized !== value) {
-            field.value = sanitized;
+        cancelWebhookRequest('lookup_issue');
+        var lookup = state.parentIssue;
+        lookup.isLoading = false;
+        lookup.error = '';
+        lookup.issue = null;
+        lookup.notFound = false;
+        lookup.results = [];
+        lookup.isOpen = false;
+        lookup.activeIndex = -1;
+    }
+
+    // Re-resolves the current query, e.g. after the webhook or project changed
+    function refreshParentIssueLookup() {
+        resetParentIssueLookup();
+        scheduleParentIssueLookup();
+    }
+
+    // Sets the issue number bridged to native; `''` means a new issue is created.
+    function setParentIssueNumber(numericString) {
+        if (state.issueNumber === numericString) {
+            return;
         }
-        state.issueNumber = sanitized;
+        state.issueNumber = numericString;
         postMessage({
             action: 'updateIssueNumber',
-            issueNumber: sanitized.length ? parseInt(sanitized, 10) : null
+            issueNumber: numericString.length ? parseInt(numericString, 10) : null
         });
-    };
+        scheduleDraftSave();
+    }
 
-    window.setInitialIssueNumber = function (value) {
-        var numericString = '';
-        if (typeof value === 'number' && isFinite(value)) {
-            numericString = Math.max(0, Math.floor(value)).toString();
-        } else if (typeof value === 'string') {
-            numericString = value.replace(/[^0-9]/g, '');
+    function scheduleParentIssueLookup() {
+        if (issueLookupTimeout) {
+            clearTimeout(issueLookupTimeout);
+            issueLookupTimeout = null;
         }
-        state.issueNumber = numericString;
-        var field = document.getElementById('issueNumberInput');
-        if (field) {
-            field.value = numericString;
+        var query = state.parentIssue.query;
+        var endpoint = deriveMembersEndpoint(state.webhookURL);
+        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
+        var isNumber = /^\d+$/.test(query);
+        if (!endpoint || !projectValue.length || !query || (!isNumber && query.length < ISSUE_SEARCH_MIN_LENGTH)) {
+            renderParentIssue();
+            return;
         }
-    };
-
-    window.onGitLabAuthReady = function (payload) {
-        payload = payload || {};
-        state.gitlab.isAuthenticated = !!payload.isAuthenticated;
-        state.gitlab.requiresLogin = !!payload.requiresLogin;
-        state.gitlab.isLoading = !!payload.isLoading;
-        state.gitlab.username = typeof payload.username === 'string' && payload.username.length ? payload.username : null;
-        state.gitlab.pat = typeof payload.pat === 'string' && payload.pat.length ? payload.pat : null;
-        var previousProject = state.gitlab.project;
-        var projectValue = typeof payload.project === 'string' ? payload.project.trim() : '';
-        state.gitlab.project = projectValue.length ? projectValue : null;
-        state.gitlab.error = payload.error ? String(payload.error) : '';
-        state.gitlab.available = state.gitlab.requiresLogin || state.gitlab.isAuthenticated || !!state.gitlab.error || state.gitlab.isLoading;
-        updateGitLabSection();
+        state.parentIssue.isLoading = true;
+        renderParentIssue();
+        issueLookupTimeout = setTimeout(function () {
+            issueLookupTimeout = null;
+            lookupParentIssue(endpoint, projectValue, query);
+        }, ISSUE_LOOKUP_DELAY_MS);
+    }
 
-        if (state.gitlab.project !== previousProject) {
-            if (state.gitlab.project) {
-                scheduleAssigneeFetch(true);
-                schedulePriorityFetch(true);
-            } else {
-                resetAssignState(true);
-                resetPriorityState(true);
-            }
+    function lookupParentIssue(endpoint, projectValue, query) {
+        var isNumber = /^\d+$/.test(query);
+        var payload = withGitLabMetadata({ project: projectValue });
+        if (isNumber) {
+            payload.iid = parseInt(query, 10);
+        } else {
+            payload.search = query;
+            payload.limit = ISSUE_SEARCH_LIMIT;
         }
 
-        renderAssignControls();
-        renderPriorityControls();
-    };
+        webhookRequest('lookup_issue', payload, { endpoint: endpoint, retries: 1 })
+            .then(unwrapWebhookData)
+            .then(function (data) {
+                if (state.parentIssue.query !== query) {
+                    return;
+                }
+                var issues = normalizeIssues(data);
+                var lookup = state.parentIssue;
+                lookup.isLoading = false;
+                lookup.error = '';
+                if (isNumber) {
+                    var match = issues.filter(function (issue) {
+                        return String(issue.iid) === query;
+                    })[0] || null;
+                    lookup.issue = match;
+                    lookup.notFound = !match;
+                    lookup.results = [];
+                    lookup.isOpen = false;
+                } else {
+                    lookup.results = issues;
+                    lookup.isOpen = true;
+                    lookup.activeIndex = issues.length ? 0 : -1;
+                }
+                renderParentIssue();
+            })
+            .catch(function (error) {
+                if ((error && error.kind === 'aborted') || state.parentIssue.query !== query) {
+                    return;
+                }
+                // A 404 from the lookup means the number does not exist in this project
+                if (isNumber && error && error.kind === 'response' && error.status === 404) {
+                    state.parentIssue.isLoading = false;
+                    state.parentIssue.notFound = true;
+                    state.parentIssue.issue = null;
+                    renderParentIssue();
+                    return;
+                }
+                state.parentIssue.isLoading = false;
+                state.parentIssue.error = describeWebhookError(error, t('issue.lookupFailed'));
+                renderParentIssue();
+                notifyNativeLog('Parent issue lookup failed (' + (error && error.kind) + '): ' + state.parentIssue.error);
+            });
+    }
 
-    window.loadActionHistory = function (actions) {
-        state.actionHistory = Array.isArray(actions) ? actions : [];
-        renderActionHistory();
-    };
+    function renderIssueState(issue) {
+        return '<span class="issue-state issue-state--' + issue.state + '">' + escapeHtml(t(issue.state === 'closed' ? 'common.issueClosed' : 'common.issueOpen')) + '</span>';
+    }
 
-    function renderActionHistory() {
-        var timeline = document.getElementById('actionsTimeline');
-        if (!timeline) {
+    function renderParentIssueResults() {
+        var listbox = document.getElementById('issueSearchListbox');
+        var input = document.getElementById('issueNumberInput');
+        if (!listbox || !input) {
             return;
         }
-
-        if (!state.actionHistory.length) {
-            timeline.innerHTML = '<div class="empty-state">No user actions recorded</div>';
+        var lookup = state.parentIssue;
+        input.setAttribute('aria-expanded', String(lookup.isOpen));
+        if (!lookup.isOpen) {
+            listbox.style.display = 'none';
+            listbox.innerHTML = '';
+            input.removeAttribute('aria-activedescendant');
             return;
         }
+        if (!lookup.results.length) {
+            listbox.innerHTML = '<li class="assignee-listbox-empty" role="presentation">' + escapeHtml(t('issue.noMatch', { query: lookup.query })) + '</li>';
+        } else {
+            listbox.innerHTML = lookup.results.map(function (issue, index) {
+                return '<li id="issueOption' + index + '" role="option" class="assignee-option' + (index === lookup.activeIndex ? ' is-active' : '') + '" aria-selected="false"' +
+                    ' onmousedown="event.preventDefault()" onclick="pickParentIssue(' + index + ')">' +
+                        '<span class="assignee-option-text">' +
+                            '<span class="assignee-option-name">#' + issue.iid + ' ' + escapeHtml(issue.title) + '</span>' +
+                            '<span class="assignee-option-username">' + escapeHtml(t(issue.state === 'closed' ? 'common.issueClosed' : 'common.issueOpen')) +
+                                (issue.assignee ? ' · ' + escapeHtml(issue.assignee) : '') +
+                            '</span>' +
+                        '</span>' +
+                    '</li>';
+            }).join('');
+        }
+        listbox.style.display = 'block';
+        if (lookup.activeIndex >= 0) {
+            input.setAttribute('aria-activedescendant', 'issueOption' + lookup.activeIndex);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
 
-        var html = state.actionHistory.map(function (action) {
-            var timestamp = action && action.timestamp ? new Date(action.timestamp) : new Date();
-            var actionType = action && action.actionType ? String(action.actionType) : 'unknown';
-            var screenName = action && action.screenName ? escapeHtml(action.screenName) : 'Unknown Screen';
-            var description = getActionDescription(action);
+    function renderParentIssue() {
+        var box = document.getElementById('issueLookup');
+        if (!box) {
+            return;
+        }
+        var lookup = state.parentIssue;
+        var isNumber = /^\d+$/.test(lookup.query);
+        var html = '';
+        box.className = 'issue-lookup';
+
+        if (lookup.isLoading) {
+            html = escapeHtml(isNumber ? t('issue.lookingUp', { number: lookup.query }) : t('issue.searching'));
+            box.classList.add('assign-status--loading');
+        } else if (lookup.error) {
+            html = escapeHtml(lookup.error);
+            box.classList.add('assign-status--error');
+        } else if (lookup.notFound) {
+            html = escapeHtml(t('issue.notFound', { number: lookup.query }));
+            box.classList.add('issue-lookup--warning');
+        } else if (lookup.issue) {
+            var issue = lookup.issue;
+            html = '<div class="issue-card">' +
+                '<div class="issue-card-title">' + renderIssueState(issue) + ' #' + issue.iid + ' ' + escapeHtml(issue.title || t('common.untitledIssue')) + '</div>' +
+                '<div class="issue-card-meta">' + escapeHtml(issue.assignee ? t('common.assignedTo', { name: issue.assignee }) : t('common.unassigned')) + '</div>' +
+            '</div>';
+            if (issue.state === 'closed') {
+                html += '<div class="issue-lookup-warning">' + escapeHtml(t('issue.closedWarning')) + '</div>';
+            }
+        } else if (lookup.query && !isNumber && lookup.query.length < ISSUE_SEARCH_MIN_LENGTH) {
+            html = escapeHtml(t('issue.minLength', { count: ISSUE_SEARCH_MIN_LENGTH }));
+        }
 
-            return '' +
-                '<div class="action-item">' +
-                    '<div class="action-icon ' + actionType + '">' + getActionIcon(actionType) + '</div>' +
-                    '<div class="action-details">' +
-                        '<div class="action-screen">' + screenName + '</div>' +
-                        '<div class="action-description">' + description + '</div>' +
-                    '</div>' +
-                    '<div class="action-time">' + getTimeAgo(timestamp) + '</div>' +
-                '</div>';
+        box.innerHTML = html;
+        box.style.display = html ? 'block' : 'none';
+        renderParentIssueResults();
+
+        var relation = document.getElementById('issueRelationGroup');
+        if (relation) {
+            relation.style.display = state.issueNumber ? 'flex' : 'none';
+        }
+        var relationSelect = document.getElementById('issueRelationSelect');
+        if (relationSelect) {
+            relationSelect.value = state.issueRelation;
+        }
+    }
+
+    // Accepts `123`, `#123` or free text. Only a resolved number is bridged to native.
+    window.updateIssueNumber = function () {
+        var field = document.getElementById('issueNumberInput');
+        if (!field) {
+            return;
+        }
+        var value = typeof field.value === 'string' ? field.value.trim() : '';
+        var query = value.replace(/^#\s*/, '');
+        resetParentIssueLookup();
+        state.parentIssue.query = query;
+        setParentIssueNumber(/^\d+$/.test(query) ? String(parseInt(query, 10)) : '');
+        scheduleParentIssueLookup();
+    };
+
+    window.pickParentIssue = function (index) {
+        var issue = state.parentIssue.results[index];
+        if (!issue) {
+            return;
+        }
+        var field = document.getElementById('issueNumberInput');
+        if (field) {
+            field.value = String(issue.iid);
+        }
+        resetParentIssueLookup();
+        state.parentIssue.query = String(issue.iid);
+        state.parentIssue.issue = issue;
+        setParentIssueNumber(String(issue.iid));
+        renderParentIssue();
+    };
+
+    window.handleIssueNumberKeydown = function (event) {
+        var lookup = state.parentIssue;
+        if (!event || !lookup.isOpen) {
+            return;
+        }
+        var count = lookup.results.length;
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                lookup.activeIndex = count ? (lookup.activeIndex + 1) % count : -1;
+                renderParentIssueResults();
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                lookup.activeIndex = count ? (lookup.activeIndex - 1 + count) % count : -1;
+                renderParentIssueResults();
+                break;
+            case 'Enter':
+                if (lookup.activeIndex >= 0) {
+                    event.preventDefault();
+                    window.pickParentIssue(lookup.activeIndex);
+                }
+                break;
+            case 'Escape':
+                event.preventDefault();
+                lookup.isOpen = false;
+                renderParentIssueResults();
+                break;
+            default:
+                break;
+        }
+    };
+
+    window.closeIssueSearch = function () {
+        if (state.parentIssue.isOpen) {
+            state.parentIssue.isOpen = false;
+            renderParentIssueResults();
+        }
+    };
+
+    window.setInitialIssueNumber = function (value) {
+        var numericString = '';
+        if (typeof value === 'number' && isFinite(value)) {
+            numericString = Math.max(0, Math.floor(value)).toString();
+        } else if (typeof value === 'string') {
+            numericString = value.replace(/[^0-9]/g, '');
+        }
+        state.issueNumber = numericString;
+        var field = document.getElementById('issueNumberInput');
+        if (field) {
+            field.value = numericString;
+        }
+        state.parentIssue.query = numericString;
+        refreshParentIssueLookup();
+    };
+
+    window.updateIssueRelation = function () {
+        var field = document.getElementById('issueRelationSelect');
+        var relation = field && field.value === 'comment' ? 'comment' : 'child';
+        if (relation === state.issueRelation) {
+            return;
+        }
+        state.issueRelation = relation;
+        postMessage({ action: 'updateIssueRelation', relation: relation });
+        scheduleDraftSave();
+    };
+
+    window.setInitialIssueRelation = function (relation) {
+        state.issueRelation = relation === 'comment' ? 'comment' : 'child';
+        renderParentIssue();
+    };
+
+    // MARK: Duplicate detection
+
+    function duplicateSearchText() {
+        var modeManual = document.getElementById('modeManual');
+        var text = readFieldValue(modeManual && modeManual.checked ? 'manualWhat' : 'bugDescription');
+        return text.replace(/\s+/g, ' ').trim().substring(0, DUPLICATE_QUERY_MAX_LENGTH);
+    }
+
+    function resetDuplicates() {
+        if (duplicateSearchTimeout) {
+            clearTimeout(duplicateSearchTimeout);
+            duplicateSearchTimeout = null;
+        }
+        cancelWebhookRequest('find_duplicates');
+        state.duplicates.isLoading = false;
+        state.duplicates.error = '';
+        state.duplicates.results = [];
+        state.duplicates.lastQueryKey = null;
+    }
+
+    function scheduleDuplicateSearch() {
+        if (duplicateSearchTimeout) {
+            clearTimeout(duplicateSearchTimeout);
+            duplicateSearchTimeout = null;
+        }
+
+        var endpoint = deriveMembersEndpoint(state.webhookURL);
+        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
+        var text = duplicateSearchText();
+        var screen = state.currentScreen || '';
+        if (text.length < DUPLICATE_MIN_TEXT_LENGTH) {
+            text = '';
+        }
+        if (!endpoint || !projectValue.length || (!text && !screen)) {
+            resetDuplicates();
+            renderDuplicates();
+            return;
+        }
+
+        var queryKey = [endpoint, projectValue, screen, text].join('::');
+        if (queryKey === state.duplicates.lastQueryKey) {
+            return;
+        }
+
+        duplicateSearchTimeout = setTimeout(function () {
+            duplicateSearchTimeout = null;
+            fetchDuplicates(endpoint, projectValue, text, screen, queryKey);
+        }, DUPLICATE_SEARCH_DELAY_MS);
+    }
+
+    function fetchDuplicates(endpoint, projectValue, text, screen, queryKey) {
+        state.duplicates.isLoading = true;
+        state.duplicates.error = '';
+        state.duplicates.lastQueryKey = queryKey;
+        renderDuplicates();
+
+        webhookRequest('find_duplicates', withGitLabMetadata({
+            project: projectValue,
+            text: text,
+            screen: screen || null,
+            state: 'opened',
+            limit: DUPLICATE_LIMIT
+        }), { endpoint: endpoint, retries: 1 })
+            .then(unwrapWebhookData)
+            .then(function (data) {
+                state.duplicates.isLoading = false;
+                state.duplicates.results = normalizeIssues(data).filter(function (issue) {
+                    return issue.state === 'opened';
+                }).slice(0, DUPLICATE_LIMIT);
+                renderDuplicates();
+            })
+            .catch(function (error) {
+                if (error && error.kind === 'aborted') {
+                    return;
+                }
+                state.duplicates.isLoading = false;
+                state.duplicates.results = [];
+                // Forget the key so the same text is retried on the next edit
+                state.duplicates.lastQueryKey = null;
+                state.duplicates.error = describeWebhookError(error, t('duplicates.failed'));
+                renderDuplicates();
+                notifyNativeLog('Duplicate search failed (' + (error && error.kind) + '): ' + state.duplicates.error);
+            });
+    }
+
+    function renderDuplicates() {
+        var panel = document.getElementById('duplicatesPanel');
+        var list = document.getElementById('duplicatesList');
+        var status = document.getElementById('duplicatesStatus');
+        if (!panel || !list || !status) {
+            return;
+        }
+        var duplicates = state.duplicates;
+        var hasResults = duplicates.results.length > 0;
+        panel.style.display = (duplicates.isLoading || duplicates.error || hasResults) ? 'block' : 'none';
+
+        status.className = 'assign-status';
+        if (duplicates.isLoading) {
+            status.textContent = t('duplicates.checking');
+            status.classList.add('assign-status--loading');
+        } else if (duplicates.error) {
+            status.textContent = duplicates.error;
+            status.classList.add('assign-status--error');
+        } else {
+            status.textContent = hasResults ? t('duplicates.found') : '';
+        }
+
+        list.innerHTML = duplicates.results.map(function (issue, index) {
+            var isLinked = state.issueNumber === String(issue.iid);
+            return '<li class="duplicate-item' + (isLinked ? ' is-linked' : '') + '">' +
+                '<div class="duplicate-item-title">#' + issue.iid + ' ' + escapeHtml(issue.title || t('common.untitledIssue')) + '</div>' +
+                '<div class="issue-card-meta">' + escapeHtml(issue.assignee ? t('common.assignedTo', { name: issue.assignee }) : t('common.unassigned')) + '</div>' +
+                '<div class="duplicate-item-actions">' +
+                    (issue.webURL ? '<button type="button" class="gitlab-button gitlab-button--link" onclick="openDuplicateIssue(' + index + ')">' + escapeHtml(t('common.open')) + '</button>' : '') +
+                    '<button type="button" class="gitlab-button" onclick="linkDuplicateIssue(' + index + ', \'comment\')">' + escapeHtml(t('duplicates.addComment')) + '</button>' +
+                    '<button type="button" class="gitlab-button" onclick="linkDuplicateIssue(' + index + ', \'child\')">' + escapeHtml(t('duplicates.createChild')) + '</button>' +
+                '</div>' +
+            '</li>';
         }).join('');
+    }
+
+    window.openDuplicateIssue = function (index) {
+        var issue = state.duplicates.results[index];
+        if (issue && issue.webURL) {
+            openExternalURL(issue.webURL).catch(function () {
+                state.duplicates.error = t('common.openLinkFailed');
+                renderDuplicates();
+            });
+        }
+    };
+
+    // Links the report to an existing issue by pre-filling the parent issue field
+    window.linkDuplicateIssue = function (index, relation) {
+        var issue = state.duplicates.results[index];
+        var field = document.getElementById('issueNumberInput');
+        if (!issue || !field) {
+            return;
+        }
+        var relationSelect = document.getElementById('issueRelationSelect');
+        if (relationSelect) {
+            relationSelect.value = relation === 'comment' ? 'comment' : 'child';
+        }
+        window.updateIssueRelation();
+        field.value = String(issue.iid);
+        window.updateIssueNumber();
+        renderDuplicates();
+    };
+
+    window.setCurrentScreen = function (name) {
+        var screen = typeof name === 'string' ? name.trim() : '';
+        state.currentScreen = screen.length ? screen : null;
+        scheduleDuplicateSearch();
+    };
+
+    window.onGitLabAuthReady = function (payload) {
+        payload = payload || {};
+        state.gitlab.isAuthenticated = !!payload.isAuthenticated;
+        state.gitlab.requiresLogin = !!payload.requiresLogin;
+        state.gitlab.isLoading = !!payload.isLoading;
+        state.gitlab.username = typeof payload.username === 'string' && payload.username.length ? payload.username : null;
+        state.gitlab.pat = typeof payload.pat === 'string' && payload.pat.length ? payload.pat : null;
+        var previousProject = state.gitlab.project;
+        var projectValue = typeof payload.project === 'string' ? payload.project.trim() : '';
+        state.gitlab.project = projectValue.length ? projectValue : null;
+        state.gitlab.error = payload.error ? String(payload.error) : '';
+        state.gitlab.available = state.gitlab.requiresLogin || state.gitlab.isAuthenticated || !!state.gitlab.error || state.gitlab.isLoading;
+        updateGitLabSection();
+
+        if (state.gitlab.project !== previousProject) {
+            if (state.gitlab.project) {
+                scheduleAssigneeFetch(true);
+                scheduleLabelFetch(true);
+            } else {
+                resetAssignState(true);
+                resetLabelState(true);
+            }
+            scheduleTemplateFetch(true);
+            refreshParentIssueLookup();
+            scheduleDuplicateSearch();
+        }
+
+        renderAssignControls();
+        renderLabelControls();
+    };
 
-        timeline.innerHTML = html;
+    function getLocalStorage() {
+        try {
+            var storage = window.localStorage;
+            if (!storage) {
+                return null;
+            }
+            var probe = 'qcBugReport:probe';
+            storage.setItem(probe, '1');
+            storage.removeItem(probe);
+            return storage;
+        } catch (error) {
+            return null;
+        }
     }
 
-    function getActionIcon(actionType) {
-        var icons = {
-            screen_view: '👁️',
-            screen_disappear: '👋',
-            button_tap: '👆',
-            text_input: '⌨️',
-            textfield_tap: '📝',
-            scroll: '📜',
-            swipe: '👋',
-            pinch: '🤏',
-            long_press: '👆',
-            segmented_control_tap: '🎛️',
-            switch_toggle: '🔘',
-            slider_change: '🎚️',
-            alert_action: '⚠️',
-            navigation_back: '←',
-            tab_change: '📑',
-            modal_present: '📋',
-            modal_dismiss: '✕'
+    // MARK: Snapshot
+
+    // Bump together with BugReportFormSnapshot.currentSchemaVersion when a key changes meaning
+    var SNAPSHOT_SCHEMA_VERSION = 1;
+    // Snapshot keys for the free-text fields, by element id
+    var SNAPSHOT_TEXT_FIELDS = {
+        description: 'bugDescription',
+        manualTitle: 'manualTitle',
+        manualWhat: 'manualWhat',
+        manualSteps: 'manualSteps',
+        manualExpected: 'manualExpected'
+    };
+
+    function snapshotHas(snapshot, key) {
+        return Object.prototype.hasOwnProperty.call(snapshot, key);
+    }
+
+    // Attachments in the shape native sends them: capture time in milliseconds since 1970
+    function serializeMedia(media) {
+        return {
+            type: media.type,
+            fileURL: media.fileURL,
+            fileName: media.fileName,
+            timestamp: media.timestamp ? media.timestamp.getTime() : null,
+            fileSize: media.fileSize,
+            duration: media.duration,
+            caption: media.caption
         };
-        return icons[actionType] || '❓';
     }
 
-    function getActionDescription(action) {
-        if (!action) {
-            return 'User action';
+    // Attachments already on the page keep their local previews
+    function hydrateMedia(list) {
+        var previews = {};
+        state.capturedMedia.forEach(function (media) {
+            previews[media.fileURL] = media;
+        });
+        state.capturedMedia = (Array.isArray(list) ? list : []).filter(Boolean).map(function (item) {
+            var media = normalizeMedia(item);
+            var previous = previews[media.fileURL];
+            if (previous && !media.previewURL && !media.previewText) {
+                media.previewURL = previous.previewURL;
+                media.previewText = previous.previewText;
+            }
+            return media;
+        });
+        updateMediaList();
+    }
+
+    // Renders a whole form state from native in one pass; keys left out keep their current value.
+    // Native already holds these values, so only the validation verdict is posted back.
+    // Returns the snapshot schema version this page understands.
+    window.hydrate = function (snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            return SNAPSHOT_SCHEMA_VERSION;
+        }
+        if (snapshotHas(snapshot, 'schemaVersion') && snapshot.schemaVersion !== SNAPSHOT_SCHEMA_VERSION) {
+            notifyNativeLog('Hydrating snapshot schema ' + snapshot.schemaVersion + ' on page schema ' + SNAPSHOT_SCHEMA_VERSION);
+        }
+
+        // Translate first so everything rendered below uses the device language
+        if (snapshotHas(snapshot, 'locale')) {
+            window.setLocale(snapshot.locale);
+        }
+        if (snapshotHas(snapshot, 'theme')) {
+            window.setTheme(snapshot.theme);
+        }
+        if (snapshotHas(snapshot, 'validation')) {
+            applyValidationConfig(snapshot.validation);
+        }
+        if (snapshotHas(snapshot, 'reportTemplates')) {
+            window.setReportTemplates(snapshot.reportTemplates);
+        }
+
+        // Assignees last, so they drop out of the watchers the same way they do when picked
+        if (snapshotHas(snapshot, 'watchers')) {
+            setMemberSelection('watchers', snapshot.watchers, false);
+        }
+        if (snapshotHas(snapshot, 'assignees')) {
+            setMemberSelection('assignees', snapshot.assignees, false);
+        }
+        var labels = snapshotHas(snapshot, 'labels') ? snapshot.labels : selectedLabelTitles();
+        if (snapshotHas(snapshot, 'labelGroups')) {
+            state.labels.groups = normalizeLabelGroups(snapshot.labelGroups);
+        }
+        applyLabelTitles(labels, false);
+        if (snapshotHas(snapshot, 'priority')) {
+            window.setInitialPriority(snapshot.priority);
+        }
+        renderAssignControls();
+        renderLabelControls();
+
+        if (snapshotHas(snapshot, 'issueRelation')) {
+            window.setInitialIssueRelation(snapshot.issueRelation);
+        }
+        if (snapshotHas(snapshot, 'issueNumber')) {
+            window.setInitialIssueNumber(snapshot.issueNumber === null ? '' : snapshot.issueNumber);
+        }
+        if (snapshotHas(snapshot, 'currentScreen')) {
+            window.setCurrentScreen(snapshot.currentScreen);
+        }
+        if (snapshotHas(snapshot, 'environment')) {
+            window.setEnvironment(snapshot.environment);
+        }
+
+        if (snapshotHas(snapshot, 'mode')) {
+            applyMode(snapshot.mode === 'manual' ? 'manual' : 'llm');
+        }
+        Object.keys(SNAPSHOT_TEXT_FIELDS).forEach(function (key) {
+            if (snapshotHas(snapshot, key)) {
+                setFieldValue(SNAPSHOT_TEXT_FIELDS[key], snapshot[key]);
+            }
+        });
+        if (snapshotHas(snapshot, 'webhookURL')) {
+            setFieldValue('webhookURL', snapshot.webhookURL);
+            applyWebhookURL();
+        }
+        if (snapshotHas(snapshot, 'media')) {
+            hydrateMedia(snapshot.media);
+        }
+
+        if (snapshotHas(snapshot, 'redactionRules')) {
+            window.setRedactionRules(snapshot.redactionRules);
+        } else {
+            schedulePrivacyScan();
+        }
+        scheduleDuplicateSearch();
+        validateFields();
+        return SNAPSHOT_SCHEMA_VERSION;
+    };
+
+    // The full form state in the shape `hydrate` takes, so a form can be saved and restored exactly
+    window.getSnapshot = function () {
+        var modeManual = document.getElementById('modeManual');
+        var environment = null;
+        if (state.environment.data) {
+            environment = {};
+            Object.keys(state.environment.data).forEach(function (key) {
+                environment[key] = state.environment.data[key];
+            });
+            environment.excludedFields = state.environment.excluded.slice();
+        }
+        var validation = {};
+        Object.keys(validationConfig).forEach(function (key) {
+            validation[key] = validationConfig[key];
+        });
+
+        var snapshot = {
+            schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+            locale: state.locale,
+            theme: state.theme,
+            validation: validation,
+            mode: modeManual && modeManual.checked ? 'manual' : 'llm',
+            webhookURL: getWebhookInputValue(),
+            assignees: state.assign.assignees.slice(),
+            watchers: state.assign.watchers.slice(),
+            labelGroups: state.labels.groups.slice(),
+            labels: selectedLabelTitles(),
+            priority: state.labels.scoped.priority || '',
+            issueNumber: state.issueNumber,
+            issueRelation: state.issueRelation,
+            currentScreen: state.currentScreen,
+            reportTemplates: state.templates.configured,
+            environment: environment,
+            redactionRules: state.privacy.configuredRules,
+            media: state.capturedMedia.map(serializeMedia)
+        };
+        // Like the bridged updates, the text comes back with its PII masked
+        Object.keys(SNAPSHOT_TEXT_FIELDS).forEach(function (key) {
+            snapshot[key] = redactPII(readFieldValue(SNAPSHOT_TEXT_FIELDS[key]));
+        });
+        // A detached copy, so callers cannot change the form by editing the result
+        return JSON.parse(JSON.stringify(snapshot));
+    };
+
+    // MARK: Draft autosave
+
+    function draftStorageKey(sessionId) {
+        return DRAFT_STORAGE_PREFIX + sessionId;
+    }
+
+    function readFieldValue(id) {
+        var field = document.getElementById(id);
+        return field && typeof field.value === 'string' ? field.value : '';
+    }
+
+    function collectDraft() {
+        var modeManual = document.getElementById('modeManual');
+        return {
+            version: 3,
+            savedAt: new Date().toISOString(),
+            description: readFieldValue('bugDescription'),
+            mode: modeManual && modeManual.checked ? 'manual' : 'llm',
+            manualTitle: readFieldValue('manualTitle'),
+            manualWhat: readFieldValue('manualWhat'),
+            manualSteps: readFieldValue('manualSteps'),
+            manualExpected: readFieldValue('manualExpected'),
+            assignees: state.assign.assignees.slice(),
+            watchers: state.assign.watchers.slice(),
+            labels: selectedLabelTitles(),
+            issueNumber: state.issueNumber,
+            issueRelation: state.issueRelation,
+            webhookURL: getWebhookInputValue()
+        };
+    }
+
+    function draftHasContent(draft) {
+        if (!draft) {
+            return false;
+        }
+        return ['description', 'manualTitle', 'manualWhat', 'manualSteps', 'manualExpected'].some(function (key) {
+            return typeof draft[key] === 'string' && draft[key].trim().length > 0;
+        });
+    }
+
+    function draftsMatch(lhs, rhs) {
+        var keys = ['description', 'mode', 'manualTitle', 'manualWhat', 'manualSteps', 'manualExpected', 'assignees', 'watchers', 'labels', 'issueNumber', 'issueRelation', 'webhookURL'];
+        return keys.every(function (key) {
+            return JSON.stringify(lhs[key] || '') === JSON.stringify(rhs[key] || '');
+        });
+    }
+
+    function readStoredDraft(sessionId) {
+        var storage = getLocalStorage();
+        if (!storage || !sessionId) {
+            return null;
+        }
+        try {
+            var raw = storage.getItem(draftStorageKey(sessionId));
+            var parsed = raw ? JSON.parse(raw) : null;
+            return parsed && typeof parsed === 'object' ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function removeStoredDraft(sessionId) {
+        var storage = getLocalStorage();
+        if (!storage || !sessionId) {
+            return;
+        }
+        try {
+            storage.removeItem(draftStorageKey(sessionId));
+        } catch (error) {
+            notifyNativeLog('Unable to remove draft: ' + error.message);
+        }
+    }
+
+    // Drops drafts from other sessions once they are older than DRAFT_MAX_AGE_MS.
+    function pruneStaleDrafts(currentSessionId) {
+        var storage = getLocalStorage();
+        if (!storage) {
+            return;
+        }
+        var now = Date.now();
+        var staleKeys = [];
+        for (var i = 0; i < storage.length; i += 1) {
+            var key = storage.key(i);
+            if (!key || key.indexOf(DRAFT_STORAGE_PREFIX) !== 0 || key === draftStorageKey(currentSessionId)) {
+                continue;
+            }
+            var savedAt = 0;
+            try {
+                var parsed = JSON.parse(storage.getItem(key));
+                savedAt = parsed && parsed.savedAt ? Date.parse(parsed.savedAt) : 0;
+            } catch (error) {
+                savedAt = 0;
+            }
+            if (!savedAt || now - savedAt > DRAFT_MAX_AGE_MS) {
+                staleKeys.push(key);
+            }
+        }
+        staleKeys.forEach(function (key) {
+            storage.removeItem(key);
+        });
+    }
+
+    function isDraftAutosaveActive() {
+        return !!state.draft.sessionId && !state.draft.pending;
+    }
+
+    function saveDraftNow() {
+        if (draftSaveTimeout) {
+            clearTimeout(draftSaveTimeout);
+            draftSaveTimeout = null;
+        }
+        if (!isDraftAutosaveActive()) {
+            return;
+        }
+        var draft = collectDraft();
+        if (!draftHasContent(draft)) {
+            removeStoredDraft(state.draft.sessionId);
+            return;
+        }
+        var storage = getLocalStorage();
+        if (!storage) {
+            return;
+        }
+        try {
+            storage.setItem(draftStorageKey(state.draft.sessionId), JSON.stringify(draft));
+        } catch (error) {
+            notifyNativeLog('Unable to save draft: ' + error.message);
+        }
+    }
+
+    function scheduleDraftSave() {
+        if (!isDraftAutosaveActive()) {
+            return;
+        }
+        if (draftSaveTimeout) {
+            clearTimeout(draftSaveTimeout);
+        }
+        draftSaveTimeout = setTimeout(saveDraftNow, DRAFT_SAVE_DELAY_MS);
+    }
+
+    function renderDraftBanner() {
+        var banner = document.getElementById('draftBanner');
+        var message = document.getElementById('draftBannerMessage');
+        if (!banner || !message) {
+            return;
+        }
+        var pending = state.draft.pending;
+        if (!pending) {
+            banner.style.display = 'none';
+            return;
+        }
+        var savedAt = pending.savedAt ? new Date(pending.savedAt) : null;
+        var age = savedAt ? getTimeAgo(savedAt) : '';
+        message.textContent = age ? t('draft.availableFrom', { age: age }) : t('draft.available');
+        banner.style.display = 'flex';
+    }
+
+    function setFieldValue(id, value) {
+        var field = document.getElementById(id);
+        if (field) {
+            field.value = typeof value === 'string' ? value : '';
+        }
+        if (MARKDOWN_FIELDS.hasOwnProperty(id)) {
+            refreshMarkdownPreview(id);
+        }
+    }
+
+    // Called by native once the page has loaded. Autosave starts immediately unless a
+    // different draft exists for this session, in which case the user is asked first.
+    window.setDraftSession = function (sessionId) {
+        var value = typeof sessionId === 'string' ? sessionId.trim() : '';
+        if (draftSaveTimeout) {
+            clearTimeout(draftSaveTimeout);
+            draftSaveTimeout = null;
+        }
+        state.draft.sessionId = value.length ? value : null;
+        state.draft.pending = null;
+
+        if (state.draft.sessionId) {
+            pruneStaleDrafts(state.draft.sessionId);
+            var stored = readStoredDraft(state.draft.sessionId);
+            if (draftHasContent(stored) && !draftsMatch(stored, collectDraft())) {
+                state.draft.pending = stored;
+            }
+        }
+
+        renderDraftBanner();
+    };
+
+    window.restoreDraft = function () {
+        var draft = state.draft.pending;
+        if (!draft) {
+            return;
+        }
+        state.draft.pending = null;
+        renderDraftBanner();
+
+        var isManual = draft.mode === 'manual';
+        var modeLLM = document.getElementById('modeLLM');
+        var modeManual = document.getElementById('modeManual');
+        if (modeLLM) { modeLLM.checked = !isManual; }
+        if (modeManual) { modeManual.checked = isManual; }
+
+        setFieldValue('bugDescription', draft.description);
+        setFieldValue('manualTitle', draft.manualTitle);
+        setFieldValue('manualWhat', draft.manualWhat);
+        setFieldValue('manualSteps', draft.manualSteps);
+        setFieldValue('manualExpected', draft.manualExpected);
+        setFieldValue('issueNumberInput', draft.issueNumber);
+        setFieldValue('issueRelationSelect', draft.issueRelation === 'comment' ? 'comment' : 'child');
+        if (typeof draft.webhookURL === 'string' && draft.webhookURL.length) {
+            setFieldValue('webhookURL', draft.webhookURL);
+        }
+
+        // Version 1 drafts stored a single `assignee`; versions before 3 only a `priority` label
+        var assignees = Array.isArray(draft.assignees) ? draft.assignees : (draft.assignee ? [draft.assignee] : []);
+        setMemberSelection('assignees', assignees, true);
+        setMemberSelection('watchers', draft.watchers, true);
+        applyLabelTitles(Array.isArray(draft.labels) ? draft.labels : [draft.priority], true);
+        renderAssignControls();
+        renderLabelControls();
+
+        // Re-use the regular update paths so native mirrors the restored values
+        window.setMode(isManual ? 'manual' : 'llm');
+        window.updateDescription();
+        window.updateManualTitle();
+        window.updateManualWhat();
+        window.updateManualSteps();
+        window.updateManualExpected();
+        window.updateIssueRelation();
+        window.updateIssueNumber();
+        window.updateWebhookURL();
+        saveDraftNow();
+        notifyNativeLog('Restored local draft');
+    };
+
+    window.discardDraft = function () {
+        if (!state.draft.pending) {
+            return;
+        }
+        removeStoredDraft(state.draft.sessionId);
+        state.draft.pending = null;
+        renderDraftBanner();
+        saveDraftNow();
+        notifyNativeLog('Discarded local draft');
+    };
+
+    // Called by native after the report has been submitted successfully.
+    window.clearDraft = function () {
+        if (draftSaveTimeout) {
+            clearTimeout(draftSaveTimeout);
+            draftSaveTimeout = null;
+        }
+        removeStoredDraft(state.draft.sessionId);
+        state.draft.sessionId = null;
+        state.draft.pending = null;
+        renderDraftBanner();
+    };
+
+    window.loadActionHistory = function (actions) {
+        state.actionHistory = Array.isArray(actions) ? actions : [];
+        renderActionHistory();
+        schedulePrivacyScan();
+    };
+
+    window.updateActionSearch = function () {
+        state.timeline.query = readFieldValue('actionSearchInput').trim().toLowerCase();
+        renderActionHistory();
+    };
+
+    window.toggleActionTypeFilter = function (actionType) {
+        if (!actionType) {
+            state.timeline.hiddenTypes = {};
+        } else if (state.timeline.hiddenTypes[actionType]) {
+            delete state.timeline.hiddenTypes[actionType];
+        } else {
+            state.timeline.hiddenTypes[actionType] = true;
+        }
+        renderActionHistory();
+    };
+
+    window.setActionTimeMode = function (mode) {
+        state.timeline.timeMode = mode === 'absolute' ? 'absolute' : 'relative';
+        renderActionHistory();
+    };
+
+    window.toggleActionGroup = function (index) {
+        var key = renderedActionGroupKeys[index];
+        if (!key) {
+            return;
+        }
+        state.timeline.collapsedGroups[key] = !state.timeline.collapsedGroups[key];
+        renderActionHistory();
+    };
+
+    // Clicking an action starts a range; clicking a second one closes it. A third click
+    // starts a new range.
+    window.selectActionForSteps = function (index) {
+        if (typeof index !== 'number' || index < 0 || index >= state.actionHistory.length) {
+            return;
+        }
+        var timeline = state.timeline;
+        if (timeline.selectionStart === null || timeline.selectionEnd !== timeline.selectionStart) {
+            timeline.selectionStart = index;
+            timeline.selectionEnd = index;
+        } else {
+            timeline.selectionEnd = index;
+        }
+        renderActionHistory();
+    };
+
+    window.clearActionSelection = function () {
+        state.timeline.selectionStart = null;
+        state.timeline.selectionEnd = null;
+        renderActionHistory();
+    };
+
+    window.useSelectedActionsAsSteps = function () {
+        var steps = buildStepsFromSelection();
+        if (!steps.length) {
+            return;
+        }
+        var field = document.getElementById('manualSteps');
+        if (!field) {
+            return;
+        }
+
+        var modeManual = document.getElementById('modeManual');
+        if (modeManual && !modeManual.checked) {
+            var modeLLM = document.getElementById('modeLLM');
+            if (modeLLM) { modeLLM.checked = false; }
+            modeManual.checked = true;
+            window.setMode('manual');
+        }
+
+        var generated = steps.map(function (step, index) {
+            return (index + 1) + '. ' + step;
+        }).join('\n');
+        // Keep anything the reporter already typed; generated steps go after it.
+        var existing = field.value.replace(/\s+$/, '');
+        field.value = existing.length ? existing + '\n' + generated : generated;
+
+        state.timeline.selectionStart = null;
+        state.timeline.selectionEnd = null;
+        renderActionHistory();
+        window.updateManualSteps();
+        field.focus();
+    };
+
+    function getActionSelectionRange() {
+        var start = state.timeline.selectionStart;
+        var end = state.timeline.selectionEnd;
+        if (start === null || end === null) {
+            return null;
+        }
+        return { from: Math.min(start, end), to: Math.max(start, end) };
+    }
+
+    function isActionVisible(action) {
+        var actionType = action && action.actionType ? String(action.actionType) : 'unknown';
+        return !state.timeline.hiddenTypes[actionType] && actionMatchesQuery(action, state.timeline.query);
+    }
+
+    // Turns the selected range (respecting the active filters) into step sentences.
+    // Screen disappear events are dropped: the following screen view already says it.
+    function buildStepsFromSelection() {
+        var range = getActionSelectionRange();
+        if (!range) {
+            return [];
+        }
+        var steps = [];
+        var currentScreen = null;
+        for (var i = range.from; i <= range.to; i += 1) {
+            var action = state.actionHistory[i];
+            if (!action || !isActionVisible(action) || action.actionType === 'screen_disappear') {
+                continue;
+            }
+            var screenName = action.screenName ? String(action.screenName) : '';
+            var text = getActionDescriptionText(action);
+            if (action.actionType === 'screen_view') {
+                text = screenName ? text + ' ' + screenName : text;
+            } else if (screenName && screenName !== currentScreen) {
+                text = t('actions.onScreen', { text: text, screen: screenName });
+            }
+            currentScreen = screenName || currentScreen;
+            steps.push(text);
+        }
+        return steps;
+    }
+
+    function renderActionSelectionBar() {
+        var bar = document.getElementById('actionSelectionBar');
+        var label = document.getElementById('actionSelectionLabel');
+        if (!bar || !label) {
+            return;
+        }
+        var range = getActionSelectionRange();
+        if (!range) {
+            bar.style.display = 'none';
+            return;
+        }
+        var count = buildStepsFromSelection().length;
+        if (range.from === range.to) {
+            label.textContent = t('actions.selectionStart');
+        } else {
+            label.textContent = t('actions.selection', { count: count, from: range.from + 1, to: range.to + 1 });
+        }
+        var useButton = document.getElementById('useActionsAsStepsButton');
+        if (useButton) {
+            useButton.disabled = count === 0;
+        }
+        bar.style.display = 'flex';
+    }
+
+    function parseActionDate(action) {
+        var date = action && action.timestamp ? new Date(action.timestamp) : null;
+        return date && !isNaN(date.getTime()) ? date : null;
+    }
+
+    function actionMatchesQuery(action, query) {
+        if (!query) {
+            return true;
+        }
+        var haystack = [];
+        var info = action && action.elementInfo;
+        if (info) {
+            haystack.push(info.text, info.accessibilityLabel, info.accessibilityIdentifier, info.className);
+        }
+        var metadata = action && action.metadata;
+        if (metadata && typeof metadata === 'object') {
+            Object.keys(metadata).forEach(function (key) {
+                haystack.push(key, metadata[key]);
+            });
+        }
+        return haystack.some(function (value) {
+            return value !== null && value !== undefined && String(value).toLowerCase().indexOf(query) !== -1;
+        });
+    }
+
+    // Splits the history into consecutive runs on the same screen/view controller so the
+    // timeline stays chronological when a screen is revisited.
+    function groupActionsByScreen(actions) {
+        var groups = [];
+        var current = null;
+        actions.forEach(function (action, index) {
+            var screenName = action && action.screenName ? String(action.screenName) : t('actions.unknownScreen');
+            var controllerClass = action && action.viewControllerClass ? String(action.viewControllerClass) : '';
+            if (!current || current.screenName !== screenName || current.controllerClass !== controllerClass) {
+                current = {
+                    key: screenName + '::' + controllerClass + '::' + (action && action.id ? action.id : index),
+                    screenName: screenName,
+                    controllerClass: controllerClass,
+                    entries: []
+                };
+                groups.push(current);
+            }
+            current.entries.push({ action: action, index: index });
+        });
+        return groups;
+    }
+
+    function formatActionGap(ms) {
+        var seconds = ms / 1000;
+        if (seconds < 10) {
+            return '+' + seconds.toFixed(1) + 's';
+        }
+        if (seconds < 60) {
+            return '+' + Math.round(seconds) + 's';
+        }
+        var minutes = Math.floor(seconds / 60);
+        if (minutes < 60) {
+            var remainder = Math.round(seconds % 60);
+            return '+' + minutes + 'm ' + (remainder < 10 ? '0' : '') + remainder + 's';
+        }
+        var hours = Math.floor(minutes / 60);
+        var remainingMinutes = minutes % 60;
+        return '+' + hours + 'h ' + (remainingMinutes < 10 ? '0' : '') + remainingMinutes + 'm';
+    }
+
+    function formatActionTime(date) {
+        if (!date) {
+            return '';
+        }
+        if (state.timeline.timeMode === 'absolute') {
+            return date.toLocaleTimeString(state.locale, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        }
+        return getTimeAgo(date);
+    }
+
+    function renderActionFilters(actions) {
+        var filters = document.getElementById('actionTypeFilters');
+        if (!filters) {
+            return;
+        }
+        var counts = {};
+        var order = [];
+        actions.forEach(function (action) {
+            var actionType = action && action.actionType ? String(action.actionType) : 'unknown';
+            if (!counts[actionType]) {
+                counts[actionType] = 0;
+                order.push(actionType);
+            }
+            counts[actionType] += 1;
+        });
+
+        var hasHidden = Object.keys(state.timeline.hiddenTypes).length > 0;
+        var chips = ['<button type="button" class="filter-chip' + (hasHidden ? '' : ' is-active') + '" data-action-type="">' + escapeHtml(t('actions.all')) + '</button>'];
+        order.forEach(function (actionType) {
+            var isActive = !state.timeline.hiddenTypes[actionType];
+            chips.push(
+                '<button type="button" class="filter-chip' + (isActive ? ' is-active' : '') + '"' +
+                    ' aria-pressed="' + isActive + '"' +
+                    ' data-action-type="' + escapeHtml(actionType) + '">' +
+                    getActionIcon(actionType) + ' ' + escapeHtml(actionTypeLabel(actionType)) +
+                    ' <span class="filter-chip-count">' + counts[actionType] + '</span>' +
+                '</button>'
+            );
+        });
+        filters.innerHTML = chips.join('');
+    }
+
+    // One listener for every chip. The type stays in an attribute, so no recorded value is
+    // ever parsed as script.
+    function handleActionFilterClick(event) {
+        var chip = event.target && event.target.closest ? event.target.closest('[data-action-type]') : null;
+        if (chip) {
+            window.toggleActionTypeFilter(chip.dataset.actionType);
+        }
+    }
+
+    function renderActionTimeToggle() {
+        var relative = document.getElementById('timeModeRelative');
+        var absolute = document.getElementById('timeModeAbsolute');
+        var isAbsolute = state.timeline.timeMode === 'absolute';
+        if (relative) {
+            relative.classList.toggle('is-active', !isAbsolute);
+            relative.setAttribute('aria-pressed', String(!isAbsolute));
+        }
+        if (absolute) {
+            absolute.classList.toggle('is-active', isAbsolute);
+            absolute.setAttribute('aria-pressed', String(isAbsolute));
+        }
+    }
+
+    function renderActionHistory() {
+        var timeline = document.getElementById('actionsTimeline');
+        if (!timeline) {
+            return;
+        }
+        var toolbar = document.getElementById('actionsToolbar');
+        var summary = document.getElementById('actionsSummary');
+        var actions = state.actionHistory;
+
+        if (toolbar) {
+            toolbar.style.display = actions.length ? 'block' : 'none';
+        }
+        renderedActionGroupKeys = [];
+
+        if (!actions.length) {
+            state.timeline.selectionStart = null;
+            state.timeline.selectionEnd = null;
+            renderActionSelectionBar();
+            if (summary) {
+                summary.textContent = '';
+            }
+            timeline.innerHTML = '<div class="empty-state">' + escapeHtml(t('actions.empty')) + '</div>';
+            return;
+        }
+
+        if (state.timeline.selectionStart !== null && state.timeline.selectionStart >= actions.length) {
+            state.timeline.selectionStart = null;
+            state.timeline.selectionEnd = null;
+        }
+        renderActionFilters(actions);
+        renderActionTimeToggle();
+        renderActionSelectionBar();
+
+        var selection = getActionSelectionRange();
+        var visibleCount = 0;
+        var groupsHtml = groupActionsByScreen(actions).map(function (group) {
+            var visibleEntries = group.entries.filter(function (entry) {
+                return isActionVisible(entry.action);
+            });
+            if (!visibleEntries.length) {
+                return '';
+            }
+            visibleCount += visibleEntries.length;
+
+            var groupIndex = renderedActionGroupKeys.length;
+            renderedActionGroupKeys.push(group.key);
+            var isCollapsed = !!state.timeline.collapsedGroups[group.key];
+            var firstDate = parseActionDate(group.entries[0].action);
+
+            var itemsHtml = isCollapsed ? '' : visibleEntries.map(function (entry) {
+                var action = entry.action;
+                var actionType = action && action.actionType ? String(action.actionType) : 'unknown';
+                var timestamp = parseActionDate(action);
+                var previous = entry.index > 0 ? parseActionDate(actions[entry.index - 1]) : null;
+                var gapHtml = '';
+                if (timestamp && previous) {
+                    var gapMs = Math.max(0, timestamp.getTime() - previous.getTime());
+                    var gapClass = gapMs >= ACTION_GAP_WARNING_MS ? ' action-gap--long' : '';
+                    gapHtml = '<div class="action-gap' + gapClass + '" title="' + escapeHtml(t('actions.gapTitle')) + '">' + formatActionGap(gapMs) + '</div>';
+                }
+
+                var isSelected = !!selection && entry.index >= selection.from && entry.index <= selection.to;
+
+                return '' +
+                    '<div class="action-item' + (isSelected ? ' is-selected' : '') + '" role="button" tabindex="0" aria-pressed="' + isSelected + '"' +
+                        ' onclick="selectActionForSteps(' + entry.index + ')" onkeydown="activateOnKeydown(event)">' +
+                        '<div class="action-icon ' + escapeHtml(actionType) + '">' + getActionIcon(actionType) + '</div>' +
+                        '<div class="action-details">' +
+                            '<div class="action-description">' + getActionDescription(action) + '</div>' +
+                        '</div>' +
+                        '<div class="action-time">' + formatActionTime(timestamp) + gapHtml + '</div>' +
+                    '</div>';
+            }).join('');
+
+            return '' +
+                '<div class="action-group' + (isCollapsed ? ' is-collapsed' : '') + '">' +
+                    '<button type="button" class="action-group-header" aria-expanded="' + !isCollapsed + '" onclick="toggleActionGroup(' + groupIndex + ')">' +
+                        '<span class="action-group-chevron">' + (isCollapsed ? '▸' : '▾') + '</span>' +
+                        '<span class="action-screen">' + escapeHtml(group.screenName) + '</span>' +
+                        (group.controllerClass ? '<span class="action-group-class">' + escapeHtml(group.controllerClass) + '</span>' : '') +
+                        '<span class="action-group-meta">' + visibleEntries.length + ' · ' + formatActionTime(firstDate) + '</span>' +
+                    '</button>' +
+                    (isCollapsed ? '' : '<div class="action-group-items">' + itemsHtml + '</div>') +
+                '</div>';
+        }).join('');
+
+        if (summary) {
+            summary.textContent = visibleCount === actions.length
+                ? t('actions.count', { count: actions.length })
+                : t('actions.showing', { visible: visibleCount, count: actions.length });
+        }
+
+        timeline.innerHTML = groupsHtml || '<div class="empty-state">' + escapeHtml(t('actions.noMatch')) + '</div>';
+    }
+
+    function getActionIcon(actionType) {
+        var icons = {
+            screen_view: '👁️',
+            screen_disappear: '👋',
+            button_tap: '👆',
+            text_input: '⌨️',
+            textfield_tap: '📝',
+            scroll: '📜',
+            swipe: '👋',
+            pinch: '🤏',
+            long_press: '👆',
+            segmented_control_tap: '🎛️',
+            switch_toggle: '🔘',
+            slider_change: '🎚️',
+            alert_action: '⚠️',
+            navigation_back: '←',
+            tab_change: '📑',
+            modal_present: '📋',
+            modal_dismiss: '✕'
+        };
+        return icons[actionType] || '❓';
+    }
+
+    function getActionDescription(action) {
+        return escapeHtml(getActionDescriptionText(action));
+    }
+
+    // Plain-text wording shared by the timeline and generated reproduction steps.
+    function getActionDescriptionText(action) {
+        if (!action) {
+            return t('action.generic');
+        }
+
+        var actionType = action.actionType || '';
+        var elementText = action.elementInfo && action.elementInfo.text ? String(action.elementInfo.text) : '';
+
+        switch (actionType) {
+            case 'screen_view':
+                return t('action.screenView');
+            case 'button_tap':
+                return elementText ? t('action.tappedElement', { text: elementText }) : t('action.tappedButton');
+            case 'text_input':
+                return t('action.textInput');
+            case 'textfield_tap':
+                return t('action.textFieldTap');
+            case 'scroll':
+                return t('action.scroll');
+            case 'alert_action':
+                return t('action.alert');
+            default:
+                return actionType ? actionTypeLabel(actionType) : t('action.generic');
+        }
+    }
+
+    // Known action types have a string; anything newer falls back to its readable raw name
+    function actionTypeLabel(actionType) {
+        var key = 'actionType.' + actionType;
+        var label = t(key);
+        return label === key ? String(actionType).replace(/_/g, ' ') : label;
+    }
+
+    function getTimeAgo(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            return '';
+        }
+
+        var now = Date.now();
+        var diffMs = now - date.getTime();
+        if (diffMs < 0) {
+            diffMs = 0;
+        }
+
+        var diffSecs = Math.floor(diffMs / 1000);
+        var diffMins = Math.floor(diffSecs / 60);
+        var diffHours = Math.floor(diffMins / 60);
+        var diffDays = Math.floor(diffHours / 24);
+
+        if (diffSecs < 60) {
+            return t('time.secondsAgo', { count: diffSecs });
+        }
+        if (diffMins < 60) {
+            return t('time.minutesAgo', { count: diffMins });
+        }
+        if (diffHours < 24) {
+            return t('time.hoursAgo', { count: diffHours });
+        }
+        if (diffDays < 7) {
+            return t('time.daysAgo', { count: diffDays });
+        }
+        return date.toLocaleDateString(state.locale);
+    }
+
+    window.addMediaAttachment = function (media) {
+        if (!media) {
+            return;
+        }
+        state.capturedMedia.push(normalizeMedia(media));
+        updateMediaList();
+    };
+
+    // Native measures recordings after adding them and sends each duration, in seconds, once known
+    window.setMediaDuration = function (payload) {
+        if (!payload || typeof payload.duration !== 'number' || !isFinite(payload.duration)) {
+            return;
+        }
+        state.capturedMedia.forEach(function (media) {
+            if (media.fileURL === payload.fileURL) {
+                media.duration = payload.duration;
+            }
+        });
+        updateMediaList();
+    };
+
+    // Native sends the capture time in milliseconds since 1970 and the duration in seconds
+    function normalizeMedia(media) {
+        var timestamp = typeof media.timestamp === 'number' || typeof media.timestamp === 'string'
+            ? new Date(media.timestamp)
+            : null;
+        return {
+            type: media.type || '',
+            fileURL: media.fileURL || '',
+            fileName: media.fileName || '',
+            previewURL: '',
+            previewText: '',
+            fileSize: typeof media.fileSize === 'number' && media.fileSize >= 0 ? media.fileSize : null,
+            timestamp: timestamp && !isNaN(timestamp.getTime()) ? timestamp : null,
+            duration: typeof media.duration === 'number' && isFinite(media.duration) ? media.duration : null,
+            caption: typeof media.caption === 'string' ? media.caption : ''
+        };
+    }
+
+    function formatFileSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return t('media.sizeBytes', { size: bytes });
+        }
+        if (bytes < 1024 * 1024) {
+            return t('media.sizeKB', { size: Math.round(bytes / 1024).toLocaleString(state.locale) });
+        }
+        if (bytes < 1024 * 1024 * 1024) {
+            var megabytes = bytes / (1024 * 1024);
+            return t('media.sizeMB', { size: megabytes.toLocaleString(state.locale, { maximumFractionDigits: 1 }) });
+        }
+        var gigabytes = bytes / (1024 * 1024 * 1024);
+        return t('media.sizeGB', { size: gigabytes.toLocaleString(state.locale, { maximumFractionDigits: 1 }) });
+    }
+
+    function formatMediaDuration(seconds) {
+        var total = Math.max(0, Math.round(seconds));
+        var minutes = Math.floor(total / 60);
+        var remainder = total % 60;
+        return minutes + ':' + (remainder < 10 ? '0' : '') + remainder;
+    }
+
+    function mediaMetadata(media) {
+        var parts = [];
+        if (media.fileSize !== null) {
+            parts.push(formatFileSize(media.fileSize));
+        }
+        if (media.timestamp) {
+            parts.push(media.timestamp.toLocaleTimeString(state.locale, { hour: '2-digit', minute: '2-digit', second: '2-digit' }));
+        }
+        if (media.duration !== null) {
+            parts.push(formatMediaDuration(media.duration));
+        }
+        return parts.join(' · ');
+    }
+
+    function mediaDisplayName(media, index) {
+        return media && media.fileName ? media.fileName : t('media.attachment', { number: index + 1 });
+    }
+
+    window.updateMediaCaption = function (index, value) {
+        var media = state.capturedMedia[index];
+        if (!media) {
+            return;
+        }
+        media.caption = typeof value === 'string' ? value : '';
+        postUpdate({
+            action: 'updateMediaCaption',
+            fileURL: media.fileURL,
+            caption: media.caption
+        });
+    };
+
+    // Moves an attachment and tells native the new order, which is the order of the submitted payload
+    window.moveMediaAttachment = function (from, to) {
+        var count = state.capturedMedia.length;
+        if (typeof from !== 'number' || typeof to !== 'number' || from < 0 || from >= count || to < 0 || to >= count || from === to) {
+            return;
+        }
+        var moved = state.capturedMedia.splice(from, 1)[0];
+        state.capturedMedia.splice(to, 0, moved);
+        updateMediaList();
+
+        var focusTarget = document.getElementById('mediaPreviewButton' + to);
+        if (focusTarget) {
+            focusTarget.focus();
+        }
+        announce(t('media.moved', { name: mediaDisplayName(moved, to), position: to + 1, count: count }));
+
+        postMessage({
+            action: 'reorderMediaAttachments',
+            fileURLs: state.capturedMedia.map(function (media) {
+                return media.fileURL;
+            })
+        });
+    };
+
+    // MARK: Environment
+
+    var ENVIRONMENT_CUSTOM_PREFIX = 'custom.';
+
+    function joinEnvironmentParts(parts) {
+        return parts.filter(function (part) {
+            return part !== null && part !== undefined && String(part).length;
+        }).join(' · ');
+    }
+
+    function environmentValue(id, data) {
+        var device = data.deviceInfo || {};
+        var app = data.appInfo || {};
+        switch (id) {
+        case 'device':
+            return device.deviceModel || '';
+        case 'os':
+            return [device.systemName, device.systemVersion].filter(Boolean).join(' ');
+        case 'screen':
+            var size = Array.isArray(device.screenSize) ? device.screenSize : [];
+            var dimensions = size.length === 2 ? Math.round(size[0]) + '×' + Math.round(size[1]) : '';
+            return joinEnvironmentParts([
+                dimensions + (device.screenScale ? ' @' + device.screenScale + 'x' : ''),
+                device.deviceOrientation && device.deviceOrientation !== 'unknown' ? device.deviceOrientation : ''
+            ]);
+        case 'app':
+            return app.appName ? app.appName + (app.bundleIdentifier ? ' (' + app.bundleIdentifier + ')' : '') : (app.bundleIdentifier || '');
+        case 'appVersion':
+            return app.version ? app.version + (app.buildNumber ? ' (' + app.buildNumber + ')' : '') : '';
+        case 'battery':
+            if (typeof device.batteryLevel !== 'number' || device.batteryLevel < 0) {
+                return t('common.unknown');
+            }
+            return joinEnvironmentParts([
+                Math.round(device.batteryLevel * 100) + '%',
+                device.batteryState && device.batteryState !== 'unknown' ? t('environment.battery.' + device.batteryState) : ''
+            ]);
+        case 'disk':
+            var disk = device.diskSpace || {};
+            return disk.totalSpace ? t('environment.diskValue', { free: formatFileSize(disk.freeSpace), total: formatFileSize(disk.totalSpace) }) : '';
+        case 'memory':
+            var memory = data.memoryInfo || {};
+            return memory.usedMemory ? t('environment.memoryValue', { used: formatFileSize(memory.usedMemory), available: formatFileSize(memory.availableMemory) }) : '';
+        case 'network':
+            var network = data.networkInfo || {};
+            return joinEnvironmentParts([
+                network.connectionType && network.connectionType !== 'unknown' ? network.connectionType : t('common.unknown'),
+                network.carrierName
+            ]);
+        case 'locale':
+            return joinEnvironmentParts([device.locale, device.timezone]);
+        default:
+            return '';
+        }
+    }
+
+    // One row per EnvironmentField in native, then one per custom data key
+    function buildEnvironmentRows(data) {
+        var rows = ['device', 'os', 'screen', 'app', 'appVersion', 'battery', 'disk', 'memory', 'network', 'locale']
+            .map(function (id) {
+                return { id: id, label: t('environment.field.' + id), value: environmentValue(id, data) };
+            })
+            .filter(function (row) {
+                return row.value.length > 0;
+            });
+        var customData = data.customData && typeof data.customData === 'object' ? data.customData : {};
+        Object.keys(customData).sort().forEach(function (key) {
+            rows.push({ id: ENVIRONMENT_CUSTOM_PREFIX + key, label: key, value: String(customData[key]) });
+        });
+        return rows;
+    }
+
+    function isEnvironmentFieldExcluded(id) {
+        return state.environment.excluded.indexOf(id) !== -1;
+    }
+
+    function renderEnvironment() {
+        var section = document.getElementById('environmentSection');
+        var list = document.getElementById('environmentList');
+        var summary = document.getElementById('environmentSummary');
+        var toggle = document.getElementById('environmentToggle');
+        var panel = document.getElementById('environmentPanel');
+        var chevron = document.getElementById('environmentChevron');
+        if (!section || !list) {
+            return;
+        }
+        var data = state.environment.data;
+        if (!data) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+
+        var rows = buildEnvironmentRows(data);
+        state.environment.rows = rows;
+
+        if (toggle) {
+            toggle.setAttribute('aria-expanded', state.environment.isExpanded ? 'true' : 'false');
+        }
+        if (panel) {
+            panel.classList.toggle('expanded', state.environment.isExpanded);
+        }
+        if (chevron) {
+            chevron.textContent = state.environment.isExpanded ? '▾' : '▸';
+        }
+        if (summary) {
+            var excludedCount = rows.filter(function (row) {
+                return isEnvironmentFieldExcluded(row.id);
+            }).length;
+            summary.textContent = joinEnvironmentParts([
+                environmentValue('device', data),
+                environmentValue('os', data),
+                environmentValue('appVersion', data),
+                excludedCount ? t('environment.excludedCount', { count: excludedCount }) : ''
+            ]);
+        }
+
+        list.innerHTML = rows.map(function (row, index) {
+            var isExcluded = isEnvironmentFieldExcluded(row.id);
+            return '' +
+                '<div class="environment-row' + (isExcluded ? ' is-excluded' : '') + '" role="listitem">' +
+                    '<div class="environment-text">' +
+                        '<span class="environment-label">' + escapeHtml(row.label) + '</span>' +
+                        '<span class="environment-value">' + escapeHtml(row.value) + '</span>' +
+                    '</div>' +
+                    '<label class="environment-include">' +
+                        '<input type="checkbox"' + (isExcluded ? '' : ' checked') +
+                            ' aria-label="' + escapeHtml(t('environment.includeField', { name: row.label })) + '"' +
+                            ' onchange="toggleEnvironmentField(' + index + ', this.checked)">' +
+                        '<span aria-hidden="true">' + escapeHtml(t('environment.include')) + '</span>' +
+                    '</label>' +
+                '</div>';
+        }).join('');
+    }
+
+    // Called by native with the device, app, memory and network info the report will carry
+    window.setEnvironment = function (environment) {
+        if (!environment || typeof environment !== 'object') {
+            return;
+        }
+        state.environment.data = environment;
+        state.environment.excluded = Array.isArray(environment.excludedFields)
+            ? environment.excludedFields.filter(function (id) {
+                return typeof id === 'string';
+            })
+            : [];
+        renderEnvironment();
+    };
+
+    window.toggleEnvironmentPanel = function () {
+        state.environment.isExpanded = !state.environment.isExpanded;
+        renderEnvironment();
+    };
+
+    window.toggleEnvironmentField = function (index, isIncluded) {
+        var row = state.environment.rows[index];
+        if (!row) {
+            return;
+        }
+        var excluded = state.environment.excluded.filter(function (id) {
+            return id !== row.id;
+        });
+        if (!isIncluded) {
+            excluded.push(row.id);
+        }
+        state.environment.excluded = excluded;
+        renderEnvironment();
+        postMessage({
+            action: 'updateExcludedEnvironmentFields',
+            fields: excluded
+        });
+    };
+
+    // MARK: Privacy
+
+    // Built-in detectors; host apps add their own through setRedactionRules
+    var PRIVACY_BUILTIN_RULES = [
+        {
+            id: 'card',
+            pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+            validate: passesLuhnCheck,
+            mask: function (match) {
+                var digits = match.replace(/\D/g, '');
+                return '•••• ' + digits.slice(-4);
+            }
+        },
+        {
+            id: 'email',
+            pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+            mask: function () {
+                return '[' + t('privacy.rule.email') + ']';
+            }
+        },
+        {
+            // International, parenthesised and separated national numbers. Group 1 is the
+            // character before the number, standing in for a lookbehind iOS 12 lacks, so digits
+            // and decimals such as 0.123456789 do not start a match.
+            id: 'phone',
+            pattern: /(^|[^\w.])((?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d(?:[ .-]?\d){5,13})(?!\d|\.\d)/g,
+            leadingGroup: true,
+            validate: isLikelyPhoneNumber,
+            mask: function () {
+                return '[' + t('privacy.rule.phone') + ']';
+            }
+        }
+    ];
+
+    // Text fields scanned for PII, with the update handler that bridges the new value
+    var PRIVACY_FIELDS = {
+        bugDescription: 'updateDescription',
+        manualTitle: 'updateManualTitle',
+        manualWhat: 'updateManualWhat',
+        manualSteps: 'updateManualSteps',
+        manualExpected: 'updateManualExpected'
+    };
+    // The value key each of those handlers posts
+    var PRIVACY_UPDATE_KEYS = {
+        updateDescription: 'description',
+        updateManualTitle: 'title',
+        updateManualWhat: 'what',
+        updateManualSteps: 'steps',
+        updateManualExpected: 'expected'
+    };
+    var PRIVACY_ELEMENT_KEYS = ['text', 'accessibilityLabel', 'accessibilityIdentifier'];
+    var PRIVACY_CONTEXT_LENGTH = 24;
+
+    var privacyScanTimeout = null;
+
+    function passesLuhnCheck(match) {
+        var digits = match.replace(/\D/g, '');
+        if (digits.length < 13 || digits.length > 19) {
+            return false;
+        }
+        var sum = 0;
+        for (var i = 0; i < digits.length; i += 1) {
+            var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) {
+                    digit -= 9;
+                }
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    // Keeps plain digit runs (IDs, timestamps), dates, IP addresses and decimals out of the phone findings
+    function isLikelyPhoneNumber(match) {
+        var digits = match.replace(/\D/g, '');
+        var isInternational = match.charAt(0) === '+';
+        if (digits.length < (isInternational ? 8 : 9) || digits.length > 15) {
+            return false;
+        }
+        if (/^\d+\.\d+$/.test(match) || /^\d{1,3}(?:\.\d{1,3}){3}$/.test(match)) {
+            return false;
+        }
+        // Without separators only national numbers with a trunk 0 count, as before
+        if (/^\d+$/.test(match)) {
+            return match.charAt(0) === '0' && digits.length <= 12;
+        }
+        return true;
+    }
+
+    function normalizeRedactionRules(rules) {
+        if (!Array.isArray(rules)) {
+            return [];
+        }
+        return rules.map(function (rule, index) {
+            if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.length) {
+                return null;
+            }
+            var pattern;
+            try {
+                pattern = new RegExp(rule.pattern, rule.caseInsensitive ? 'gi' : 'g');
+            } catch (error) {
+                notifyNativeLog('Ignoring redaction rule with invalid pattern: ' + rule.pattern);
+                return null;
+            }
+            var name = typeof rule.name === 'string' && rule.name.trim().length ? rule.name.trim() : t('privacy.rule.custom');
+            var replacement = typeof rule.replacement === 'string' && rule.replacement.length ? rule.replacement : '[' + name + ']';
+            return {
+                id: 'custom-' + index,
+                name: name,
+                pattern: pattern,
+                mask: function () {
+                    return replacement;
+                }
+            };
+        }).filter(Boolean);
+    }
+
+    function privacyRules() {
+        return PRIVACY_BUILTIN_RULES.concat(state.privacy.customRules);
+    }
+
+    function privacyRuleName(rule) {
+        return rule.name || t('privacy.rule.' + rule.id);
+    }
+
+    // Every scanned string, with a label for the findings list
+    function privacySources() {
+        var sources = [];
+        Object.keys(PRIVACY_FIELDS).forEach(function (id) {
+            var field = document.getElementById(id);
+            if (field && field.value) {
+                sources.push({ key: 'field:' + id, kind: 'field', fieldId: id, label: t('privacy.source.' + id), value: field.value });
+            }
+        });
+        state.actionHistory.forEach(function (action, index) {
+            if (!action) {
+                return;
+            }
+            var actionLabel = t('privacy.source.action', { number: index + 1 });
+            var element = action.elementInfo || {};
+            PRIVACY_ELEMENT_KEYS.forEach(function (key) {
+                if (typeof element[key] === 'string' && element[key].length) {
+                    sources.push({ key: 'action:' + index + ':element:' + key, kind: 'element', index: index, property: key, label: actionLabel, value: element[key] });
+                }
+            });
+            var metadata = action.metadata || {};
+            Object.keys(metadata).forEach(function (key) {
+                if (typeof metadata[key] === 'string' && metadata[key].length) {
+                    sources.push({ key: 'action:' + index + ':metadata:' + key, kind: 'metadata', index: index, property: key, label: actionLabel + ' · ' + key, value: metadata[key] });
+                }
+            });
+        });
+        return sources;
+    }
+
+    function findPII(source, rules) {
+        var matches = [];
+        rules.forEach(function (rule) {
+            rule.pattern.lastIndex = 0;
+            var match;
+            while ((match = rule.pattern.exec(source.value)) !== null) {
+                if (!match[0].length) {
+                    rule.pattern.lastIndex += 1;
+                    continue;
+                }
+                // A leading group is context before the finding, not part of it
+                var leading = rule.leadingGroup ? (match[1] || '').length : 0;
+                var text = match[0].slice(leading);
+                if (rule.validate && !rule.validate(text)) {
+                    continue;
+                }
+                var start = match.index + leading;
+                var end = start + text.length;
+                // Earlier rules win where matches overlap, e.g. a card number is not also a phone number
+                var overlaps = matches.some(function (existing) {
+                    return start < existing.end && end > existing.start;
+                });
+                if (!overlaps) {
+                    matches.push({ rule: rule, start: start, end: end, text: text });
+                }
+            }
+        });
+        return matches.sort(function (a, b) {
+            return a.start - b.start;
+        }).map(function (match) {
+            match.source = source;
+            return match;
+        });
+    }
+
+    // Replaces findings last first so earlier offsets stay valid
+    function maskedText(value, findings) {
+        findings.slice().sort(function (a, b) {
+            return b.start - a.start;
+        }).forEach(function (finding) {
+            if (value.slice(finding.start, finding.end) === finding.text) {
+                value = value.slice(0, finding.start) + finding.rule.mask(finding.text) + value.slice(finding.end);
+            }
+        });
+        return value;
+    }
+
+    // Text with every finding masked. Fields keep what the reporter typed, so they can still
+    // review the findings, but only this version leaves the page.
+    function redactPII(text) {
+        if (typeof text !== 'string' || !text.length) {
+            return text;
+        }
+        return maskedText(text, findPII({ value: text }, privacyRules()));
+    }
+
+    function redactedUpdate(message) {
+        var key = PRIVACY_UPDATE_KEYS[message.action];
+        if (!key || typeof message[key] !== 'string') {
+            return message;
+        }
+        var redacted = {};
+        Object.keys(message).forEach(function (name) {
+            redacted[name] = message[name];
+        });
+        redacted[key] = redactPII(message[key]);
+        return redacted;
+    }
+
+    function scanForPII() {
+        var rules = privacyRules();
+        var findings = [];
+        privacySources().forEach(function (source) {
+            findings = findings.concat(findPII(source, rules));
+        });
+        state.privacy.findings = findings;
+        renderPrivacyFindings();
+    }
+
+    function schedulePrivacyScan() {
+        if (privacyScanTimeout) {
+            clearTimeout(privacyScanTimeout);
+        }
+        privacyScanTimeout = setTimeout(function () {
+            privacyScanTimeout = null;
+            scanForPII();
+        }, 300);
+    }
+
+    function privacyContext(finding) {
+        var value = finding.source.value;
+        var before = value.slice(Math.max(0, finding.start - PRIVACY_CONTEXT_LENGTH), finding.start);
+        var after = value.slice(finding.end, finding.end + PRIVACY_CONTEXT_LENGTH);
+        return (finding.start > PRIVACY_CONTEXT_LENGTH ? '…' : '') + escapeHtml(before) +
+            '<mark>' + escapeHtml(finding.text) + '</mark>' +
+            escapeHtml(after) + (finding.end + PRIVACY_CONTEXT_LENGTH < value.length ? '…' : '');
+    }
+
+    function renderPrivacyFindings() {
+        var section = document.getElementById('privacySection');
+        var list = document.getElementById('privacyFindings');
+        var summary = document.getElementById('privacySummary');
+        if (!section || !list) {
+            return;
+        }
+        var findings = state.privacy.findings;
+        section.style.display = findings.length ? 'block' : 'none';
+        if (summary) {
+            summary.textContent = t('privacy.summary', { count: findings.length });
+        }
+        list.innerHTML = findings.map(function (finding, index) {
+            var ruleName = privacyRuleName(finding.rule);
+            var canReveal = finding.source.kind === 'field';
+            return '' +
+                '<div class="privacy-finding" role="listitem">' +
+                    '<div class="privacy-finding-text">' +
+                        '<div class="privacy-finding-title">' +
+                            escapeHtml(t('privacy.foundIn', { rule: ruleName, source: finding.source.label })) +
+                        '</div>' +
+                        (canReveal
+                            ? '<button type="button" class="privacy-context privacy-context--link" onclick="revealPrivacyFinding(' + index + ')"' +
+                                ' aria-label="' + escapeHtml(t('privacy.reveal', { rule: ruleName, source: finding.source.label })) + '">' + privacyContext(finding) + '</button>'
+                            : '<div class="privacy-context">' + privacyContext(finding) + '</div>') +
+                    '</div>' +
+                    '<button type="button" class="gitlab-button" onclick="maskPrivacyFinding(' + index + ')"' +
+                        ' aria-label="' + escapeHtml(t('privacy.maskOne', { rule: ruleName, source: finding.source.label })) + '">' +
+                        escapeHtml(t('privacy.mask')) +
+                    '</button>' +
+                '</div>';
+        }).join('');
+    }
+
+    // Replaces the findings of one source, then bridges the sanitized value to native
+    function applyPrivacyMasks(source, findings) {
+        var value = maskedText(source.value, findings);
+
+        if (source.kind === 'field') {
+            setFieldValue(source.fieldId, value);
+            var handler = window[PRIVACY_FIELDS[source.fieldId]];
+            if (typeof handler === 'function') {
+                handler();
+            }
+            return;
+        }
+
+        var action = state.actionHistory[source.index];
+        if (!action) {
+            return;
+        }
+        var redacted = {};
+        Object.keys(action).forEach(function (key) {
+            redacted[key] = action[key];
+        });
+        var target = {};
+        var original = (source.kind === 'element' ? action.elementInfo : action.metadata) || {};
+        Object.keys(original).forEach(function (key) {
+            target[key] = original[key];
+        });
+        target[source.property] = value;
+        if (source.kind === 'element') {
+            redacted.elementInfo = target;
+        } else {
+            redacted.metadata = target;
+        }
+        state.actionHistory[source.index] = redacted;
+        postMessage({
+            action: 'redactUserAction',
+            id: redacted.id,
+            elementInfo: redacted.elementInfo || null,
+            metadata: redacted.metadata || null
+        });
+    }
+
+    function maskPrivacyFindings(findings) {
+        var bySource = {};
+        var order = [];
+        findings.forEach(function (finding) {
+            if (!bySource[finding.source.key]) {
+                bySource[finding.source.key] = [];
+                order.push(finding.source);
+            }
+            bySource[finding.source.key].push(finding);
+        });
+        order.forEach(function (source) {
+            applyPrivacyMasks(source, bySource[source.key]);
+        });
+        if (order.some(function (source) { return source.kind !== 'field'; })) {
+            renderActionHistory();
+        }
+        scanForPII();
+    }
+
+    window.maskPrivacyFinding = function (index) {
+        var finding = state.privacy.findings[index];
+        if (!finding) {
+            return;
+        }
+        maskPrivacyFindings([finding]);
+        announce(t('privacy.masked', { count: 1 }));
+        var next = document.querySelectorAll('#privacyFindings .privacy-finding .gitlab-button');
+        var focusTarget = next.length ? next[Math.min(index, next.length - 1)] : document.getElementById('privacyMaskAllButton');
+        if (focusTarget && state.privacy.findings.length) {
+            focusTarget.focus();
+        }
+    };
+
+    window.maskAllPrivacyFindings = function () {
+        var count = state.privacy.findings.length;
+        if (!count) {
+            return;
+        }
+        maskPrivacyFindings(state.privacy.findings);
+        announce(t('privacy.masked', { count: count }));
+    };
+
+    // Selects the match in its field so the reporter can see or edit it in place
+    window.revealPrivacyFinding = function (index) {
+        var finding = state.privacy.findings[index];
+        if (!finding || finding.source.kind !== 'field') {
+            return;
+        }
+        var field = document.getElementById(finding.source.fieldId);
+        if (!field) {
+            return;
+        }
+        if (MARKDOWN_FIELDS.hasOwnProperty(finding.source.fieldId)) {
+            setMarkdownTab(finding.source.fieldId, 'write');
+        }
+        field.focus();
+        if (typeof field.setSelectionRange === 'function') {
+            field.setSelectionRange(finding.start, finding.end);
+        }
+    };
+
+    // Called by native with QCBugPluginConfig.redactionRules
+    window.setRedactionRules = function (rules) {
+        state.privacy.configuredRules = Array.isArray(rules) ? rules : [];
+        state.privacy.customRules = normalizeRedactionRules(rules);
+        scanForPII();
+    };
+
+    // MARK: File attachments
+
+    var FILE_ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024;
+    var FILE_ATTACHMENT_EXTENSIONS = [
+        'txt', 'log', 'json', 'xml', 'csv', 'md', 'yaml', 'yml', 'har', 'plist',
+        'pdf', 'png', 'jpg', 'jpeg', 'gif', 'heic', 'zip'
+    ];
+    var FILE_TEXT_EXTENSIONS = ['txt', 'log', 'json', 'xml', 'csv', 'md', 'yaml', 'yml', 'har', 'plist'];
+    var FILE_IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif'];
+    var FILE_TEXT_PREVIEW_LENGTH = 600;
+
+    function fileExtension(fileName) {
+        var match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    function setFileAttachStatus(message, isError) {
+        state.files.status = message || '';
+        state.files.isError = !!isError;
+        renderFileAttachStatus();
+    }
+
+    function renderFileAttachStatus() {
+        var status = document.getElementById('fileAttachStatus');
+        if (!status) {
+            return;
+        }
+        var message = state.files.status;
+        if (!message && state.files.pending.length) {
+            message = t('files.adding', { name: state.files.pending[0].fileName });
+        }
+        status.textContent = message;
+        status.className = 'assign-status' + (state.files.isError ? ' assign-status--error' : (state.files.pending.length ? ' assign-status--loading' : ''));
+    }
+
+    function fileAttachmentError(file) {
+        var extension = fileExtension(file.name);
+        if (FILE_ATTACHMENT_EXTENSIONS.indexOf(extension) === -1) {
+            return t('files.unsupportedType', { name: file.name });
+        }
+        if (!file.size) {
+            return t('files.empty', { name: file.name });
+        }
+        if (file.size > FILE_ATTACHMENT_MAX_BYTES) {
+            return t('files.tooLarge', { name: file.name, limit: formatFileSize(FILE_ATTACHMENT_MAX_BYTES) });
+        }
+        return '';
+    }
+
+    // Native may rename the file while storing it, so the preview follows the URL it answers with
+    function applyPendingFilePreview(pending, fileURL) {
+        removePendingFile(pending);
+        for (var i = 0; i < state.capturedMedia.length; i += 1) {
+            var media = state.capturedMedia[i];
+            if (fileURL && media.fileURL === fileURL) {
+                media.previewURL = pending.previewURL;
+                media.previewText = pending.previewText;
+                updateMediaList();
+                break;
+            }
+        }
+        renderFileAttachStatus();
+    }
+
+    function readFileAsDataURL(file) {
+        return new Promise(function (resolve, reject) {
+            var reader = new FileReader();
+            reader.onload = function () {
+                resolve(String(reader.result || ''));
+            };
+            reader.onerror = function () {
+                reject(reader.error);
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    function readFileTextPreview(file) {
+        return new Promise(function (resolve) {
+            var reader = new FileReader();
+            reader.onload = function () {
+                resolve(String(reader.result || '').slice(0, FILE_TEXT_PREVIEW_LENGTH));
+            };
+            reader.onerror = function () {
+                resolve('');
+            };
+            reader.readAsText(file.slice(0, FILE_TEXT_PREVIEW_LENGTH * 4));
+        });
+    }
+
+    // Native writes the file into the session and adds it back through addMediaAttachment
+    function attachFile(file) {
+        var error = fileAttachmentError(file);
+        if (error) {
+            setFileAttachStatus(error, true);
+            return Promise.resolve(false);
+        }
+        var extension = fileExtension(file.name);
+        var isText = FILE_TEXT_EXTENSIONS.indexOf(extension) !== -1;
+        var pending = { fileName: file.name, previewURL: '', previewText: '' };
+        state.files.pending.push(pending);
+        renderFileAttachStatus();
+
+        return Promise.all([readFileAsDataURL(file), isText ? readFileTextPreview(file) : Promise.resolve('')])
+            .then(function (results) {
+                var dataURL = results[0];
+                var commaIndex = dataURL.indexOf(',');
+                if (FILE_IMAGE_EXTENSIONS.indexOf(extension) !== -1) {
+                    pending.previewURL = dataURL;
+                }
+                pending.previewText = results[1];
+                var data = commaIndex === -1 ? '' : dataURL.slice(commaIndex + 1);
+                if (state.webSubmission.isEnabled) {
+                    return { fileURL: addWebFileAttachment(file, data) };
+                }
+                // Native adds the stored file through the regular media event before answering
+                return bridgeRequest('addFileAttachment', {
+                    fileName: file.name,
+                    mimeType: file.type || '',
+                    size: file.size,
+                    data: data
+                });
+            })
+            .then(function (result) {
+                applyPendingFilePreview(pending, result && result.fileURL);
+                return true;
+            })
+            .catch(function () {
+                removePendingFile(pending);
+                setFileAttachStatus(t('files.readFailed', { name: file.name }), true);
+                return false;
+            });
+    }
+
+    function removePendingFile(pending) {
+        var index = state.files.pending.indexOf(pending);
+        if (index !== -1) {
+            state.files.pending.splice(index, 1);
+        }
+    }
+
+    function attachFiles(fileList) {
+        var files = Array.prototype.slice.call(fileList || []);
+        setFileAttachStatus('', false);
+        // Read one at a time so large files do not pile up in memory
+        return files.reduce(function (chain, file) {
+            return chain.then(function () {
+                return attachFile(file);
+            });
+        }, Promise.resolve());
+    }
+
+    window.chooseAttachmentFiles = function () {
+        var input = document.getElementById('attachmentFileInput');
+        if (input) {
+            input.click();
+        }
+    };
+
+    window.handleAttachmentFileInput = function (input) {
+        if (!input) {
+            return;
+        }
+        attachFiles(input.files).then(function () {
+            input.value = '';
+        });
+    };
+
+    // Called by native when a file the form sent could not be stored
+    window.fileAttachmentFailed = function (fileName) {
+        for (var i = 0; i < state.files.pending.length; i += 1) {
+            if (state.files.pending[i].fileName === fileName) {
+                state.files.pending.splice(i, 1);
+                break;
+            }
+        }
+        setFileAttachStatus(t('files.readFailed', { name: fileName }), true);
+    };
+
+    function isFileDrag(event) {
+        var types = event && event.dataTransfer ? event.dataTransfer.types : null;
+        if (!types) {
+            return false;
+        }
+        for (var i = 0; i < types.length; i += 1) {
+            if (types[i] === 'Files') {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function setFileDropActive(isActive) {
+        var zone = document.getElementById('fileDropZone');
+        if (zone) {
+            zone.classList.toggle('is-active', isActive);
+        }
+    }
+
+    window.handleFileDragOver = function (event) {
+        if (!isFileDrag(event)) {
+            return;
+        }
+        event.preventDefault();
+        if (event.dataTransfer) {
+            event.dataTransfer.dropEffect = 'copy';
+        }
+        setFileDropActive(true);
+    };
+
+    window.handleFileDragLeave = function (event) {
+        var section = event.currentTarget;
+        if (section && event.relatedTarget && section.contains(event.relatedTarget)) {
+            return;
+        }
+        setFileDropActive(false);
+    };
+
+    window.handleFileDrop = function (event) {
+        if (!isFileDrag(event)) {
+            return;
+        }
+        event.preventDefault();
+        setFileDropActive(false);
+        attachFiles(event.dataTransfer.files);
+    };
+
+    // MARK: Attachment drag and drop
+
+    function mediaItemIndex(event) {
+        var item = event && event.currentTarget;
+        var index = item && item.getAttribute ? parseInt(item.getAttribute('data-index'), 10) : NaN;
+        return isNaN(index) ? null : index;
+    }
+
+    window.handleMediaDragStart = function (event) {
+        var index = mediaItemIndex(event);
+        if (index === null) {
+            return;
+        }
+        state.mediaDragIndex = index;
+        if (event.dataTransfer) {
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', String(index));
+        }
+        event.currentTarget.classList.add('is-dragging');
+    };
+
+    window.handleMediaDragOver = function (event) {
+        var index = mediaItemIndex(event);
+        if (state.mediaDragIndex === null || index === null) {
+            return;
+        }
+        event.preventDefault();
+        if (event.dataTransfer) {
+            event.dataTransfer.dropEffect = 'move';
+        }
+        event.currentTarget.classList.toggle('is-drop-target', index !== state.mediaDragIndex);
+    };
+
+    window.handleMediaDragLeave = function (event) {
+        if (event.currentTarget) {
+            event.currentTarget.classList.remove('is-drop-target');
+        }
+    };
+
+    window.handleMediaDrop = function (event) {
+        var to = mediaItemIndex(event);
+        var from = state.mediaDragIndex;
+        event.preventDefault();
+        state.mediaDragIndex = null;
+        if (from === null || to === null) {
+            return;
+        }
+        moveMediaAttachment(from, to);
+    };
+
+    window.handleMediaDragEnd = function () {
+        state.mediaDragIndex = null;
+        var items = document.querySelectorAll('.media-item');
+        for (var i = 0; i < items.length; i += 1) {
+            items[i].classList.remove('is-dragging', 'is-drop-target');
+        }
+    };
+
+    window.deleteMediaAttachment = function (index) {
+        if (typeof index !== 'number' || index < 0 || index >= state.capturedMedia.length) {
+            return;
+        }
+        var removed = state.capturedMedia.splice(index, 1);
+        updateMediaList();
+
+        // Keep keyboard and VoiceOver users in place: the next attachment, else the previous one,
+        // else the section before the now-hidden attachments
+        var remaining = state.capturedMedia.length;
+        var focusTarget = remaining
+            ? document.getElementById('mediaPreviewButton' + Math.min(index, remaining - 1))
+            : document.getElementById('attachFileButton');
+        if (focusTarget) {
+            focusTarget.focus();
+        }
+        var removedName = mediaDisplayName(removed[0], index);
+        announce(t('media.deleted', { name: removedName }));
+
+        if (removed.length && removed[0] && removed[0].fileURL) {
+            forgetWebFile(removed[0].fileURL);
+            bridgeRequestLoggingFailure('deleteMediaAttachment', { fileURL: removed[0].fileURL });
+        }
+    };
+
+    // Native cleared the session's attachments (e.g. after a submission)
+    function clearMediaAttachments() {
+        state.capturedMedia.forEach(function (media) {
+            forgetWebFile(media.fileURL);
+        });
+        state.capturedMedia = [];
+        updateMediaList();
+    }
+
+    function updateMediaList() {
+        var mediaSection = document.getElementById('mediaSection');
+        var mediaList = document.getElementById('mediaList');
+
+        if (!mediaSection || !mediaList) {
+            return;
+        }
+
+        // The section stays visible for its Add file control even without attachments
+        if (!state.capturedMedia.length) {
+            mediaList.innerHTML = '';
+            return;
+        }
+
+        var count = state.capturedMedia.length;
+        var isLocked = isSubmissionActive();
+        var html = state.capturedMedia.map(function (media, index) {
+            var type = media && media.type ? String(media.type).toLowerCase() : '';
+            var isRecording = type === 'screenrecording' || type === 'screen_recording';
+            var isScreenshot = type === 'screenshot';
+            var fileURL = media && media.fileURL ? String(media.fileURL) : '';
+            var fileNameRaw = mediaDisplayName(media, index);
+            var truncatedFileName = truncateMiddle(fileNameRaw, 20);
+            var fileName = escapeHtml(truncatedFileName);
+            var fullFileName = escapeHtml(fileNameRaw);
+            var icon = isRecording ? '🎥' : (isScreenshot ? '📸' : '📎');
+            var fallbackIcon = '<span class="media-thumbnail-icon media-thumbnail-icon--fallback" aria-hidden="true">' + icon + '</span>';
+            var isImage = isScreenshot || (fileURL && /(\.jpg|\.jpeg|\.png|\.gif|\.webp)$/i.test(fileURL));
+            var preview = '<span class="media-thumbnail-icon" aria-hidden="true">' + icon + '</span>';
+            if (media.previewURL) {
+                preview = '<img src="' + escapeHtml(media.previewURL) + '" alt="" onerror="qcBugHandleThumbnailError(this)">' + fallbackIcon;
+            } else if (isImage && /^(file|blob):/.test(fileURL)) {
+                // blob: URLs come from the browser preview's fixtures
+                preview = '<img src="' + escapeHtml(fileURL) + '" alt="" onerror="qcBugHandleThumbnailError(this)">' + fallbackIcon;
+            } else if (media.previewText) {
+                preview = '<pre class="media-text-preview" aria-hidden="true">' + escapeHtml(media.previewText) + '</pre>';
+            }
+
+            var metadata = mediaMetadata(media);
+            var upload = state.upload.attachments[fileURL];
+
+            // Preview and delete are sibling buttons so each gets its own focus stop and label.
+            // The move buttons are the touch and keyboard alternative to dragging. While native
+            // is sending the report the attachments can be previewed but not changed.
+            var deleteButton = isLocked ? '' :
+                '<button type="button" class="media-delete-btn" aria-label="' + escapeHtml(t('media.delete', { name: fileNameRaw })) + '"' +
+                    ' onclick="deleteMediaAttachment(' + index + ')"><span aria-hidden="true">✕</span></button>';
+            return '' +
+                '<div class="media-item" role="listitem" draggable="' + (isLocked ? 'false' : 'true') + '" data-index="' + index + '"' +
+                    ' ondragstart="handleMediaDragStart(event)" ondragover="handleMediaDragOver(event)" ondragleave="handleMediaDragLeave(event)"' +
+                    ' ondrop="handleMediaDrop(event)" ondragend="handleMediaDragEnd()">' +
+                    '<div class="media-thumbnail">' +
+                        '<button type="button" class="media-thumbnail-preview" id="mediaPreviewButton' + index + '" title="' + fullFileName + '"' +
+                            ' aria-label="' + escapeHtml(t('media.preview', { name: fileNameRaw })) + '" onclick="showMediaPreview(' + index + ')">' +
+                            preview +
+                            '<span class="media-thumbnail-label" aria-hidden="true">' + fileName + '</span>' +
+                        '</button>' +
+                        deleteButton +
+                    '</div>' +
+                    '<div class="media-meta">' +
+                        '<span class="media-meta-text">' + escapeHtml(metadata) + '</span>' +
+                        '<span class="media-order">' +
+                            '<button type="button" class="media-order-btn" aria-label="' + escapeHtml(t('media.moveEarlier', { name: fileNameRaw })) + '"' +
+                                (index === 0 || isLocked ? ' disabled' : '') + ' onclick="moveMediaAttachment(' + index + ', ' + (index - 1) + ')">‹</button>' +
+                            '<button type="button" class="media-order-btn" aria-label="' + escapeHtml(t('media.moveLater', { name: fileNameRaw })) + '"' +
+                                (index === count - 1 || isLocked ? ' disabled' : '') + ' onclick="moveMediaAttachment(' + index + ', ' + (index + 1) + ')">›</button>' +
+                        '</span>' +
+                    '</div>' +
+                    (upload ? mediaUploadHtml(upload, index, fileNameRaw) : '') +
+                    '<input type="text" class="media-caption" maxlength="200" value="' + escapeHtml(media.caption || '') + '"' + (isLocked ? ' readonly' : '') +
+                        ' placeholder="' + escapeHtml(t('media.captionPlaceholder')) + '"' +
+                        ' aria-label="' + escapeHtml(t('media.caption', { name: fileNameRaw })) + '"' +
+                        ' oninput="updateMediaCaption(' + index + ', this.value)">' +
+                '</div>';
+        }).join('');
+
+        mediaList.innerHTML = '<div class="media-thumbnail-container" role="list" aria-label="' + escapeHtml(t('media.list')) + '">' + html + '</div>';
+    }
+
+    window.showMediaPreview = function (index) {
+        if (typeof index !== 'number' || index < 0 || index >= state.capturedMedia.length) {
+            return;
+        }
+
+        // Always use native QuickLook preview for all media types
+        requestNativePreviewByIndex(index);
+    };
+
+    window.closeMediaPreview = function () {
+        // No longer needed - using native preview only
+        // Kept as stub for backward compatibility
+    };
+
+    function requestNativePreviewByIndex(index) {
+        if (typeof index !== 'number' || index < 0 || index >= state.capturedMedia.length) {
+            return;
+        }
+        requestNativePreview(state.capturedMedia[index]);
+    }
+
+    function requestNativePreview(media) {
+        if (!media || !media.fileURL) {
+            return;
+        }
+
+        bridgeRequest('previewAttachment', {
+            fileURL: media.fileURL,
+            type: media.type || '',
+            fileName: media.fileName || ''
+        }).catch(function (error) {
+            if (error.code === 'unavailable') {
+                window.open(media.fileURL, '_blank');
+                return;
+            }
+            notifyNativeLog('previewAttachment failed (' + error.code + '): ' + error.message);
+            setFileAttachStatus(t('media.previewFailed', { name: media.fileName || media.fileURL }), true);
+        });
+    }
+
+    window.updateGitLabMembers = function (members) {
+        if (!Array.isArray(members)) {
+            notifyNativeLog('updateGitLabMembers called with invalid data');
+            return;
+        }
+
+        var normalized = normalizeMembers(members);
+        state.assign.options = normalized;
+        state.assign.error = '';
+        state.assign.isLoading = false;
+
+        // Update cache key to prevent re-fetching
+        var endpoint = deriveMembersEndpoint(state.webhookURL);
+        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
+        if (endpoint && projectValue) {
+            state.assign.lastFetchKey = endpoint + '::' + projectValue;
+        }
+
+        renderAssignControls();
+        notifyNativeLog('Updated GitLab members from native: count=' + normalized.length);
+    };
+
+    window.refetchLabels = function () {
+        if (state.gitlab.project) {
+            scheduleLabelFetch(true);
+            notifyNativeLog('Triggering label refetch');
+        }
+    };
+
+    // Check if LLM mode is supported via webhook health check
+    function checkLLMSupport() {
+        var webhookURL = getWebhookInputValue();
+        if (!webhookURL) {
+            // No webhook configured, force manual mode
+            forceModeToManual();
+            return;
+        }
+
+        // Health check with whtype=llm_supported; any non-200 outcome falls back to manual mode
+        webhookRequest('llm_supported', {}, { endpoint: webhookURL, timeoutMs: 8000, retries: 1 })
+            .then(function (result) {
+                state.llm.isSupported = result.status === 200;
+                renderLLMPreview(false);
+                if (result.status === 200) {
+                    // LLM is supported, show mode selector
+                    showModeSelector();
+                } else {
+                    // LLM not supported, force manual mode
+                    forceModeToManual();
+                }
+            })
+            .catch(function (error) {
+                if (error && error.kind === 'aborted') {
+                    return;
+                }
+                // Network error or endpoint unavailable, force manual mode
+                notifyNativeLog('LLM support check failed (' + error.kind + '): ' + error.message);
+                forceModeToManual();
+            });
+    }
+
+    function showModeSelector() {
+        // Find the field-group containing the Mode radio buttons
+        var modeLLM = document.getElementById('modeLLM');
+        if (modeLLM) {
+            var fieldGroupContainer = modeLLM.closest('.field-group');
+            if (fieldGroupContainer) {
+                fieldGroupContainer.style.display = 'flex';
+            }
+        }
+    }
+
+    function forceModeToManual() {
+        state.llm.isSupported = false;
+        renderLLMPreview(false);
+
+        // Hide the mode selector field-group
+        var modeLLM = document.getElementById('modeLLM');
+        if (modeLLM) {
+            var fieldGroupContainer = modeLLM.closest('.field-group');
+            if (fieldGroupContainer) {
+                fieldGroupContainer.style.display = 'none';
+            }
+        }
+
+        // Force manual mode
+        var modeManual = document.getElementById('modeManual');
+        if (modeManual) {
+            modeManual.checked = true;
+        }
+        if (modeLLM) {
+            modeLLM.checked = false;
+        }
+
+        // Apply manual mode UI changes
+        setMode('manual');
+    }
+
+    // MARK: Templates
+
+    function normalizeTemplate(raw) {
+        if (!raw || typeof raw !== 'object') {
+            return null;
+        }
+        var name = typeof raw.name === 'string' ? raw.name.trim() : '';
+        var id = raw.id !== undefined && raw.id !== null ? String(raw.id).trim() : name;
+        if (!id.length || !name.length) {
+            return null;
+        }
+        function text(value) {
+            return typeof value === 'string' ? value : '';
+        }
+        return {
+            id: id,
+            name: name,
+            title: text(raw.title).trim(),
+            what: text(raw.what),
+            steps: text(raw.steps),
+            expected: text(raw.expected),
+            priority: text(raw.priority).trim(),
+            labels: (Array.isArray(raw.labels) ? raw.labels : []).filter(function (label) {
+                return typeof label === 'string' && label.trim().length;
+            }).map(function (label) {
+                return label.trim();
+            })
+        };
+    }
+
+    function normalizeTemplates(list) {
+        var seen = {};
+        return (Array.isArray(list) ? list : []).map(normalizeTemplate).filter(function (template) {
+            if (!template || seen[template.id]) {
+                return false;
+            }
+            seen[template.id] = true;
+            return true;
+        });
+    }
+
+    // Configured templates keep their order; webhook templates with the same id replace them
+    function availableTemplates() {
+        var remoteById = {};
+        state.templates.remote.forEach(function (template) {
+            remoteById[template.id] = template;
+        });
+        var merged = state.templates.configured.map(function (template) {
+            var remote = remoteById[template.id];
+            delete remoteById[template.id];
+            return remote || template;
+        });
+        state.templates.remote.forEach(function (template) {
+            if (remoteById[template.id]) {
+                merged.push(template);
+            }
+        });
+        return merged;
+    }
+
+    function findTemplate(id) {
+        var templates = availableTemplates();
+        for (var i = 0; i < templates.length; i += 1) {
+            if (templates[i].id === id) {
+                return templates[i];
+            }
+        }
+        return null;
+    }
+
+    function currentTemplateText() {
+        var values = {};
+        TEMPLATE_FIELDS.forEach(function (id) {
+            values[id] = readFieldValue(id);
+        });
+        return values;
+    }
+
+    // The manual fields count as edited when they hold text that the last applied template did not put there
+    function hasEditedTemplateFields() {
+        var applied = state.templates.applied;
+        return TEMPLATE_FIELDS.some(function (id) {
+            var value = readFieldValue(id).trim();
+            return value.length > 0 && (!applied || value !== (applied[id] || '').trim());
+        });
+    }
+
+    function renderTemplatePicker() {
+        var group = document.getElementById('templateFieldGroup');
+        var select = document.getElementById('templateSelect');
+        var status = document.getElementById('templateStatus');
+        var confirm = document.getElementById('templateConfirm');
+        var confirmMessage = document.getElementById('templateConfirmMessage');
+        var templates = availableTemplates();
+
+        if (group) {
+            group.style.display = templates.length || state.templates.isLoading || state.templates.error ? 'block' : 'none';
+        }
+        if (select) {
+            var options = ['<option value="">' + escapeHtml(t('template.none')) + '</option>'];
+            templates.forEach(function (template) {
+                options.push('<option value="' + escapeHtml(template.id) + '"' +
+                    (template.id === state.templates.selectedId ? ' selected' : '') + '>' + escapeHtml(template.name) + '</option>');
+            });
+            select.innerHTML = options.join('');
+            select.value = state.templates.selectedId;
+            select.disabled = state.templates.isLoading && !templates.length;
+        }
+        if (status) {
+            status.className = 'assign-status' + (state.templates.error ? ' assign-status--error' : (state.templates.isLoading ? ' assign-status--loading' : ''));
+            if (state.templates.isLoading) {
+                status.textContent = t('template.loading');
+            } else if (state.templates.error) {
+                status.textContent = state.templates.error;
+            } else {
+                status.textContent = '';
+            }
+        }
+        if (confirm) {
+            var pending = state.templates.pendingId ? findTemplate(state.templates.pendingId) : null;
+            confirm.style.display = pending ? 'flex' : 'none';
+            if (pending && confirmMessage) {
+                confirmMessage.textContent = t('template.confirm', { name: pending.name });
+            }
+        }
+    }
+
+    function applyTemplate(template) {
+        state.templates.selectedId = template.id;
+        state.templates.pendingId = '';
+
+        setFieldValue('manualTitle', template.title);
+        setFieldValue('manualWhat', template.what);
+        setFieldValue('manualSteps', template.steps);
+        setFieldValue('manualExpected', template.expected);
+        state.templates.applied = currentTemplateText();
+
+        // Template labels are added to the current selection; a scoped label replaces its group's choice
+        var titles = selectedLabelTitles().concat(template.labels);
+        if (template.priority) {
+            titles.push(template.priority);
+        }
+        if (template.labels.length || template.priority) {
+            applyLabelTitles(titles, true);
+            renderLabelControls();
+        }
+
+        if (currentMode() !== 'manual') {
+            var modeLLM = document.getElementById('modeLLM');
+            var modeManual = document.getElementById('modeManual');
+            if (modeLLM) { modeLLM.checked = false; }
+            if (modeManual) { modeManual.checked = true; }
+            window.setMode('manual');
+        }
+        window.updateManualTitle();
+        window.updateManualWhat();
+        window.updateManualSteps();
+        window.updateManualExpected();
+        renderTemplatePicker();
+        notifyNativeLog('Applied report template: ' + template.id);
+    }
+
+    function scheduleTemplateFetch(force) {
+        if (templateFetchTimeout) {
+            clearTimeout(templateFetchTimeout);
+        }
+        if (!deriveMembersEndpoint(state.webhookURL)) {
+            return;
+        }
+        templateFetchTimeout = setTimeout(function () {
+            fetchTemplates(force);
+            templateFetchTimeout = null;
+        }, 400);
+    }
+
+    // Templates may be shared across projects, so the project is sent when known but not required
+    function fetchTemplates(force) {
+        var endpoint = deriveMembersEndpoint(getWebhookInputValue());
+        if (!endpoint) {
+            return;
+        }
+        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
+        var cacheKey = endpoint + '::templates::' + projectValue;
+        if (!force && state.templates.lastFetchKey === cacheKey && !state.templates.error) {
+            return;
+        }
+
+        state.templates.isLoading = true;
+        state.templates.error = '';
+        renderTemplatePicker();
+
+        var payload = withGitLabMetadata({
+            project: projectValue.length ? projectValue : null
+        });
+
+        webhookRequest('report_templates', payload, { endpoint: endpoint })
+            .then(unwrapWebhookData)
+            .then(function (data) {
+                if (!Array.isArray(data)) {
+                    throw createWebhookError('response', '');
+                }
+                state.templates.isLoading = false;
+                state.templates.remote = normalizeTemplates(data);
+                state.templates.lastFetchKey = cacheKey;
+                renderTemplatePicker();
+                notifyNativeLog('Loaded report templates: count=' + state.templates.remote.length);
+            })
+            .catch(function (error) {
+                if (error && error.kind === 'aborted') {
+                    return;
+                }
+                state.templates.isLoading = false;
+                state.templates.remote = [];
+                state.templates.lastFetchKey = null;
+                // Webhooks without template support answer 404; configured templates still work then
+                state.templates.error = error && error.kind === 'response' && error.status === 404
+                    ? ''
+                    : describeWebhookError(error, t('template.loadFailed'));
+                renderTemplatePicker();
+                notifyNativeLog('Report template fetch failed (' + (error && error.kind) + '): ' + (state.templates.error || 'not supported'));
+            });
+    }
+
+    // Called by native with the templates from QCBugPluginConfig.reportTemplates
+    window.setReportTemplates = function (templates) {
+        state.templates.configured = normalizeTemplates(templates);
+        renderTemplatePicker();
+    };
+
+    window.selectReportTemplate = function () {
+        var select = document.getElementById('templateSelect');
+        var id = select ? select.value : '';
+        if (!id) {
+            // Going back to "No template" keeps whatever is in the fields
+            state.templates.selectedId = '';
+            state.templates.pendingId = '';
+            state.templates.applied = null;
+            renderTemplatePicker();
+            return;
+        }
+        var template = findTemplate(id);
+        if (!template) {
+            renderTemplatePicker();
+            return;
+        }
+        if (hasEditedTemplateFields()) {
+            state.templates.pendingId = template.id;
+            renderTemplatePicker();
+            return;
+        }
+        applyTemplate(template);
+    };
+
+    window.confirmReportTemplate = function () {
+        var template = state.templates.pendingId ? findTemplate(state.templates.pendingId) : null;
+        if (template) {
+            applyTemplate(template);
+        }
+    };
+
+    window.cancelReportTemplate = function () {
+        state.templates.pendingId = '';
+        renderTemplatePicker();
+    };
+
+    // MARK: Markdown
+
+    // Fields edited as GitLab-flavoured Markdown, mapped to the handler that bridges their raw value.
+    var MARKDOWN_FIELDS = {
+        bugDescription: 'updateDescription',
+        manualWhat: 'updateManualWhat',
+        manualSteps: 'updateManualSteps',
+        manualExpected: 'updateManualExpected'
+    };
+    var MARKDOWN_FORMATS = [
+        { format: 'bold', label: 'B' },
+        { format: 'list', label: '•' },
+        { format: 'code', label: '</>' },
+        { format: 'link', label: '🔗' },
+        { format: 'quote', label: '❝' }
+    ];
+    var markdownTabs = {};
+
+    // Only web links are rendered, since native opens nothing else; mailto:, javascript: and data: stay as text.
+    function safeMarkdownURL(url) {
+        return /^https?:\/\//i.test(url) ? url : null;
+    }
+
+    // `text` is raw Markdown. It is escaped first, so every tag below comes from the patterns here.
+    function renderMarkdownInline(text) {
+        // Code spans and link targets are set aside so emphasis never rewrites their contents
+        var placeholders = [];
+        function hold(fragment) {
+            placeholders.push(fragment);
+            return '\u0000' + (placeholders.length - 1) + '\u0000';
+        }
+        var html = escapeHtml(text).replace(/`([^`]+)`/g, function (match, code) {
+            return hold('<code>' + code + '</code>');
+        });
+        html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, function (match, label, url) {
+            var href = safeMarkdownURL(url);
+            return href ? hold('<a href="' + href + '" onclick="return openMarkdownLink(this)">') + label + hold('</a>') : match;
+        });
+        html = html
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?!\w)/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+        return html.replace(/\u0000(\d+)\u0000/g, function (match, index) {
+            return placeholders[parseInt(index, 10)];
+        });
+    }
+
+    function renderMarkdownList(items, ordered) {
+        var tag = ordered ? 'ol' : 'ul';
+        return '<' + tag + '>' + items.map(function (item) {
+            var task = /^\[([ xX])\]\s+(.*)$/.exec(item);
+            if (task) {
+                return '<li class="task-list-item"><input type="checkbox" disabled' + (task[1] === ' ' ? '' : ' checked') + '> ' +
+                    renderMarkdownInline(task[2]) + '</li>';
+            }
+            return '<li>' + renderMarkdownInline(item) + '</li>';
+        }).join('') + '</' + tag + '>';
+    }
+
+    // Renders the block-level subset GitLab users reach for in bug reports: headings, fenced code,
+    // quotes, bulleted/numbered/task lists, rules and paragraphs (single newlines become <br>).
+    function renderMarkdown(source) {
+        var lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+        var html = [];
+        var index = 0;
+
+        function collect(pattern) {
+            var collected = [];
+            while (index < lines.length) {
+                var match = pattern.exec(lines[index]);
+                if (!match) {
+                    break;
+                }
+                collected.push(match[1]);
+                index += 1;
+            }
+            return collected;
+        }
+
+        while (index < lines.length) {
+            var line = lines[index];
+            var fence = /^\s*```\s*([\w+-]*)\s*$/.exec(line);
+            var heading = /^(#{1,6})\s+(.*)$/.exec(line);
+
+            if (!line.trim()) {
+                index += 1;
+            } else if (fence) {
+                var code = [];
+                index += 1;
+                while (index < lines.length && !/^\s*```\s*$/.test(lines[index])) {
+                    code.push(lines[index]);
+                    index += 1;
+                }
+                index += 1;
+                html.push('<pre><code' + (fence[1] ? ' class="language-' + escapeHtml(fence[1]) + '"' : '') + '>' + escapeHtml(code.join('\n')) + '</code></pre>');
+            } else if (heading) {
+                var level = heading[1].length;
+                html.push('<h' + level + '>' + renderMarkdownInline(heading[2]) + '</h' + level + '>');
+                index += 1;
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                index += 1;
+            } else if (/^\s*>/.test(line)) {
+                html.push('<blockquote>' + renderMarkdown(collect(/^\s*>\s?(.*)$/).join('\n')) + '</blockquote>');
+            } else if (/^\s*[-*+]\s+/.test(line)) {
+                html.push(renderMarkdownList(collect(/^\s*[-*+]\s+(.*)$/), false));
+            } else if (/^\s*\d+[.)]\s+/.test(line)) {
+                html.push(renderMarkdownList(collect(/^\s*\d+[.)]\s+(.*)$/), true));
+            } else {
+                var paragraph = [];
+                while (index < lines.length && lines[index].trim() &&
+                    !/^\s*(```|>|[-*+]\s|\d+[.)]\s|#{1,6}\s)/.test(lines[index])) {
+                    paragraph.push(renderMarkdownInline(lines[index]));
+                    index += 1;
+                }
+                if (!paragraph.length) {
+                    // A line that only looked like a block start (e.g. `#tag`) is plain text
+                    paragraph.push(renderMarkdownInline(lines[index]));
+                    index += 1;
+                }
+                html.push('<p>' + paragraph.join('<br>') + '</p>');
+            }
+        }
+        return html.join('');
+    }
+
+    function refreshMarkdownPreview(fieldId) {
+        if (markdownTabs[fieldId] !== 'preview') {
+            return;
+        }
+        var preview = document.getElementById(fieldId + 'Preview');
+        if (preview) {
+            var source = readFieldValue(fieldId);
+            preview.innerHTML = source.trim() ? renderMarkdown(source) : '<p class="markdown-preview-empty">' + escapeHtml(t('markdown.empty')) + '</p>';
+        }
+    }
+
+    // Adds the toolbar and Write/Preview tabs around one of the MARKDOWN_FIELDS textareas
+    function setupMarkdownEditor(fieldId) {
+        var field = document.getElementById(fieldId);
+        if (!field || !field.parentNode || document.getElementById(fieldId + 'Toolbar')) {
+            return;
+        }
+        var toolbar = document.createElement('div');
+        toolbar.className = 'markdown-toolbar';
+        toolbar.id = fieldId + 'Toolbar';
+        toolbar.innerHTML =
+            '<div class="markdown-tabs" role="tablist">' +
+                '<button type="button" role="tab" id="' + fieldId + 'WriteTab" class="markdown-tab is-active" aria-selected="true" data-i18n="markdown.write" onclick="setMarkdownTab(\'' + fieldId + '\', \'write\')"></button>' +
+                '<button type="button" role="tab" id="' + fieldId + 'PreviewTab" class="markdown-tab" aria-selected="false" data-i18n="markdown.preview" onclick="setMarkdownTab(\'' + fieldId + '\', \'preview\')"></button>' +
+            '</div>' +
+            '<div class="markdown-actions" id="' + fieldId + 'Actions">' +
+                MARKDOWN_FORMATS.map(function (item) {
+                    return '<button type="button" class="markdown-action markdown-action--' + item.format + '" data-i18n-title="markdown.' + item.format + '" data-i18n-aria-label="markdown.' + item.format + '"' +
+                        ' onmousedown="event.preventDefault()" onclick="applyMarkdownFormat(\'' + fieldId + '\', \'' + item.format + '\')">' + escapeHtml(item.label) + '</button>';
+                }).join('') +
+            '</div>';
+        applyStaticTranslations(toolbar);
+        field.parentNode.insertBefore(toolbar, field);
+
+        var preview = document.createElement('div');
+        preview.className = 'markdown-preview';
+        preview.id = fieldId + 'Preview';
+        preview.style.display = 'none';
+        field.parentNode.insertBefore(preview, field.nextSibling);
+        markdownTabs[fieldId] = 'write';
+    }
+
+    window.setMarkdownTab = function (fieldId, tab) {
+        var field = document.getElementById(fieldId);
+        var preview = document.getElementById(fieldId + 'Preview');
+        if (!field || !preview) {
+            return;
+        }
+        var isPreview = tab === 'preview';
+        markdownTabs[fieldId] = isPreview ? 'preview' : 'write';
+        field.style.display = isPreview ? 'none' : '';
+        preview.style.display = isPreview ? 'block' : 'none';
+        ['Write', 'Preview'].forEach(function (name) {
+            var button = document.getElementById(fieldId + name + 'Tab');
+            if (button) {
+                var isActive = (name === 'Preview') === isPreview;
+                button.classList.toggle('is-active', isActive);
+                button.setAttribute('aria-selected', String(isActive));
+            }
+        });
+        var actions = document.getElementById(fieldId + 'Actions');
+        if (actions) {
+            actions.style.visibility = isPreview ? 'hidden' : 'visible';
+        }
+        refreshMarkdownPreview(fieldId);
+        if (!isPreview) {
+            field.focus();
+        }
+    };
+
+    // Wraps or prefixes the current selection, then bridges the raw Markdown like a keystroke would
+    window.applyMarkdownFormat = function (fieldId, format) {
+        var field = document.getElementById(fieldId);
+        if (!field || markdownTabs[fieldId] === 'preview') {
+            return;
+        }
+        var value = field.value || '';
+        var start = typeof field.selectionStart === 'number' ? field.selectionStart : value.length;
+        var end = typeof field.selectionEnd === 'number' ? field.selectionEnd : value.length;
+        var selected = value.substring(start, end);
+        var replacement;
+        var selectFrom;
+        var selectTo;
+
+        function prefixLines(prefix, placeholder) {
+            var text = selected || placeholder;
+            return text.split('\n').map(function (line) {
+                return prefix + line;
+            }).join('\n');
+        }
+
+        switch (format) {
+            case 'bold':
+                replacement = '**' + (selected || t('markdown.boldPlaceholder')) + '**';
+                selectFrom = start + 2;
+                selectTo = start + replacement.length - 2;
+                break;
+            case 'code':
+                if (selected.indexOf('\n') !== -1) {
+                    replacement = '```\n' + selected + '\n```';
+                    selectFrom = start + 4;
+                    selectTo = selectFrom + selected.length;
+                } else {
+                    replacement = '`' + (selected || t('markdown.codePlaceholder')) + '`';
+                    selectFrom = start + 1;
+                    selectTo = start + replacement.length - 1;
+                }
+                break;
+            case 'link':
+                replacement = '[' + (selected || t('markdown.linkPlaceholder')) + '](https://)';
+                // Leave the caret on the URL, which is what still needs typing
+                selectFrom = start + replacement.length - 9;
+                selectTo = start + replacement.length - 1;
+                break;
+            case 'list':
+                replacement = prefixLines('- ', t('markdown.listPlaceholder'));
+                selectFrom = start;
+                selectTo = start + replacement.length;
+                break;
+            case 'quote':
+                replacement = prefixLines('> ', t('markdown.quotePlaceholder'));
+                selectFrom = start;
+                selectTo = start + replacement.length;
+                break;
+            default:
+                return;
+        }
+
+        // Block formats start on their own line
+        if ((format === 'list' || format === 'quote') && start > 0 && value.charAt(start - 1) !== '\n') {
+            replacement = '\n' + replacement;
+            selectFrom += 1;
+            selectTo += 1;
+        }
+
+        field.value = value.substring(0, start) + replacement + value.substring(end);
+        field.focus();
+        if (typeof field.setSelectionRange === 'function') {
+            field.setSelectionRange(selectFrom, selectTo);
+        }
+        var handler = window[MARKDOWN_FIELDS[fieldId]];
+        if (typeof handler === 'function') {
+            handler();
+        }
+    };
+
+    window.openMarkdownLink = function (anchor) {
+        var href = anchor ? anchor.getAttribute('href') : null;
+        if (href && safeMarkdownURL(href)) {
+            openExternalURL(href).catch(function () {
+                anchor.classList.add('is-failed');
+                anchor.setAttribute('title', t('common.openLinkFailed'));
+            });
+        }
+        return false;
+    };
+
+    // MARK: LLM preview
+
+    function llmPreviewMetadata() {
+        return {
+            screen: state.currentScreen,
+            labels: selectedLabelTitles(),
+            assignees: state.assign.assignees.slice(),
+            watchers: state.assign.watchers.slice(),
+            issueNumber: state.issueNumber.length ? parseInt(state.issueNumber, 10) : null,
+            issueRelation: state.issueNumber.length ? state.issueRelation : null
+        };
+    }
+
+    // Steps may come back as a list; the manual Steps field takes numbered lines.
+    function formatPreviewSteps(steps) {
+        if (Array.isArray(steps)) {
+            return steps.filter(function (step) {
+                return typeof step === 'string' && step.trim().length;
+            }).map(function (step, index) {
+                return (index + 1) + '. ' + step.trim();
+            }).join('\n');
+        }
+        return typeof steps === 'string' ? steps.trim() : '';
+    }
+
+    function normalizePreviewDraft(data) {
+        if (!data || typeof data !== 'object') {
+            return null;
+        }
+        var draft = {
+            title: typeof data.title === 'string' ? data.title.trim() : '',
+            what: typeof data.what === 'string' ? data.what.trim() : '',
+            steps: formatPreviewSteps(data.steps),
+            expected: typeof data.expected === 'string' ? data.expected.trim() : ''
+        };
+        return (draft.title || draft.what || draft.steps || draft.expected) ? draft : null;
+    }
+
+    // `fillFields` copies a freshly generated draft into the editable fields; otherwise the
+    // user's edits are left alone and only the surrounding state is refreshed.
+    function renderLLMPreview(fillFields) {
+        var button = document.getElementById('llmPreviewButton');
+        var panel = document.getElementById('llmPreviewPanel');
+        var status = document.getElementById('llmPreviewStatus');
+        if (!button || !panel || !status) {
+            return;
+        }
+        var llm = state.llm;
+        var hasDescription = readFieldValue('bugDescription').trim().length > 0;
+        var hasEndpoint = !!deriveMembersEndpoint(getWebhookInputValue());
+
+        button.style.display = llm.isSupported ? 'inline-flex' : 'none';
+        button.disabled = llm.isLoading || !hasDescription || !hasEndpoint;
+        button.textContent = t(llm.draft ? 'llmPreview.regenerate' : 'llmPreview.button');
+
+        status.className = 'assign-status';
+        if (llm.isLoading) {
+            status.textContent = t('llmPreview.loading');
+            status.classList.add('assign-status--loading');
+        } else if (llm.error) {
+            status.textContent = llm.error;
+            status.classList.add('assign-status--error');
+        } else {
+            status.textContent = '';
+        }
+
+        panel.style.display = llm.isSupported && llm.draft ? 'block' : 'none';
+        if (fillFields && llm.draft) {
+            setFieldValue('llmPreviewTitle', llm.draft.title);
+            setFieldValue('llmPreviewWhat', llm.draft.what);
+            setFieldValue('llmPreviewSteps', llm.draft.steps);
+            setFieldValue('llmPreviewExpected', llm.draft.expected);
+        }
+        var acceptButton = document.getElementById('llmPreviewAcceptButton');
+        if (acceptButton) {
+            acceptButton.disabled = llm.isLoading;
+        }
+    }
+
+    window.requestLLMPreview = function () {
+        var endpoint = deriveMembersEndpoint(getWebhookInputValue());
+        var description = readFieldValue('bugDescription').trim();
+        if (!endpoint || !description.length || !state.llm.isSupported) {
+            return;
         }
 
-        var actionType = action.actionType || '';
-        var elementText = action.elementInfo && action.elementInfo.text ? escapeHtml(action.elementInfo.text) : '';
+        state.llm.isLoading = true;
+        state.llm.error = '';
+        renderLLMPreview(false);
 
-        switch (actionType) {
-            case 'screen_view':
-                return 'Viewed screen';
-            case 'button_tap':
-                return elementText ? 'Tapped ' + elementText : 'Tapped button';
-            case 'text_input':
-                return 'Entered text';
-            case 'textfield_tap':
-                return 'Tapped text field';
-            case 'scroll':
-                return 'Scrolled content';
-            case 'alert_action':
-                return 'Interacted with alert';
-            default:
-                return actionType ? escapeHtml(actionType.replace(/_/g, ' ')) : 'User action';
+        var payload = withGitLabMetadata({
+            project: state.gitlab.project,
+            description: description,
+            userActions: state.actionHistory.slice(-LLM_PREVIEW_MAX_ACTIONS),
+            report: llmPreviewMetadata()
+        });
+
+        webhookRequest('llm_preview', payload, {
+            endpoint: endpoint,
+            timeoutMs: LLM_PREVIEW_TIMEOUT_MS,
+            retries: 0
+        })
+            .then(unwrapWebhookData)
+            .then(function (data) {
+                var draft = normalizePreviewDraft(data);
+                if (!draft) {
+                    throw createWebhookError('response', t('llmPreview.noDraft'));
+                }
+                state.llm.isLoading = false;
+                state.llm.draft = draft;
+                renderLLMPreview(true);
+            })
+            .catch(function (error) {
+                if (error && error.kind === 'aborted') {
+                    return;
+                }
+                state.llm.isLoading = false;
+                state.llm.error = describeWebhookError(error, t('llmPreview.failed'));
+                renderLLMPreview(false);
+                notifyNativeLog('LLM preview failed (' + (error && error.kind) + '): ' + state.llm.error);
+            });
+    };
+
+    // Switches to manual mode with the (possibly edited) preview as the report content
+    window.acceptLLMPreview = function () {
+        if (!state.llm.draft) {
+            return;
         }
+        setFieldValue('manualTitle', readFieldValue('llmPreviewTitle').trim());
+        setFieldValue('manualWhat', readFieldValue('llmPreviewWhat').trim());
+        setFieldValue('manualSteps', readFieldValue('llmPreviewSteps').trim());
+        setFieldValue('manualExpected', readFieldValue('llmPreviewExpected').trim());
+
+        var modeLLM = document.getElementById('modeLLM');
+        var modeManual = document.getElementById('modeManual');
+        if (modeLLM) { modeLLM.checked = false; }
+        if (modeManual) { modeManual.checked = true; }
+        window.setMode('manual');
+        window.updateManualTitle();
+        window.updateManualWhat();
+        window.updateManualSteps();
+        window.updateManualExpected();
+
+        cancelWebhookRequest('llm_preview');
+        state.llm.isLoading = false;
+        state.llm.error = '';
+        state.llm.draft = null;
+        renderLLMPreview(false);
+        notifyNativeLog('Accepted LLM preview draft');
+    };
+
+    window.discardLLMPreview = function () {
+        cancelWebhookRequest('llm_preview');
+        state.llm.isLoading = false;
+        state.llm.error = '';
+        state.llm.draft = null;
+        renderLLMPreview(false);
+    };
+
+    // MARK: Upload progress
+
+    var UPLOAD_PHASES = ['queued', 'compressing', 'uploading', 'done', 'failed', 'cancelled'];
+
+    function isUploadInFlight(progress) {
+        return progress.phase === 'queued' || progress.phase === 'compressing' || progress.phase === 'uploading';
     }
 
-    function getTimeAgo(date) {
-        if (!(date instanceof Date) || isNaN(date.getTime())) {
-            return '';
-        }
+    function uploadEntries() {
+        return Object.keys(state.upload.attachments).map(function (fileURL) {
+            return state.upload.attachments[fileURL];
+        });
+    }
 
-        var now = Date.now();
-        var diffMs = now - date.getTime();
-        if (diffMs < 0) {
-            diffMs = 0;
+    // Native keeps the form open until the report is filed and no attachment is uploading or
+    // waiting for a retry
+    function isSubmissionActive() {
+        if (state.upload.stage === 'sending') {
+            return true;
         }
+        return state.upload.stage === 'sent' && uploadEntries().some(function (progress) {
+            return isUploadInFlight(progress) || progress.phase === 'failed';
+        });
+    }
 
-        var diffSecs = Math.floor(diffMs / 1000);
-        var diffMins = Math.floor(diffSecs / 60);
-        var diffHours = Math.floor(diffMins / 60);
-        var diffDays = Math.floor(diffHours / 24);
+    function uploadPhaseLabel(progress) {
+        return t('upload.phase.' + progress.phase, { percent: progress.percent });
+    }
 
-        if (diffSecs < 60) {
-            return diffSecs + 's ago';
-        }
-        if (diffMins < 60) {
-            return diffMins + 'm ago';
+    function mediaUploadHtml(progress, index, name) {
+        var button = '';
+        if (isUploadInFlight(progress)) {
+            button = '<button type="button" class="gitlab-button" aria-label="' + escapeHtml(t('upload.cancelFile', { name: name })) + '"' +
+                ' onclick="cancelAttachmentUpload(' + index + ')">' + escapeHtml(t('upload.cancel')) + '</button>';
+        } else if ((progress.phase === 'failed' || progress.phase === 'cancelled') && isSubmissionActive()) {
+            button = '<button type="button" class="gitlab-button" aria-label="' + escapeHtml(t('upload.retryFile', { name: name })) + '"' +
+                ' onclick="retryAttachmentUpload(' + index + ')">' + escapeHtml(t('upload.retry')) + '</button>';
         }
-        if (diffHours < 24) {
-            return diffHours + 'h ago';
+        return '' +
+            '<div class="media-upload media-upload--' + progress.phase + '">' +
+                '<div class="upload-bar" id="mediaUploadBar' + index + '" role="progressbar" aria-valuemin="0" aria-valuemax="100"' +
+                    ' aria-valuenow="' + progress.percent + '" aria-label="' + escapeHtml(t('upload.fileProgress', { name: name })) + '">' +
+                    '<span class="upload-bar-fill" id="mediaUploadFill' + index + '" style="width: ' + progress.percent + '%"></span>' +
+                '</div>' +
+                '<div class="media-upload-row">' +
+                    '<span class="media-upload-label" id="mediaUploadLabel' + index + '"' +
+                        (progress.message ? ' title="' + escapeHtml(progress.message) + '"' : '') + '>' + escapeHtml(uploadPhaseLabel(progress)) + '</span>' +
+                    button +
+                '</div>' +
+            '</div>';
+    }
+
+    function setUploadBar(bar, fill, percent) {
+        if (bar) {
+            bar.setAttribute('aria-valuenow', String(percent));
         }
-        if (diffDays < 7) {
-            return diffDays + 'd ago';
+        if (fill) {
+            fill.style.width = percent + '%';
         }
-        return date.toLocaleDateString();
     }
 
-    window.addMediaAttachment = function (media) {
-        if (!media) {
+    function renderSubmissionProgress() {
+        var container = document.getElementById('submissionProgress');
+        var text = document.getElementById('submissionProgressText');
+        if (!container || !text) {
             return;
         }
-        state.capturedMedia.push(media);
-        updateMediaList();
-    };
-
-    window.deleteMediaAttachment = function (index) {
-        if (typeof index !== 'number' || index < 0 || index >= state.capturedMedia.length) {
+        var upload = state.upload;
+        if (!upload.stage) {
+            container.style.display = 'none';
             return;
         }
-        var removed = state.capturedMedia.splice(index, 1);
-        updateMediaList();
 
-        if (removed.length && removed[0] && removed[0].fileURL) {
-            postMessage({
-                action: 'deleteMediaAttachment',
-                fileURL: removed[0].fileURL
-            });
+        // Cancelled attachments drop out of the totals
+        var entries = uploadEntries().filter(function (progress) {
+            return progress.phase !== 'cancelled';
+        });
+        var doneCount = entries.filter(function (progress) { return progress.phase === 'done'; }).length;
+        var failedCount = entries.filter(function (progress) { return progress.phase === 'failed'; }).length;
+        var percent = entries.length
+            ? Math.round(entries.reduce(function (sum, progress) { return sum + progress.percent; }, 0) / entries.length)
+            : 0;
+
+        var message;
+        if (upload.stage === 'failed') {
+            message = t('upload.failed', { message: upload.message || t('webSubmit.failed') });
+        } else if (upload.stage === 'sent') {
+            message = failedCount ? t('upload.sentWithFailures', { count: failedCount }) : t('upload.sent');
+            percent = failedCount ? percent : 100;
+        } else if (entries.length) {
+            message = t('upload.progress', { done: doneCount, total: entries.length, percent: percent });
+        } else {
+            message = t('upload.sending');
         }
-    };
 
-    function updateMediaList() {
-        var mediaSection = document.getElementById('mediaSection');
-        var mediaList = document.getElementById('mediaList');
+        text.textContent = message;
+        container.classList.toggle('is-error', upload.stage === 'failed' || failedCount > 0);
+        setUploadBar(document.getElementById('submissionProgressBar'), document.getElementById('submissionProgressFill'), percent);
+        container.style.display = 'flex';
+    }
 
-        if (!mediaSection || !mediaList) {
-            return;
-        }
+    function resetUploadState() {
+        state.upload.stage = '';
+        state.upload.reportId = null;
+        state.upload.message = '';
+        state.upload.attachments = {};
+    }
 
-        if (!state.capturedMedia.length) {
-            mediaSection.style.display = 'none';
-            mediaList.innerHTML = '';
+    // Native's `submissionStatus` event: `{ stage: 'sending' | 'sent' | 'failed', reportId, message }`
+    function applySubmissionStatus(status) {
+        if (!status || typeof status.stage !== 'string') {
+            notifyNativeLog('submissionStatus called with invalid data');
             return;
         }
+        if (status.stage === 'sending') {
+            resetUploadState();
+        }
+        state.upload.stage = status.stage;
+        state.upload.reportId = status.reportId || null;
+        state.upload.message = status.message || '';
 
-        mediaSection.style.display = 'block';
+        renderSubmissionProgress();
+        updateMediaList();
+        var text = document.getElementById('submissionProgressText');
+        announce(text ? text.textContent : '');
+        forgetSettledSubmission();
+    }
 
-        var html = state.capturedMedia.map(function (media, index) {
-            var type = media && media.type ? String(media.type).toLowerCase() : '';
-            var isRecording = type === 'screenrecording' || type === 'screen_recording';
-            var isScreenshot = type === 'screenshot';
-            var fileURL = media && media.fileURL ? String(media.fileURL) : '';
-            var fileNameRaw = media && media.fileName ? media.fileName : 'Attachment ' + (index + 1);
-            var truncatedFileName = truncateMiddle(fileNameRaw, 20);
-            var fileName = escapeHtml(truncatedFileName);
-            var fullFileName = escapeHtml(fileNameRaw);
-            var icon = isRecording ? '🎥' : (isScreenshot ? '📸' : '📎');
-            var deleteButton = '<button type="button" class="media-delete-btn" onclick="event.stopPropagation(); deleteMediaAttachment(' + index + ');">✕</button>';
-            var fallbackIcon = '<span class="media-thumbnail-icon media-thumbnail-icon--fallback">' + icon + '</span>';
-            var isImage = isScreenshot || (fileURL && /(\.jpg|\.jpeg|\.png|\.gif|\.webp)$/i.test(fileURL));
+    // Native's `attachmentProgress` event: `{ fileURL, phase, percent, message }`
+    function applyAttachmentProgress(progress) {
+        if (!progress || typeof progress.fileURL !== 'string' || UPLOAD_PHASES.indexOf(progress.phase) === -1) {
+            notifyNativeLog('attachmentProgress called with invalid data');
+            return;
+        }
+        var previous = state.upload.attachments[progress.fileURL];
+        var entry = {
+            phase: progress.phase,
+            percent: Math.max(0, Math.min(100, Math.round(Number(progress.percent) || 0))),
+            message: typeof progress.message === 'string' ? progress.message : ''
+        };
+        state.upload.attachments[progress.fileURL] = entry;
 
-            if (isImage && fileURL.indexOf('file://') === 0) {
-                return '' +
-                    '<div class="media-thumbnail" title="' + fullFileName + '" onclick="showMediaPreview(' + index + ');">' +
-                        deleteButton +
-                        '<img src="' + fileURL + '" alt="' + fullFileName + '" onerror="qcBugHandleThumbnailError(this)">' +
-                        fallbackIcon +
-                        '<div class="media-thumbnail-label">' + fileName + '</div>' +
-                    '</div>';
+        var index = -1;
+        state.capturedMedia.forEach(function (media, mediaIndex) {
+            if (media && media.fileURL === progress.fileURL) {
+                index = mediaIndex;
             }
+        });
 
-            return '' +
-                '<div class="media-thumbnail" title="' + fullFileName + '" onclick="showMediaPreview(' + index + ');">' +
-                    deleteButton +
-                    '<span class="media-thumbnail-icon">' + icon + '</span>' +
-                    '<div class="media-thumbnail-label">' + fileName + '</div>' +
-                '</div>';
-        }).join('');
+        // Percentage ticks only touch the bar so focus and the rest of the list stay put
+        var label = index === -1 ? null : document.getElementById('mediaUploadLabel' + index);
+        if (previous && previous.phase === entry.phase && label) {
+            label.textContent = uploadPhaseLabel(entry);
+            setUploadBar(document.getElementById('mediaUploadBar' + index), document.getElementById('mediaUploadFill' + index), entry.percent);
+        } else {
+            updateMediaList();
+        }
+        renderSubmissionProgress();
 
-        mediaList.innerHTML = '<div class="media-thumbnail-container">' + html + '</div>';
+        if (index !== -1 && (entry.phase === 'done' || entry.phase === 'failed') && (!previous || previous.phase !== entry.phase)) {
+            var name = mediaDisplayName(state.capturedMedia[index], index);
+            announce(t(entry.phase === 'done' ? 'upload.announce.done' : 'upload.announce.failed', { name: name }));
+        }
+        forgetSettledSubmission();
     }
 
-    window.showMediaPreview = function (index) {
-        if (typeof index !== 'number' || index < 0 || index >= state.capturedMedia.length) {
+    // Native closes the form once everything is settled; the form is reused for the next report
+    function forgetSettledSubmission() {
+        if (state.upload.stage === 'sent' && !isSubmissionActive()) {
+            resetUploadState();
+            renderSubmissionProgress();
+            updateMediaList();
+        }
+    }
+
+    function postAttachmentUploadAction(action, index) {
+        var media = state.capturedMedia[index];
+        if (!media || !media.fileURL || !state.upload.attachments[media.fileURL]) {
             return;
         }
+        bridgeRequestLoggingFailure(action, { fileURL: media.fileURL });
+    }
 
-        // Always use native QuickLook preview for all media types
-        requestNativePreviewByIndex(index);
+    window.cancelAttachmentUpload = function (index) {
+        postAttachmentUploadAction('cancelAttachmentUpload', index);
     };
 
-    window.closeMediaPreview = function () {
-        // No longer needed - using native preview only
-        // Kept as stub for backward compatibility
+    window.retryAttachmentUpload = function (index) {
+        postAttachmentUploadAction('retryAttachmentUpload', index);
     };
 
-    function requestNativePreviewByIndex(index) {
-        if (typeof index !== 'number' || index < 0 || index >= state.capturedMedia.length) {
-            return;
-        }
-        requestNativePreview(state.capturedMedia[index]);
+    // MARK: Web submission
+
+    // Without a native bridge (the form opened from a web portal) the page builds the same
+    // `report_issue` payload as BugReportAPIService, posts it to the webhook itself and keeps
+    // browser-selected files in memory until then. Browser details stand in for DeviceInfo.
+    var WEB_SUBMIT_TIMEOUT_MS = 5 * 60 * 1000;
+    var WEB_TEAM = 'web';
+    var WEB_IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'heic'];
+
+    // Payload keys behind each EnvironmentField, mirroring DeviceInfo and AppInfo encode(to:)
+    var ENVIRONMENT_FIELD_KEYS = {
+        device: ['deviceModel'],
+        os: ['systemName', 'systemVersion'],
+        screen: ['screenSize', 'screenScale', 'deviceOrientation'],
+        battery: ['batteryLevel', 'batteryState'],
+        disk: ['diskSpace'],
+        locale: ['locale', 'timezone'],
+        app: ['bundleIdentifier', 'appName'],
+        appVersion: ['version', 'buildNumber']
+    };
+
+    var BROWSER_PATTERNS = [
+        { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+        { name: 'Opera', pattern: /OPR\/([\d.]+)/ },
+        { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+        { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+        { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ }
+    ];
+
+    var OS_PATTERNS = [
+        { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/ },
+        { name: 'Android', pattern: /Android ([\d.]+)/ },
+        { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+        { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+        { name: 'ChromeOS', pattern: /CrOS \S+ ([\d.]+)/ },
+        { name: 'Linux', pattern: /Linux()/ }
+    ];
+
+    function hasNativeBridge() {
+        return !!(window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers[HANDLER_NAME]);
     }
 
-    function requestNativePreview(media) {
-        if (!media || !media.fileURL) {
-            return;
+    function matchUserAgent(patterns, userAgent) {
+        for (var i = 0; i < patterns.length; i += 1) {
+            var match = patterns[i].pattern.exec(userAgent);
+            if (match) {
+                return { name: patterns[i].name, version: (match[1] || '').replace(/_/g, '.') };
+            }
         }
+        return { name: 'unknown', version: 'unknown' };
+    }
 
-        var didPost = postMessage({
-            action: 'previewAttachment',
-            fileURL: media.fileURL,
-            type: media.type || '',
-            fileName: media.fileName || ''
-        });
+    // Same orientation names as DeviceInfo
+    function browserOrientation() {
+        var type = window.screen && window.screen.orientation ? window.screen.orientation.type : '';
+        switch (type) {
+            case 'portrait-primary':
+                return 'portrait';
+            case 'portrait-secondary':
+                return 'portraitUpsideDown';
+            case 'landscape-primary':
+                return 'landscapeLeft';
+            case 'landscape-secondary':
+                return 'landscapeRight';
+            default:
+                return 'unknown';
+        }
+    }
 
-        if (!didPost) {
-            window.open(media.fileURL, '_blank');
+    function browserTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'unknown';
+        } catch (error) {
+            return 'unknown';
         }
     }
 
-    window.updateGitLabMembers = function (members) {
-        if (!Array.isArray(members)) {
-            notifyNativeLog('updateGitLabMembers called with invalid data');
+    // The environment in the shape native passes to setEnvironment. Battery level stays unknown
+    // (-1) until navigator.getBattery() answers; the disk is not visible to the page.
+    function collectBrowserEnvironment() {
+        var userAgent = navigator.userAgent || '';
+        var browser = matchUserAgent(BROWSER_PATTERNS, userAgent);
+        var os = matchUserAgent(OS_PATTERNS, userAgent);
+        var screen = window.screen || {};
+        var connection = navigator.connection || null;
+        var memory = window.performance && window.performance.memory ? window.performance.memory : null;
+        return {
+            deviceInfo: {
+                deviceModel: navigator.platform || 'unknown',
+                systemName: os.name,
+                systemVersion: os.version,
+                screenSize: [screen.width || 0, screen.height || 0],
+                screenScale: window.devicePixelRatio || 1,
+                deviceOrientation: browserOrientation(),
+                batteryLevel: -1,
+                batteryState: 'unknown',
+                diskSpace: { freeSpace: 0, totalSpace: 0 },
+                locale: navigator.language || 'unknown',
+                timezone: browserTimeZone()
+            },
+            appInfo: {
+                bundleIdentifier: window.location.host || 'unknown',
+                version: browser.version,
+                buildNumber: '',
+                appName: browser.name
+            },
+            networkInfo: {
+                connectionType: connection ? (connection.type || connection.effectiveType || 'unknown') : 'unknown',
+                carrierName: null
+            },
+            memoryInfo: memory ? {
+                usedMemory: memory.usedJSHeapSize,
+                availableMemory: Math.max(0, memory.jsHeapSizeLimit - memory.usedJSHeapSize)
+            } : null,
+            customData: {
+                userAgent: userAgent
+            },
+            excludedFields: state.environment.excluded.slice()
+        };
+    }
+
+    function updateBrowserBattery() {
+        if (typeof navigator.getBattery !== 'function') {
             return;
         }
-
-        var usernames = [];
-        members.forEach(function (member) {
-            var username = member && typeof member.username === 'string' ? member.username.trim() : '';
-            if (username && usernames.indexOf(username) === -1) {
-                usernames.push(username);
+        navigator.getBattery().then(function (battery) {
+            var data = state.environment.data;
+            if (!data || !data.deviceInfo) {
+                return;
             }
-        });
+            data.deviceInfo.batteryLevel = battery.level;
+            data.deviceInfo.batteryState = battery.level === 1 && battery.charging
+                ? 'full'
+                : (battery.charging ? 'charging' : 'unplugged');
+            renderEnvironment();
+        }).catch(function () {});
+    }
 
-        state.assign.options = usernames;
-        state.assign.error = '';
-        state.assign.isLoading = false;
+    function webMediaType(fileName) {
+        return WEB_IMAGE_EXTENSIONS.indexOf(fileExtension(fileName)) !== -1 ? 'screenshot' : 'other';
+    }
 
-        // Update cache key to prevent re-fetching
-        var endpoint = deriveMembersEndpoint(state.webhookURL);
-        var projectValue = typeof state.gitlab.project === 'string' ? state.gitlab.project.trim() : '';
-        if (endpoint && projectValue) {
-            state.assign.lastFetchKey = endpoint + '::' + projectValue;
+    // Keeps a file picked in the browser for the submission and lists it like a native attachment
+    function addWebFileAttachment(file, data) {
+        var fileURL = typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function'
+            ? URL.createObjectURL(file)
+            : 'blob:' + file.name + ':' + Date.now();
+        state.webSubmission.files[fileURL] = {
+            mimeType: file.type || 'application/octet-stream',
+            size: file.size,
+            data: data
+        };
+        window.addMediaAttachment({
+            type: webMediaType(file.name),
+            fileURL: fileURL,
+            fileName: file.name,
+            timestamp: Date.now(),
+            fileSize: file.size
+        });
+        return fileURL;
+    }
+
+    function forgetWebFile(fileURL) {
+        if (!state.webSubmission.files[fileURL]) {
+            return;
         }
+        delete state.webSubmission.files[fileURL];
+        if (typeof URL !== 'undefined' && typeof URL.revokeObjectURL === 'function') {
+            URL.revokeObjectURL(fileURL);
+        }
+    }
 
-        renderAssignControls();
-        notifyNativeLog('Updated GitLab members from native: count=' + usernames.length);
-    };
+    // JSONEncoder's .iso8601 drops the milliseconds; attachment timestamps keep them
+    function isoDateString(date, withFractionalSeconds) {
+        var value = (date instanceof Date && !isNaN(date.getTime()) ? date : new Date()).toISOString();
+        return withFractionalSeconds ? value : value.replace(/\.\d{3}Z$/, 'Z');
+    }
 
-    window.refetchPriorities = function () {
-        if (state.gitlab.project) {
-            schedulePriorityFetch(true);
-            notifyNativeLog('Triggering priority refetch');
+    // Native reports use an upper-case UUID
+    function createReportId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID().toUpperCase();
         }
-    };
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (character) {
+            var random = Math.floor(Math.random() * 16);
+            return (character === 'x' ? random : (random % 4) + 8).toString(16);
+        }).toUpperCase();
+    }
 
-    // Check if LLM mode is supported via webhook health check
-    function checkLLMSupport() {
-        var webhookURL = getWebhookInputValue();
-        if (!webhookURL) {
-            // No webhook configured, force manual mode
-            forceModeToManual();
-            return;
-        }
+    function excludedEnvironmentKeys() {
+        var keys = {};
+        state.environment.excluded.forEach(function (id) {
+            (ENVIRONMENT_FIELD_KEYS[id] || []).forEach(function (key) {
+                keys[key] = true;
+            });
+        });
+        return keys;
+    }
 
-        // Send health check request with whtype=llm_supported
-        fetch(webhookURL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                whtype: 'llm_supported'
-            })
-        })
-        .then(function(response) {
-            if (response.status === 200) {
-                // LLM is supported, show mode selector
-                showModeSelector();
-            } else {
-                // LLM not supported, force manual mode
-                forceModeToManual();
+    function withoutKeys(source, keys) {
+        var result = {};
+        Object.keys(source || {}).forEach(function (key) {
+            if (!keys[key]) {
+                result[key] = source[key];
             }
-        })
-        .catch(function(error) {
-            // Network error or endpoint unavailable, force manual mode
-            notifyNativeLog('LLM support check failed: ' + error.message);
-            forceModeToManual();
         });
+        return result;
     }
 
-    function showModeSelector() {
-        // Find the field-group containing the Mode radio buttons
-        var modeLLM = document.getElementById('modeLLM');
-        if (modeLLM) {
-            var fieldGroupContainer = modeLLM.closest('.field-group');
-            if (fieldGroupContainer) {
-                fieldGroupContainer.style.display = 'flex';
+    function nonEmptyText(value) {
+        var trimmed = typeof value === 'string' ? value.trim() : '';
+        return trimmed ? trimmed : undefined;
+    }
+
+    // `{ report, attachments, metadata }` as BugReportAPIService encodes it. Keys native leaves
+    // out when nil are left undefined so JSON.stringify drops them too.
+    function buildWebReportPayload() {
+        var environment = state.environment.data || collectBrowserEnvironment();
+        var excludedKeys = excludedEnvironmentKeys();
+        var isManual = currentMode() === 'manual';
+        var priority = state.labels.scoped.priority || '';
+        var labels = selectedLabelTitles();
+        if (priority && labels.indexOf(priority) === -1) {
+            labels.unshift(priority);
+        }
+        var assignees = state.assign.assignees.slice();
+        var issueNumber = parseInt(state.issueNumber, 10);
+        var customData = {};
+        Object.keys(environment.customData || {}).forEach(function (key) {
+            if (!isEnvironmentFieldExcluded(ENVIRONMENT_CUSTOM_PREFIX + key)) {
+                customData[key] = String(environment.customData[key]);
+            }
+        });
+
+        var report = {
+            id: createReportId(),
+            timestamp: isoDateString(new Date(), false),
+            description: redactPII(readFieldValue('bugDescription')),
+            priority: priority,
+            labels: labels,
+            userActions: state.actionHistory,
+            deviceInfo: withoutKeys(environment.deviceInfo, excludedKeys),
+            appInfo: withoutKeys(environment.appInfo, excludedKeys),
+            screenshots: [],
+            mediaAttachments: state.capturedMedia.map(function (media) {
+                return {
+                    type: media.type,
+                    fileName: media.fileName,
+                    timestamp: isoDateString(media.timestamp, false),
+                    fileSize: media.fileSize === null ? undefined : media.fileSize,
+                    caption: nonEmptyText(media.caption)
+                };
+            }),
+            customData: customData,
+            currentScreen: state.currentScreen || undefined,
+            networkInfo: isEnvironmentFieldExcluded('network') ? undefined : (environment.networkInfo || undefined),
+            memoryInfo: isEnvironmentFieldExcluded('memory') ? undefined : (environment.memoryInfo || undefined),
+            gitLabProject: state.gitlab.project || undefined,
+            assigneeUsername: assignees.length ? assignees[0] : undefined,
+            assigneeUsernames: assignees,
+            watcherUsernames: state.assign.watchers.filter(function (username) {
+                return assignees.indexOf(username) === -1;
+            }),
+            issueNumber: isNaN(issueNumber) ? -1 : issueNumber,
+            issueRelation: isNaN(issueNumber) ? undefined : state.issueRelation,
+            team: WEB_TEAM,
+            mode: isManual ? 'manual' : 'llm',
+            manualTitle: isManual ? nonEmptyText(redactPII(readFieldValue('manualTitle'))) : undefined,
+            manualWhat: isManual ? redactPII(readFieldValue('manualWhat')) : undefined,
+            manualSteps: isManual ? redactPII(readFieldValue('manualSteps')) : undefined,
+            manualExpected: isManual ? redactPII(readFieldValue('manualExpected')) : undefined
+        };
+
+        var attachments = state.capturedMedia.map(function (media) {
+            var file = state.webSubmission.files[media.fileURL];
+            if (!file) {
+                return null;
             }
+            return {
+                type: media.type,
+                fileName: media.fileName,
+                mimeType: file.mimeType,
+                timestamp: isoDateString(media.timestamp, true),
+                size: file.size,
+                data: file.data
+            };
+        }).filter(Boolean);
+
+        return {
+            report: report,
+            attachments: attachments,
+            metadata: state.gitlab.pat
+                ? { gitlab: { pat: state.gitlab.pat, project: state.gitlab.project || undefined } }
+                : undefined
+        };
+    }
+
+    // The webhook answers with a report id, or an object that may also carry the issue link
+    function readWebSubmitResult(data) {
+        if (typeof data === 'string' || typeof data === 'number') {
+            return { reportId: String(data), issueURL: null };
         }
+        var result = data && typeof data === 'object' ? data : {};
+        var issueURL = result.web_url || result.issue_url || result.issueURL || result.url;
+        return {
+            reportId: result.id || result.report_id ? String(result.id || result.report_id) : null,
+            issueURL: typeof issueURL === 'string' && /^https?:\/\//i.test(issueURL) ? issueURL : null
+        };
     }
 
-    function forceModeToManual() {
-        // Hide the mode selector field-group
-        var modeLLM = document.getElementById('modeLLM');
-        if (modeLLM) {
-            var fieldGroupContainer = modeLLM.closest('.field-group');
-            if (fieldGroupContainer) {
-                fieldGroupContainer.style.display = 'none';
-            }
+    function setWebSubmitStatus(message, isError) {
+        state.webSubmission.status = message || '';
+        state.webSubmission.isError = !!isError;
+        renderWebSubmission();
+    }
+
+    function renderWebSubmission() {
+        var section = document.getElementById('webSubmitSection');
+        var button = document.getElementById('webSubmitButton');
+        var status = document.getElementById('webSubmitStatus');
+        if (!section || !button || !status) {
+            return;
+        }
+        var web = state.webSubmission;
+        section.style.display = web.isEnabled ? 'block' : 'none';
+        button.disabled = web.isSubmitting;
+        button.textContent = web.isSubmitting ? t('webSubmit.sending') : t('webSubmit.submit');
+        status.className = 'assign-status' + (web.isError ? ' assign-status--error' : (web.isSubmitting ? ' assign-status--loading' : ''));
+
+        var result = web.result;
+        if (!web.status && result) {
+            var sent = escapeHtml(result.reportId ? t('webSubmit.sentWithId', { id: result.reportId }) : t('webSubmit.sent'));
+            status.innerHTML = result.issueURL
+                ? sent + ' <a href="' + escapeHtml(result.issueURL) + '" target="_blank" rel="noopener noreferrer">' +
+                    escapeHtml(t('webSubmit.openIssue')) + '</a>'
+                : sent;
+            return;
         }
+        status.textContent = web.status;
+    }
 
-        // Force manual mode
-        var modeManual = document.getElementById('modeManual');
-        if (modeManual) {
-            modeManual.checked = true;
+    window.submitWebReport = function () {
+        var web = state.webSubmission;
+        if (!web.isEnabled || web.isSubmitting) {
+            return;
         }
-        if (modeLLM) {
-            modeLLM.checked = false;
+        var validation = showAllValidationErrors();
+        if (!validation.isValid) {
+            setWebSubmitStatus(t('webSubmit.invalid'), true);
+            announce(validation.errors.map(function (error) {
+                return error.message;
+            }).join(' '));
+            return;
         }
 
-        // Apply manual mode UI changes
-        setMode('manual');
+        var payload = buildWebReportPayload();
+        var headers = state.gitlab.pat ? { 'Authorization': 'Bearer ' + state.gitlab.pat } : {};
+        web.isSubmitting = true;
+        web.result = null;
+        setWebSubmitStatus(t('webSubmit.sending'), false);
+
+        // Submitting twice would file two issues, so a failed send is never retried automatically
+        webhookRequest('report_issue', payload, { timeoutMs: WEB_SUBMIT_TIMEOUT_MS, retries: 0, headers: headers })
+            .then(function (result) {
+                if (result && result.json && result.json.code === 401) {
+                    throw createWebhookError('auth', '', result.status);
+                }
+                return unwrapWebhookData(result);
+            })
+            .then(function (data) {
+                web.isSubmitting = false;
+                web.result = readWebSubmitResult(data);
+                web.status = '';
+                web.isError = false;
+                window.clearDraft();
+                clearMediaAttachments();
+                renderWebSubmission();
+                announce(web.result.reportId ? t('webSubmit.sentWithId', { id: web.result.reportId }) : t('webSubmit.sent'));
+            })
+            .catch(function (error) {
+                web.isSubmitting = false;
+                if (error && error.kind === 'aborted') {
+                    renderWebSubmission();
+                    return;
+                }
+                var message = error && error.kind === 'auth'
+                    ? t('webSubmit.authFailed')
+                    : describeWebhookError(error, t('webSubmit.failed'));
+                setWebSubmitStatus(message, true);
+                announce(message);
+            });
+    };
+
+    // Takes over native's part when the page loads without a message handler: the webhook and
+    // language come from `?webhook=` and `?locale=`, the environment from the browser.
+    function startWebSubmission() {
+        var params = typeof URLSearchParams === 'function' ? new URLSearchParams(window.location.search) : null;
+        state.webSubmission.isEnabled = true;
+        document.body.classList.add('is-web-submission');
+
+        window.setLocale((params && params.get('locale')) || navigator.language || DEFAULT_LOCALE);
+        var webhook = params ? params.get('webhook') : null;
+        if (webhook && !getWebhookInputValue()) {
+            setFieldValue('webhookURL', webhook);
+            applyWebhookURL();
+        }
+        window.setEnvironment(collectBrowserEnvironment());
+        updateBrowserBattery();
+        renderWebSubmission();
+        validateFields();
     }
 
     document.addEventListener('DOMContentLoaded', function () {
-        updateSystemInfo();
+        applyStaticTranslations();
+        renderEnvironment();
         updateGitLabSection();
         renderAssignControls();
-        renderPriorityControls();
+        renderLabelControls();
+        renderDraftBanner();
+        renderLLMPreview(false);
+        renderTemplatePicker();
+        Object.keys(MARKDOWN_FIELDS).forEach(setupMarkdownEditor);
+        var actionFilters = document.getElementById('actionTypeFilters');
+        if (actionFilters) {
+            actionFilters.addEventListener('click', handleActionFilterClick);
+        }
         checkLLMSupport();
     });
 
+    // The browser preview installs its mock bridge before this runs, like the web view's didFinish
+    window.addEventListener('load', function () {
+        if (!hasNativeBridge()) {
+            startWebSubmission();
+        }
+    });
+
+    window.addEventListener('pagehide', function () {
+        saveDraftNow();
+        flushBridgeUpdates();
+    });
+
+    document.addEventListener('visibilitychange', function () {
+        if (document.visibilityState === 'hidden') {
+            saveDraftNow();
+            flushBridgeUpdates();
+        }
+    });
+
+    // Leaving a field sends its coalesced edit without waiting for the delay
+    document.addEventListener('focusout', flushBridgeUpdates);
+    document.addEventListener('focusout', markFieldTouched);
+
     document.addEventListener('keydown', function (event) {
         if (event.key === 'Escape') {
             window.closeMediaPreview();
@@ -0,0 +1,505 @@
+// Browser preview for bug_report.html. Inside the plugin's WKWebView the native message handler
+// exists before any script runs and this file does nothing. Opened in a desktop browser, it stands
+// in for native: it answers the form's messages, logs them to an on-page console and offers
+// controls that send the events native would send.
+//
+// Query parameters: ?webhook=<url> points the form at a local stub webhook, ?locale=vi picks the
+// language (default: the browser's). ?mode=web skips the mock so the form submits to the webhook
+// on its own, as it does when served from a web portal.
+(function () {
+    'use strict';
+
+    var HANDLER_NAME = 'bugReportHandler';
+
+    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers[HANDLER_NAME]) {
+        return;
+    }
+    if (/[?&]mode=web(?:&|$)/.test(window.location.search)) {
+        return;
+    }
+
+    var PROTOCOL_VERSION = 2;
+    var RESPONSE_DELAY_MS = 120;
+    var CONSOLE_LIMIT = 200;
+    var UPLOAD_TICK_MS = 400;
+
+    var preview = {
+        entries: [],
+        rejectRequests: false,
+        actionCount: 0,
+        mediaCount: 0,
+        // What native's upload queue would hold for the simulated submission
+        upload: null
+    };
+
+    // MARK: Fixtures
+
+    var params = parseQuery(window.location.search);
+
+    function parseQuery(search) {
+        var result = {};
+        (search || '').replace(/^\?/, '').split('&').forEach(function (pair) {
+            if (!pair) {
+                return;
+            }
+            var parts = pair.split('=');
+            result[decodeURIComponent(parts[0])] = decodeURIComponent((parts[1] || '').replace(/\+/g, ' '));
+        });
+        return result;
+    }
+
+    function minutesAgo(minutes) {
+        return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+    }
+
+    function fixtureAction(minutes, actionType, screenName, element, metadata) {
+        preview.actionCount += 1;
+        return {
+            id: 'preview-action-' + preview.actionCount,
+            timestamp: minutesAgo(minutes),
+            actionType: actionType,
+            screenName: screenName,
+            viewControllerClass: screenName.replace(/\s+/g, '') + 'ViewController',
+            elementInfo: element || null,
+            metadata: metadata || null
+        };
+    }
+
+    var ACTION_HISTORIES = {
+        checkout: function () {
+            return [
+                fixtureAction(6, 'screen_view', 'Home'),
+                fixtureAction(5.5, 'button_tap', 'Home', { className: 'UIButton', text: 'Cart', accessibilityIdentifier: 'home.cart' }),
+                fixtureAction(5.4, 'screen_view', 'Cart'),
+                fixtureAction(4, 'textfield_tap', 'Cart', { className: 'UITextField', accessibilityLabel: 'Promo code' }),
+                fixtureAction(3.8, 'text_input', 'Cart', { className: 'UITextField', text: 'SPRING25' }, { value: 'SPRING25' }),
+                fixtureAction(3, 'button_tap', 'Cart', { className: 'UIButton', text: 'Checkout' }),
+                fixtureAction(2.9, 'screen_view', 'Checkout'),
+                fixtureAction(2, 'text_input', 'Checkout', { className: 'UITextField', text: '4111 1111 1111 1111' }, { value: 'john.doe@example.com' }),
+                fixtureAction(1, 'button_tap', 'Checkout', { className: 'UIButton', text: 'Pay now' }),
+                fixtureAction(0.5, 'alert_action', 'Checkout', { className: 'UIAlertController', text: 'Payment failed' })
+            ];
+        },
+        long: function () {
+            var types = ['button_tap', 'scroll', 'text_input', 'swipe', 'switch_toggle', 'tab_change'];
+            var screens = ['Feed', 'Profile', 'Settings', 'Search'];
+            var actions = [];
+            for (var i = 0; i < 120; i += 1) {
+                var screen = screens[Math.floor(i / 30)];
+                actions.push(i % 30 === 0
+                    ? fixtureAction(60 - i * 0.5, 'screen_view', screen)
+                    : fixtureAction(60 - i * 0.5, types[i % types.length], screen, { className: 'UIView', text: 'Item ' + i }));
+            }
+            return actions;
+        },
+        empty: function () {
+            return [];
+        }
+    };
+
+    var GITLAB_STATES = {
+        signedIn: { isAuthenticated: true, requiresLogin: false, isLoading: false, username: 'preview.user', pat: 'preview-token', project: 'mobile/app', error: null },
+        needsLogin: { isAuthenticated: false, requiresLogin: true, isLoading: false, username: null, pat: null, project: 'mobile/app', error: null },
+        loading: { isAuthenticated: false, requiresLogin: true, isLoading: true, username: null, pat: null, project: 'mobile/app', error: null },
+        failed: { isAuthenticated: false, requiresLogin: true, isLoading: false, username: null, pat: null, project: 'mobile/app', error: 'Sign-in was cancelled.' }
+    };
+
+    var MEMBERS = [
+        { username: 'alice', name: 'Alice Nguyen', state: 'active', access_level: 40 },
+        { username: 'bob', name: 'Bob Tran', state: 'active', access_level: 30 },
+        { username: 'carol', name: 'Carol Le', state: 'active', access_level: 30 },
+        { username: 'dave', name: 'Dave Pham', state: 'blocked', access_level: 30 },
+        { username: 'erin', name: 'Erin Vo', state: 'active', access_level: 20 }
+    ];
+
+    function fixtureSnapshot() {
+        return {
+            schemaVersion: 1,
+            locale: params.locale || navigator.language || 'en',
+            webhookURL: params.webhook || '',
+            labelGroups: ['priority', 'severity', 'type', 'component'],
+            currentScreen: 'Checkout',
+            reportTemplates: [
+                { id: 'crash', name: 'Crash', title: 'App crashes on ', what: 'The app closed without a message.', steps: '', expected: '', priority: 'priority::high', labels: ['type::crash'] }
+            ],
+            environment: {
+                deviceInfo: {
+                    deviceModel: 'iPhone 15 Pro', systemName: 'iOS', systemVersion: '17.4',
+                    screenSize: [393, 852], screenScale: 3, deviceOrientation: 'portrait',
+                    batteryLevel: 0.62, batteryState: 'unplugged',
+                    diskSpace: { freeSpace: 48 * 1024 * 1024 * 1024, totalSpace: 128 * 1024 * 1024 * 1024 },
+                    locale: 'en_US', timezone: 'Asia/Ho_Chi_Minh'
+                },
+                appInfo: { appName: 'Preview', bundleIdentifier: 'com.example.preview', version: '2.3.0', buildNumber: '412' },
+                networkInfo: { connectionType: 'wifi' },
+                memoryInfo: { usedMemory: 182 * 1024 * 1024, availableMemory: 1.4 * 1024 * 1024 * 1024 },
+                customData: { environment: 'staging' },
+                excludedFields: []
+            },
+            redactionRules: [{ name: 'Promo code', pattern: 'SPRING\\d+' }]
+        };
+    }
+
+    // Attachments get blob URLs so thumbnails render and previews open in a new tab
+    function blobURL(content, type) {
+        return URL.createObjectURL(new Blob([content], { type: type }));
+    }
+
+    function fixtureScreenshotSVG(label) {
+        return '<svg xmlns="http://www.w3.org/2000/svg" width="390" height="844" viewBox="0 0 390 844">' +
+            '<rect width="390" height="844" fill="#f2f2f7"/><rect x="24" y="96" width="342" height="120" rx="16" fill="#ffffff"/>' +
+            '<rect x="24" y="720" width="342" height="52" rx="12" fill="#007aff"/>' +
+            '<text x="195" y="420" font-family="-apple-system, sans-serif" font-size="28" text-anchor="middle" fill="#636366">' + label + '</text></svg>';
+    }
+
+    function fixtureMedia(kind) {
+        preview.mediaCount += 1;
+        var number = preview.mediaCount;
+        var base = { timestamp: Date.now(), caption: '' };
+        if (kind === 'recording') {
+            base.type = 'screenRecording';
+            base.fileName = 'recording_' + number + '.mp4';
+            base.fileURL = blobURL('', 'video/mp4');
+            base.fileSize = 8 * 1024 * 1024 + number;
+            base.duration = 42.5;
+        } else if (kind === 'log') {
+            var log = '2025-01-01 10:00:00 [info] Checkout started\n2025-01-01 10:00:02 [error] Payment declined (code 51)\n';
+            base.type = 'other';
+            base.fileName = 'network_' + number + '.log';
+            base.fileURL = blobURL(log, 'text/plain');
+            base.fileSize = log.length;
+        } else {
+            var svg = fixtureScreenshotSVG('Screenshot ' + number);
+            base.type = 'screenshot';
+            base.fileName = 'screenshot_' + number + '.svg';
+            base.fileURL = blobURL(svg, 'image/svg+xml');
+            base.fileSize = svg.length;
+        }
+        return base;
+    }
+
+    // MARK: Mock native bridge
+
+    function bridge() {
+        return window.qcBridge && typeof window.qcBridge.receive === 'function' ? window.qcBridge : null;
+    }
+
+    function sendEvent(name, payload) {
+        log('in', name, payload);
+        var target = bridge();
+        if (target) {
+            target.receive({ type: 'event', name: name, payload: payload });
+        }
+    }
+
+    // Like native, the recording shows up first and its duration follows once measured
+    function addFixtureRecording() {
+        var media = fixtureMedia('recording');
+        var duration = media.duration;
+        delete media.duration;
+        sendEvent('mediaAdded', media);
+        setTimeout(function () {
+            sendEvent('mediaDuration', { fileURL: media.fileURL, duration: duration });
+        }, 400);
+    }
+
+    function respond(message, result, error) {
+        if (!message.requestId) {
+            return;
+        }
+        setTimeout(function () {
+            var envelope = { type: 'response', requestId: message.requestId, ok: !error };
+            if (error) {
+                envelope.error = error;
+            } else {
+                envelope.result = result === undefined ? null : result;
+            }
+            log('in', 'response ' + message.requestId, error || envelope.result);
+            var target = bridge();
+            if (target) {
+                target.receive(envelope);
+            }
+        }, RESPONSE_DELAY_MS);
+    }
+
+    function base64ToBytes(data) {
+        var binary = atob(data || '');
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i += 1) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // What native does for the messages whose effect the page can see; the rest are only logged
+    var MESSAGE_HANDLERS = {
+        gitlabLogin: function () {
+            sendEvent('gitLabAuthReady', GITLAB_STATES.loading);
+            setTimeout(function () {
+                sendEvent('gitLabAuthReady', GITLAB_STATES.signedIn);
+            }, 600);
+        },
+        gitlabLogout: function () {
+            sendEvent('gitLabAuthReady', GITLAB_STATES.needsLogin);
+        },
+        addFileAttachment: function (message) {
+            var fileURL = blobURL(base64ToBytes(message.data), message.mimeType || 'application/octet-stream');
+            sendEvent('mediaAdded', {
+                type: 'other',
+                fileURL: fileURL,
+                fileName: message.fileName,
+                timestamp: Date.now(),
+                fileSize: message.size
+            });
+            return { fileURL: fileURL };
+        },
+        previewAttachment: function (message) {
+            window.open(message.fileURL, '_blank');
+        },
+        openExternalURL: function (message) {
+            window.open(message.url, '_blank');
+        },
+        cancelAttachmentUpload: function (message) {
+            var upload = preview.upload;
+            var entry = upload && upload.attachments[message.fileURL];
+            if (entry && entry.phase !== 'done' && entry.phase !== 'cancelled') {
+                setUploadPhase(message.fileURL, 'cancelled', 0);
+            }
+        },
+        retryAttachmentUpload: function (message) {
+            var upload = preview.upload;
+            var entry = upload && upload.attachments[message.fileURL];
+            if (entry && (entry.phase === 'failed' || entry.phase === 'cancelled')) {
+                setUploadPhase(message.fileURL, 'queued', 0);
+                scheduleUploadTick();
+            }
+        }
+    };
+
+    // MARK: Simulated upload
+
+    // Walks the form's attachments through compressing and uploading one at a time, like
+    // native's upload queue. `failFirst` fails the first attachment once so Retry can be tried.
+    function startUpload(failFirst) {
+        var media = window.getSnapshot().media || [];
+        preview.upload = { attachments: {}, order: [], failFirst: failFirst, isReported: false, timer: null };
+        sendEvent('submissionStatus', { stage: 'sending' });
+        media.forEach(function (item) {
+            preview.upload.order.push(item.fileURL);
+            setUploadPhase(item.fileURL, 'queued', 0);
+        });
+        scheduleUploadTick();
+    }
+
+    function setUploadPhase(fileURL, phase, percent, message) {
+        preview.upload.attachments[fileURL] = { phase: phase, percent: percent };
+        sendEvent('attachmentProgress', { fileURL: fileURL, phase: phase, percent: percent, message: message });
+    }
+
+    function scheduleUploadTick() {
+        var upload = preview.upload;
+        if (upload && !upload.timer) {
+            upload.timer = setTimeout(uploadTick, UPLOAD_TICK_MS);
+        }
+    }
+
+    function uploadTick() {
+        var upload = preview.upload;
+        upload.timer = null;
+        var phaseOf = function (fileURL) { return upload.attachments[fileURL].phase; };
+        var active = upload.order.filter(function (fileURL) {
+            return phaseOf(fileURL) === 'compressing' || phaseOf(fileURL) === 'uploading';
+        })[0];
+        var next = upload.order.filter(function (fileURL) { return phaseOf(fileURL) === 'queued'; })[0];
+
+        if (active) {
+            var percent = phaseOf(active) === 'uploading' ? upload.attachments[active].percent + 25 : 0;
+            if (percent < 100) {
+                setUploadPhase(active, 'uploading', percent);
+            } else if (upload.failFirst && active === upload.order[0]) {
+                upload.failFirst = false;
+                setUploadPhase(active, 'failed', 0, 'Simulated network error');
+            } else {
+                setUploadPhase(active, 'done', 100);
+            }
+        } else if (next) {
+            setUploadPhase(next, 'compressing', 0);
+        } else {
+            if (!upload.isReported) {
+                upload.isReported = true;
+                sendEvent('submissionStatus', { stage: 'sent', reportId: 'preview-1' });
+            }
+            return;
+        }
+        scheduleUploadTick();
+    }
+
+    function receiveFromPage(message) {
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+        // Keep the console readable: file contents are logged by size only
+        var logged = message.action === 'addFileAttachment'
+            ? { fileName: message.fileName, size: message.size, requestId: message.requestId }
+            : message;
+        log('out', message.action, logged);
+
+        if (preview.rejectRequests && message.requestId) {
+            respond(message, null, { code: 'preview_rejected', message: 'Rejected by the preview bridge.' });
+            return;
+        }
+        var handler = Object.prototype.hasOwnProperty.call(MESSAGE_HANDLERS, message.action) ? MESSAGE_HANDLERS[message.action] : null;
+        respond(message, handler ? handler(message) : null);
+    }
+
+    window.webkit = window.webkit || {};
+    window.webkit.messageHandlers = window.webkit.messageHandlers || {};
+    window.webkit.messageHandlers[HANDLER_NAME] = { postMessage: receiveFromPage };
+
+    // Same order as the web view's didFinish: negotiate, history, form state, draft session, GitLab
+    function simulatePageLoad() {
+        var target = bridge();
+        if (!target) {
+            log('in', 'bridge missing', 'bug_report.js did not install window.qcBridge');
+            return;
+        }
+        log('in', 'hello', { protocolVersion: target.receive({ type: 'hello', protocolVersion: PROTOCOL_VERSION }) });
+        sendEvent('actionHistory', ACTION_HISTORIES.checkout());
+        var snapshot = fixtureSnapshot();
+        snapshot.media = [fixtureMedia('screenshot'), fixtureMedia('recording')];
+        log('in', 'hydrate', { schemaVersion: window.hydrate(snapshot) });
+        sendEvent('draftSession', 'preview-session');
+        sendEvent('gitLabAuthReady', GITLAB_STATES.needsLogin);
+    }
+
+    // MARK: Preview panel
+
+    var CONTROLS = [
+        { group: 'GitLab', items: [
+            { label: 'Signed in', run: function () { sendEvent('gitLabAuthReady', GITLAB_STATES.signedIn); } },
+            { label: 'Needs login', run: function () { sendEvent('gitLabAuthReady', GITLAB_STATES.needsLogin); } },
+            { label: 'Loading', run: function () { sendEvent('gitLabAuthReady', GITLAB_STATES.loading); } },
+            { label: 'Auth error', run: function () { sendEvent('gitLabAuthReady', GITLAB_STATES.failed); } },
+            { label: 'Inject members', run: function () { sendEvent('gitLabMembers', MEMBERS); } },
+            { label: 'Refetch labels', run: function () { sendEvent('labelsChanged', null); } }
+        ] },
+        { group: 'Media', items: [
+            { label: 'Add screenshot', run: function () { sendEvent('mediaAdded', fixtureMedia('screenshot')); } },
+            { label: 'Add recording', run: addFixtureRecording },
+            { label: 'Add log file', run: function () { sendEvent('mediaAdded', fixtureMedia('log')); } },
+            { label: 'Clear media', run: function () { sendEvent('mediaCleared', null); } }
+        ] },
+        { group: 'Actions', items: [
+            { label: 'Checkout flow', run: function () { sendEvent('actionHistory', ACTION_HISTORIES.checkout()); } },
+            { label: '120 actions', run: function () { sendEvent('actionHistory', ACTION_HISTORIES.long()); } },
+            { label: 'No actions', run: function () { sendEvent('actionHistory', ACTION_HISTORIES.empty()); } }
+        ] },
+        { group: 'Form', items: [
+            { label: 'Log snapshot', run: function () { log('in', 'getSnapshot', window.getSnapshot()); } },
+            { label: 'Reload fixture', run: function () { log('in', 'hydrate', { schemaVersion: window.hydrate(fixtureSnapshot()) }); } },
+            { label: 'Submit succeeded', run: function () { sendEvent('draftCleared', null); sendEvent('mediaCleared', null); } }
+        ] },
+        { group: 'Submission', items: [
+            { label: 'Upload attachments', run: function () { startUpload(false); } },
+            { label: 'Upload with a failure', run: function () { startUpload(true); } },
+            { label: 'Report fails', run: function () { sendEvent('submissionStatus', { stage: 'failed', message: 'The webhook is unavailable right now (HTTP 502).' }); } }
+        ] }
+    ];
+
+    function escapeText(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function describePayload(payload) {
+        if (payload === undefined || payload === null) {
+            return '';
+        }
+        try {
+            var text = JSON.stringify(payload);
+            return text.length > 400 ? text.slice(0, 400) + '…' : text;
+        } catch (error) {
+            return String(payload);
+        }
+    }
+
+    function log(direction, name, payload) {
+        preview.entries.push({
+            time: new Date().toLocaleTimeString(),
+            direction: direction,
+            name: name || '(no action)',
+            payload: describePayload(payload)
+        });
+        if (preview.entries.length > CONSOLE_LIMIT) {
+            preview.entries.shift();
+        }
+        renderConsole();
+    }
+
+    function renderConsole() {
+        var list = document.getElementById('previewConsole');
+        if (!list) {
+            return;
+        }
+        list.innerHTML = preview.entries.map(function (entry) {
+            return '<li class="preview-console-entry preview-console-entry--' + entry.direction + '">' +
+                '<span class="preview-console-time">' + escapeText(entry.time) + '</span>' +
+                '<span class="preview-console-arrow" aria-label="' + (entry.direction === 'out' ? 'page to native' : 'native to page') + '">' +
+                    (entry.direction === 'out' ? '→' : '←') + '</span>' +
+                '<span class="preview-console-name">' + escapeText(entry.name) + '</span>' +
+                '<code class="preview-console-payload">' + escapeText(entry.payload) + '</code>' +
+            '</li>';
+        }).join('');
+        list.scrollTop = list.scrollHeight;
+    }
+
+    function renderPanel() {
+        var panel = document.createElement('details');
+        panel.className = 'preview-panel';
+        panel.id = 'previewPanel';
+        panel.open = true;
+        panel.innerHTML = '' +
+            '<summary class="preview-panel-summary">Browser preview · mock native bridge</summary>' +
+            '<div class="preview-panel-body">' +
+                CONTROLS.map(function (group, groupIndex) {
+                    return '<div class="preview-control-group" role="group" aria-label="' + escapeText(group.group) + '">' +
+                        '<span class="preview-control-title">' + escapeText(group.group) + '</span>' +
+                        group.items.map(function (item, itemIndex) {
+                            return '<button type="button" class="preview-control" data-group="' + groupIndex + '" data-item="' + itemIndex + '">' +
+                                escapeText(item.label) + '</button>';
+                        }).join('') +
+                    '</div>';
+                }).join('') +
+                '<div class="preview-control-group">' +
+                    '<label class="preview-control-toggle"><input type="checkbox" id="previewRejectRequests"> Reject requests</label>' +
+                    '<button type="button" class="preview-control" id="previewClearConsole">Clear console</button>' +
+                '</div>' +
+                '<ol class="preview-console" id="previewConsole" aria-live="off"></ol>' +
+            '</div>';
+        document.body.appendChild(panel);
+        document.body.classList.add('has-preview-panel');
+
+        panel.addEventListener('click', function (event) {
+            var button = event.target && event.target.closest ? event.target.closest('.preview-control[data-group]') : null;
+            if (!button) {
+                return;
+            }
+            CONTROLS[Number(button.getAttribute('data-group'))].items[Number(button.getAttribute('data-item'))].run();
+        });
+        document.getElementById('previewRejectRequests').addEventListener('change', function (event) {
+            preview.rejectRequests = !!event.target.checked;
+        });
+        document.getElementById('previewClearConsole').addEventListener('click', function () {
+            preview.entries = [];
+            renderConsole();
+        });
+        renderConsole();
+    }
+
+    document.addEventListener('DOMContentLoaded', renderPanel);
+    // `load` fires after bug_report.js has set the page up, like the web view's didFinish
+    window.addEventListener('load', simulatePageLoad);
+})();
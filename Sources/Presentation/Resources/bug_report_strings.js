@@ -0,0 +1,595 @@
+// String tables for the bug report form, keyed by language code.
+// English is the fallback for any key a locale does not define. `{name}` placeholders are
+// filled by t(); keys ending in `.one` / `.other` are picked by count.
+window.qcBugReportStrings = {
+    en: {
+        'common.discard': 'Discard',
+        'common.clear': 'Clear',
+        'common.open': 'Open',
+        'common.unknown': 'Unknown',
+        'common.untitledIssue': 'Untitled issue',
+        'common.openLinkFailed': 'Unable to open this link.',
+        'common.assignedTo': 'Assigned to {name}',
+        'common.unassigned': 'Unassigned',
+        'common.issueOpen': 'Open',
+        'common.issueClosed': 'Closed',
+
+        'field.title': 'Title',
+        'field.what': 'What',
+        'field.steps': 'Steps',
+        'field.expected': 'Expected',
+
+        'draft.restore': 'Restore draft',
+        'draft.availableFrom': 'An unsent draft from {age} is available.',
+        'draft.available': 'An unsent draft is available.',
+
+        'section.description': '📝 Bug Description',
+        'section.mode': '🤖 LLM or Manual',
+        'section.labels': '🏷️ Labels',
+        'section.actions': '👣 User Actions',
+        'section.attachments': '📎 Attachments',
+        'section.webhook': '🔗 Webhook URL',
+        'section.environment': '🧭 Environment',
+        'section.privacy': '🛡️ Privacy check',
+
+        'gitlab.logout': 'Logout',
+        'gitlab.connected': 'Connected',
+
+        'assignees.label': 'Assign',
+        'assignees.aria': 'Assignees',
+        'assignees.placeholder': 'Add assignees — type a name or username',
+        'assignees.loading': 'Loading assignees…',
+        'assignees.empty': 'No team members found for this webhook.',
+        'assignees.needsWebhook': 'Enter a webhook URL to load assignees.',
+        'assignees.needsProject': 'Set a GitLab project to load assignees.',
+        'assignees.loadFailed': 'Unable to load team members.',
+        'watchers.label': 'Watchers (CC)',
+        'watchers.aria': 'Watchers',
+        'watchers.placeholder': 'Add people to keep informed',
+        'watchers.hint': 'Watchers are mentioned on the issue but not assigned to it.',
+        'members.remove': 'Remove {name}',
+        'members.recent': 'Recent',
+        'members.all': 'All members',
+        'members.noMatch': 'No members match “{query}”',
+        'members.allAdded': 'Everyone has been added',
+        'members.role.10': 'Guest',
+        'members.role.20': 'Reporter',
+        'members.role.30': 'Developer',
+        'members.role.40': 'Maintainer',
+        'members.role.50': 'Owner',
+
+        'issue.label': 'Parent Issue',
+        'issue.placeholder': 'Issue number (#123) or search by title',
+        'issue.listboxAria': 'Matching issues',
+        'issue.relationLabel': 'Create as',
+        'issue.relationChild': 'Child task',
+        'issue.relationComment': 'Comment on the issue',
+        'issue.hint': 'When set, a child task is created under this issue. Leave empty to create a new issue.',
+        'issue.noMatch': 'No issues match “{query}”',
+        'issue.lookingUp': 'Looking up #{number}…',
+        'issue.searching': 'Searching issues…',
+        'issue.notFound': '⚠️ Issue #{number} was not found in this project.',
+        'issue.closedWarning': '⚠️ This issue is closed. The task will be created under a closed issue.',
+        'issue.minLength': 'Type at least {count} characters to search by title.',
+        'issue.lookupFailed': 'Unable to look up issues.',
+
+        'mode.label': 'Mode',
+        'mode.llm': 'Use LLM',
+        'mode.manual': 'Manual',
+        'mode.hint': 'Let the LLM write the report, or fill it in yourself below.',
+
+        'template.label': 'Template',
+        'template.none': 'No template',
+        'template.keep': 'Keep my text',
+        'template.replace': 'Replace',
+        'template.hint': 'Pre-fills the manual fields with one of your team’s templates.',
+        'template.loading': 'Loading templates…',
+        'template.confirm': 'Replace your edits with the “{name}” template?',
+        'template.loadFailed': 'Unable to load templates.',
+
+        'description.label': 'Description',
+        'description.placeholder': 'Describe the bug you ran into…',
+        'description.hint': 'A general description of the problem you are reporting.',
+
+        'llmPreview.button': '✨ Preview with LLM',
+        'llmPreview.regenerate': '✨ Regenerate preview',
+        'llmPreview.heading': 'Draft to be filed — edit anything before using it',
+        'llmPreview.accept': 'Use this draft',
+        'llmPreview.loading': 'Generating a draft from your description and recorded actions…',
+        'llmPreview.noDraft': 'The LLM did not return a draft. Try again or switch to manual mode.',
+        'llmPreview.failed': 'Unable to generate a preview.',
+
+        'manual.titlePlaceholder': 'Short title (optional)',
+        'manual.titleHint': 'Leave empty to generate a title from the content.',
+        'manual.whatPlaceholder': 'What happened? Describe the problem you observed',
+        'manual.whatHint': 'Describe what you observed or what went wrong.',
+        'manual.stepsPlaceholder': 'Step 1: Open the app\nStep 2: Navigate to…\nStep 3: Tap…',
+        'manual.stepsHint': 'List the steps to reproduce the problem.',
+        'manual.expectedPlaceholder': 'What should have happened?',
+        'manual.expectedHint': 'Describe the expected behaviour or result.',
+
+        'markdown.write': 'Write',
+        'markdown.preview': 'Preview',
+        'markdown.bold': 'Bold',
+        'markdown.list': 'Bulleted list',
+        'markdown.code': 'Code',
+        'markdown.link': 'Link',
+        'markdown.quote': 'Quote',
+        'markdown.empty': 'Nothing to preview',
+        'markdown.boldPlaceholder': 'bold text',
+        'markdown.codePlaceholder': 'code',
+        'markdown.linkPlaceholder': 'link text',
+        'markdown.listPlaceholder': 'List item',
+        'markdown.quotePlaceholder': 'Quote',
+
+        'duplicates.title': '🔍 Possible duplicates',
+        'duplicates.checking': 'Checking for similar open issues…',
+        'duplicates.found': 'These open issues look similar. Consider updating one instead of filing a new issue.',
+        'duplicates.addComment': 'Add as comment',
+        'duplicates.createChild': 'Create child task',
+        'duplicates.failed': 'Unable to check for duplicates.',
+
+        'labels.other': 'Other labels',
+        'labels.select': 'Select {group}',
+        'labels.loading': 'Loading labels…',
+        'labels.empty': 'No labels found.',
+        'labels.needsWebhook': 'Enter a webhook URL to load labels.',
+        'labels.needsProject': 'Set a GitLab project to load labels.',
+        'labels.loadFailed': 'Unable to load labels.',
+
+        'actions.searchPlaceholder': 'Search element text or metadata',
+        'actions.timeFormat': 'Time format',
+        'actions.relative': 'Relative',
+        'actions.absolute': 'Absolute',
+        'actions.hint': 'Tap a first and last action to turn them into reproduction steps.',
+        'actions.useAsSteps': 'Use as steps',
+        'actions.empty': 'No user actions recorded',
+        'actions.noMatch': 'No actions match the current filters',
+        'actions.all': 'All',
+        'actions.gapTitle': 'Time since previous action',
+        'actions.count.one': '{count} action',
+        'actions.count.other': '{count} actions',
+        'actions.showing.one': 'Showing {visible} of {count} action',
+        'actions.showing.other': 'Showing {visible} of {count} actions',
+        'actions.selectionStart': 'Start selected — tap the last action to include.',
+        'actions.selection.one': '{count} step selected (actions {from}–{to})',
+        'actions.selection.other': '{count} steps selected (actions {from}–{to})',
+        'actions.onScreen': '{text} on {screen}',
+        'actions.unknownScreen': 'Unknown Screen',
+
+        'action.generic': 'User action',
+        'action.screenView': 'Viewed screen',
+        'action.tappedElement': 'Tapped {text}',
+        'action.tappedButton': 'Tapped button',
+        'action.textInput': 'Entered text',
+        'action.textFieldTap': 'Tapped text field',
+        'action.scroll': 'Scrolled content',
+        'action.alert': 'Interacted with alert',
+        'actionType.screen_view': 'screen view',
+        'actionType.screen_disappear': 'screen disappear',
+        'actionType.button_tap': 'button tap',
+        'actionType.text_input': 'text input',
+        'actionType.textfield_tap': 'textfield tap',
+        'actionType.scroll': 'scroll',
+        'actionType.swipe': 'swipe',
+        'actionType.pinch': 'pinch',
+        'actionType.long_press': 'long press',
+        'actionType.segmented_control_tap': 'segmented control tap',
+        'actionType.switch_toggle': 'switch toggle',
+        'actionType.slider_change': 'slider change',
+        'actionType.alert_action': 'alert action',
+        'actionType.navigation_back': 'navigation back',
+        'actionType.tab_change': 'tab change',
+        'actionType.modal_present': 'modal present',
+        'actionType.modal_dismiss': 'modal dismiss',
+
+        'time.secondsAgo': '{count}s ago',
+        'time.minutesAgo': '{count}m ago',
+        'time.hoursAgo': '{count}h ago',
+        'time.daysAgo': '{count}d ago',
+
+        'media.attachment': 'Attachment {number}',
+        'media.list': 'Attachments',
+        'media.preview': 'Preview {name}',
+        'media.delete': 'Delete {name}',
+        'media.deleted': '{name} deleted',
+        'media.previewFailed': 'Unable to preview {name}.',
+        'media.caption': 'Caption for {name}',
+        'media.captionPlaceholder': 'Add a caption',
+        'media.moveEarlier': 'Move {name} earlier',
+        'media.moveLater': 'Move {name} later',
+        'media.moved': '{name} moved to position {position} of {count}',
+        'media.sizeBytes': '{size} B',
+        'media.sizeKB': '{size} KB',
+        'media.sizeMB': '{size} MB',
+        'media.sizeGB': '{size} GB',
+
+        'files.add': '➕ Add file',
+        'files.dropHint': 'or drop logs, JSON, PDFs or images here',
+        'files.adding': 'Adding {name}…',
+        'files.unsupportedType': '{name} is not a supported file type.',
+        'files.empty': '{name} is empty.',
+        'files.tooLarge': '{name} is larger than {limit}.',
+        'files.readFailed': 'Unable to attach {name}.',
+
+        'environment.hint': 'Sent with the report. Untick anything you would rather not share.',
+        'environment.include': 'Include',
+        'environment.includeField': 'Include {name} in the report',
+        'environment.excludedCount.one': '{count} hidden',
+        'environment.excludedCount.other': '{count} hidden',
+        'environment.field.device': 'Device',
+        'environment.field.os': 'OS',
+        'environment.field.screen': 'Screen',
+        'environment.field.app': 'App',
+        'environment.field.appVersion': 'Version (build)',
+        'environment.field.battery': 'Battery',
+        'environment.field.disk': 'Disk',
+        'environment.field.memory': 'Memory',
+        'environment.field.network': 'Network',
+        'environment.field.locale': 'Locale and time zone',
+        'environment.battery.unplugged': 'unplugged',
+        'environment.battery.charging': 'charging',
+        'environment.battery.full': 'full',
+        'environment.diskValue': '{free} free of {total}',
+        'environment.memoryValue': '{used} used · {available} available',
+
+        'privacy.summary.one': '{count} value looks like personal data. Mask it before submitting.',
+        'privacy.summary.other': '{count} values look like personal data. Mask them before submitting.',
+        'privacy.mask': 'Mask',
+        'privacy.maskAll': 'Mask all',
+        'privacy.maskOne': 'Mask the {rule} in {source}',
+        'privacy.reveal': 'Show the {rule} in {source}',
+        'privacy.foundIn': '{rule} in {source}',
+        'privacy.masked.one': '{count} value masked',
+        'privacy.masked.other': '{count} values masked',
+        'privacy.rule.card': 'Card number',
+        'privacy.rule.email': 'Email',
+        'privacy.rule.phone': 'Phone number',
+        'privacy.rule.custom': 'Sensitive value',
+        'privacy.source.bugDescription': 'Description',
+        'privacy.source.manualTitle': 'Title',
+        'privacy.source.manualWhat': 'What',
+        'privacy.source.manualSteps': 'Steps',
+        'privacy.source.manualExpected': 'Expected',
+        'privacy.source.action': 'Action {number}',
+
+        'webhook.placeholder': 'https://your-webhook-endpoint',
+        'webhook.hint': 'Bug reports are sent to this address. Leave empty to use the default webhook.',
+        'webhook.timeout': 'The webhook did not respond in time. Check your connection and try again.',
+        'webhook.network': 'Network unavailable. Check your connection and try again.',
+        'webhook.http': 'The webhook is unavailable right now (HTTP {status}).',
+        'webhook.config': 'Enter a valid webhook URL.',
+        'webSubmit.hint': 'Sent from this browser with the environment details above.',
+        'webSubmit.submit': 'Send report',
+        'webSubmit.sending': 'Sending report…',
+        'webSubmit.sent': 'Report sent.',
+        'webSubmit.sentWithId': 'Report {id} sent.',
+        'webSubmit.openIssue': 'Open issue',
+        'webSubmit.invalid': 'Fix the highlighted fields before sending.',
+        'webSubmit.failed': 'Unable to send the report.',
+        'webSubmit.authFailed': 'The webhook rejected your credentials.',
+
+        'upload.overall': 'Overall upload progress',
+        'upload.sending': 'Sending report…',
+        'upload.progress': 'Uploading attachments: {done} of {total} · {percent}%',
+        'upload.sent': 'Report sent.',
+        'upload.sentWithFailures.one': 'Report sent. {count} attachment failed to upload.',
+        'upload.sentWithFailures.other': 'Report sent. {count} attachments failed to upload.',
+        'upload.failed': 'Unable to send the report: {message}',
+        'upload.phase.queued': 'Waiting',
+        'upload.phase.compressing': 'Compressing…',
+        'upload.phase.uploading': 'Uploading {percent}%',
+        'upload.phase.done': 'Uploaded',
+        'upload.phase.failed': 'Upload failed',
+        'upload.phase.cancelled': 'Cancelled',
+        'upload.fileProgress': 'Upload progress for {name}',
+        'upload.cancel': 'Cancel',
+        'upload.cancelFile': 'Cancel uploading {name}',
+        'upload.retry': 'Retry',
+        'upload.retryFile': 'Retry uploading {name}',
+        'upload.announce.done': '{name} uploaded',
+        'upload.announce.failed': '{name} failed to upload',
+
+        'validation.description': 'Describe the bug so the LLM has something to work with.',
+        'validation.manualWhat': 'Describe what happened.',
+        'validation.manualSteps': 'List the steps to reproduce the bug.',
+        'validation.manualExpected': 'Describe what should have happened.',
+        'validation.webhookURL': 'The webhook URL must start with http:// or https://.',
+        'validation.priority': 'Choose a priority.',
+        'validation.assignees': 'Assign the bug to at least one person.'
+    },
+
+    vi: {
+        'common.discard': 'Bỏ',
+        'common.clear': 'Xoá',
+        'common.open': 'Mở',
+        'common.unknown': 'Không rõ',
+        'common.untitledIssue': 'Issue chưa có tiêu đề',
+        'common.openLinkFailed': 'Không mở được liên kết này.',
+        'common.assignedTo': 'Giao cho {name}',
+        'common.unassigned': 'Chưa giao',
+        'common.issueOpen': 'Đang mở',
+        'common.issueClosed': 'Đã đóng',
+
+        'field.title': 'Tiêu đề',
+        'field.what': 'Vấn đề',
+        'field.steps': 'Các bước',
+        'field.expected': 'Mong đợi',
+
+        'draft.restore': 'Khôi phục bản nháp',
+        'draft.availableFrom': 'Có một bản nháp chưa gửi từ {age}.',
+        'draft.available': 'Có một bản nháp chưa gửi.',
+
+        'section.description': '📝 Mô tả lỗi',
+        'section.mode': '🤖 LLM hoặc thủ công',
+        'section.labels': '🏷️ Nhãn',
+        'section.actions': '👣 Thao tác người dùng',
+        'section.attachments': '📎 Tệp đính kèm',
+        'section.webhook': '🔗 Webhook URL',
+        'section.environment': '🧭 Môi trường',
+        'section.privacy': '🛡️ Kiểm tra quyền riêng tư',
+
+        'gitlab.logout': 'Đăng xuất',
+        'gitlab.connected': 'Đã kết nối',
+
+        'assignees.label': 'Giao cho',
+        'assignees.aria': 'Người được giao',
+        'assignees.placeholder': 'Thêm người được giao — nhập tên hoặc username',
+        'assignees.loading': 'Đang tải danh sách thành viên…',
+        'assignees.empty': 'Không tìm thấy thành viên nào cho webhook này.',
+        'assignees.needsWebhook': 'Nhập webhook URL để tải danh sách thành viên.',
+        'assignees.needsProject': 'Chọn dự án GitLab để tải danh sách thành viên.',
+        'assignees.loadFailed': 'Không tải được danh sách thành viên.',
+        'watchers.label': 'Người theo dõi (CC)',
+        'watchers.aria': 'Người theo dõi',
+        'watchers.placeholder': 'Thêm người cần được thông báo',
+        'watchers.hint': 'Người theo dõi được nhắc đến trong issue nhưng không được giao.',
+        'members.remove': 'Xoá {name}',
+        'members.recent': 'Gần đây',
+        'members.all': 'Tất cả thành viên',
+        'members.noMatch': 'Không có thành viên nào khớp “{query}”',
+        'members.allAdded': 'Đã thêm tất cả mọi người',
+        'members.role.10': 'Khách',
+        'members.role.20': 'Reporter',
+        'members.role.30': 'Developer',
+        'members.role.40': 'Maintainer',
+        'members.role.50': 'Chủ sở hữu',
+
+        'issue.label': 'Issue cha',
+        'issue.placeholder': 'Số issue (#123) hoặc tìm theo tiêu đề',
+        'issue.listboxAria': 'Các issue phù hợp',
+        'issue.relationLabel': 'Tạo dưới dạng',
+        'issue.relationChild': 'Task con',
+        'issue.relationComment': 'Bình luận trên issue',
+        'issue.hint': 'Nếu có giá trị, sẽ tạo task con cho issue này. Để trống sẽ tạo issue mới.',
+        'issue.noMatch': 'Không có issue nào khớp “{query}”',
+        'issue.lookingUp': 'Đang tìm #{number}…',
+        'issue.searching': 'Đang tìm issue…',
+        'issue.notFound': '⚠️ Không tìm thấy issue #{number} trong dự án này.',
+        'issue.closedWarning': '⚠️ Issue này đã đóng. Task sẽ được tạo dưới một issue đã đóng.',
+        'issue.minLength': 'Nhập ít nhất {count} ký tự để tìm theo tiêu đề.',
+        'issue.lookupFailed': 'Không tìm được issue.',
+
+        'mode.label': 'Chế độ',
+        'mode.llm': 'Dùng LLM',
+        'mode.manual': 'Thủ công',
+        'mode.hint': 'Chọn mô tả tự động bằng LLM hoặc nhập thủ công bên dưới.',
+
+        'template.label': 'Mẫu',
+        'template.none': 'Không dùng mẫu',
+        'template.keep': 'Giữ nội dung',
+        'template.replace': 'Thay thế',
+        'template.hint': 'Điền sẵn các trường thủ công theo mẫu của nhóm.',
+        'template.loading': 'Đang tải mẫu…',
+        'template.confirm': 'Thay nội dung bạn đã nhập bằng mẫu “{name}”?',
+        'template.loadFailed': 'Không tải được mẫu.',
+
+        'description.label': 'Mô tả',
+        'description.placeholder': 'Mô tả lỗi bạn gặp phải...',
+        'description.hint': 'Mô tả chung về vấn đề bạn đang báo cáo.',
+
+        'llmPreview.button': '✨ Xem trước với LLM',
+        'llmPreview.regenerate': '✨ Tạo lại bản xem trước',
+        'llmPreview.heading': 'Bản nháp sẽ được gửi — bạn có thể chỉnh sửa trước khi dùng',
+        'llmPreview.accept': 'Dùng bản nháp này',
+        'llmPreview.loading': 'Đang tạo bản nháp từ mô tả và các thao tác đã ghi lại…',
+        'llmPreview.noDraft': 'LLM không trả về bản nháp. Hãy thử lại hoặc chuyển sang chế độ thủ công.',
+        'llmPreview.failed': 'Không tạo được bản xem trước.',
+
+        'manual.titlePlaceholder': 'Tiêu đề ngắn gọn (không bắt buộc)',
+        'manual.titleHint': 'Để trống để tạo tiêu đề tự động từ nội dung.',
+        'manual.whatPlaceholder': 'Điều gì đã xảy ra? Mô tả vấn đề bạn quan sát được',
+        'manual.whatHint': 'Mô tả những gì bạn quan sát được hoặc điều gì đã xảy ra sai.',
+        'manual.stepsPlaceholder': 'Bước 1: Mở ứng dụng\nBước 2: Điều hướng đến...\nBước 3: Nhấn vào...',
+        'manual.stepsHint': 'Liệt kê các bước để tái hiện vấn đề.',
+        'manual.expectedPlaceholder': 'Điều gì lẽ ra phải xảy ra?',
+        'manual.expectedHint': 'Mô tả hành vi hoặc kết quả mong đợi.',
+
+        'markdown.write': 'Soạn',
+        'markdown.preview': 'Xem trước',
+        'markdown.bold': 'In đậm',
+        'markdown.list': 'Danh sách',
+        'markdown.code': 'Mã',
+        'markdown.link': 'Liên kết',
+        'markdown.quote': 'Trích dẫn',
+        'markdown.empty': 'Chưa có nội dung để xem trước',
+        'markdown.boldPlaceholder': 'chữ đậm',
+        'markdown.codePlaceholder': 'mã',
+        'markdown.linkPlaceholder': 'nội dung liên kết',
+        'markdown.listPlaceholder': 'Mục danh sách',
+        'markdown.quotePlaceholder': 'Trích dẫn',
+
+        'duplicates.title': '🔍 Có thể bị trùng',
+        'duplicates.checking': 'Đang kiểm tra các issue tương tự đang mở…',
+        'duplicates.found': 'Các issue đang mở này trông tương tự. Hãy cân nhắc cập nhật một issue thay vì tạo issue mới.',
+        'duplicates.addComment': 'Thêm bình luận',
+        'duplicates.createChild': 'Tạo task con',
+        'duplicates.failed': 'Không kiểm tra được issue trùng.',
+
+        'labels.other': 'Nhãn khác',
+        'labels.select': 'Chọn {group}',
+        'labels.loading': 'Đang tải nhãn…',
+        'labels.empty': 'Không tìm thấy nhãn nào.',
+        'labels.needsWebhook': 'Nhập webhook URL để tải nhãn.',
+        'labels.needsProject': 'Chọn dự án GitLab để tải nhãn.',
+        'labels.loadFailed': 'Không tải được nhãn.',
+
+        'actions.searchPlaceholder': 'Tìm theo nội dung phần tử hoặc metadata',
+        'actions.timeFormat': 'Định dạng thời gian',
+        'actions.relative': 'Tương đối',
+        'actions.absolute': 'Tuyệt đối',
+        'actions.hint': 'Chạm vào thao tác đầu và cuối để chuyển chúng thành các bước tái hiện.',
+        'actions.useAsSteps': 'Dùng làm các bước',
+        'actions.empty': 'Chưa ghi lại thao tác nào',
+        'actions.noMatch': 'Không có thao tác nào khớp bộ lọc hiện tại',
+        'actions.all': 'Tất cả',
+        'actions.gapTitle': 'Thời gian từ thao tác trước',
+        'actions.count.other': '{count} thao tác',
+        'actions.showing.other': 'Hiển thị {visible} / {count} thao tác',
+        'actions.selectionStart': 'Đã chọn điểm bắt đầu — chạm vào thao tác cuối để chọn.',
+        'actions.selection.other': 'Đã chọn {count} bước (thao tác {from}–{to})',
+        'actions.onScreen': '{text} trên {screen}',
+        'actions.unknownScreen': 'Màn hình không xác định',
+
+        'action.generic': 'Thao tác người dùng',
+        'action.screenView': 'Xem màn hình',
+        'action.tappedElement': 'Chạm vào {text}',
+        'action.tappedButton': 'Chạm vào nút',
+        'action.textInput': 'Nhập văn bản',
+        'action.textFieldTap': 'Chạm vào ô nhập liệu',
+        'action.scroll': 'Cuộn nội dung',
+        'action.alert': 'Tương tác với hộp thoại',
+        'actionType.screen_view': 'xem màn hình',
+        'actionType.screen_disappear': 'rời màn hình',
+        'actionType.button_tap': 'chạm nút',
+        'actionType.text_input': 'nhập văn bản',
+        'actionType.textfield_tap': 'chạm ô nhập',
+        'actionType.scroll': 'cuộn',
+        'actionType.swipe': 'vuốt',
+        'actionType.pinch': 'chụm',
+        'actionType.long_press': 'nhấn giữ',
+        'actionType.segmented_control_tap': 'chạm segmented control',
+        'actionType.switch_toggle': 'bật/tắt công tắc',
+        'actionType.slider_change': 'kéo thanh trượt',
+        'actionType.alert_action': 'hộp thoại',
+        'actionType.navigation_back': 'quay lại',
+        'actionType.tab_change': 'đổi tab',
+        'actionType.modal_present': 'mở modal',
+        'actionType.modal_dismiss': 'đóng modal',
+
+        'time.secondsAgo': '{count} giây trước',
+        'time.minutesAgo': '{count} phút trước',
+        'time.hoursAgo': '{count} giờ trước',
+        'time.daysAgo': '{count} ngày trước',
+
+        'media.attachment': 'Tệp đính kèm {number}',
+        'media.list': 'Tệp đính kèm',
+        'media.preview': 'Xem trước {name}',
+        'media.delete': 'Xoá {name}',
+        'media.deleted': 'Đã xoá {name}',
+        'media.previewFailed': 'Không thể xem trước {name}.',
+        'media.caption': 'Chú thích cho {name}',
+        'media.captionPlaceholder': 'Thêm chú thích',
+        'media.moveEarlier': 'Chuyển {name} lên trước',
+        'media.moveLater': 'Chuyển {name} ra sau',
+        'media.moved': 'Đã chuyển {name} đến vị trí {position}/{count}',
+        'media.sizeBytes': '{size} B',
+        'media.sizeKB': '{size} KB',
+        'media.sizeMB': '{size} MB',
+        'media.sizeGB': '{size} GB',
+
+        'files.add': '➕ Thêm tệp',
+        'files.dropHint': 'hoặc kéo thả log, JSON, PDF hay ảnh vào đây',
+        'files.adding': 'Đang thêm {name}…',
+        'files.unsupportedType': 'Không hỗ trợ loại tệp của {name}.',
+        'files.empty': '{name} không có nội dung.',
+        'files.tooLarge': '{name} lớn hơn {limit}.',
+        'files.readFailed': 'Không thể đính kèm {name}.',
+
+        'environment.hint': 'Được gửi kèm báo cáo. Bỏ chọn những gì bạn không muốn chia sẻ.',
+        'environment.include': 'Gửi kèm',
+        'environment.includeField': 'Gửi kèm {name} trong báo cáo',
+        'environment.excludedCount.one': 'Ẩn {count} mục',
+        'environment.excludedCount.other': 'Ẩn {count} mục',
+        'environment.field.device': 'Thiết bị',
+        'environment.field.os': 'Hệ điều hành',
+        'environment.field.screen': 'Màn hình',
+        'environment.field.app': 'Ứng dụng',
+        'environment.field.appVersion': 'Phiên bản (build)',
+        'environment.field.battery': 'Pin',
+        'environment.field.disk': 'Bộ nhớ lưu trữ',
+        'environment.field.memory': 'RAM',
+        'environment.field.network': 'Mạng',
+        'environment.field.locale': 'Ngôn ngữ và múi giờ',
+        'environment.battery.unplugged': 'không sạc',
+        'environment.battery.charging': 'đang sạc',
+        'environment.battery.full': 'đầy',
+        'environment.diskValue': 'Còn trống {free} / {total}',
+        'environment.memoryValue': 'Đã dùng {used} · còn trống {available}',
+
+        'privacy.summary.one': '{count} giá trị trông giống dữ liệu cá nhân. Hãy che trước khi gửi.',
+        'privacy.summary.other': '{count} giá trị trông giống dữ liệu cá nhân. Hãy che trước khi gửi.',
+        'privacy.mask': 'Che',
+        'privacy.maskAll': 'Che tất cả',
+        'privacy.maskOne': 'Che {rule} trong {source}',
+        'privacy.reveal': 'Hiện {rule} trong {source}',
+        'privacy.foundIn': '{rule} trong {source}',
+        'privacy.masked.one': 'Đã che {count} giá trị',
+        'privacy.masked.other': 'Đã che {count} giá trị',
+        'privacy.rule.card': 'Số thẻ',
+        'privacy.rule.email': 'Email',
+        'privacy.rule.phone': 'Số điện thoại',
+        'privacy.rule.custom': 'Giá trị nhạy cảm',
+        'privacy.source.bugDescription': 'Mô tả',
+        'privacy.source.manualTitle': 'Tiêu đề',
+        'privacy.source.manualWhat': 'Vấn đề',
+        'privacy.source.manualSteps': 'Các bước',
+        'privacy.source.manualExpected': 'Mong đợi',
+        'privacy.source.action': 'Thao tác {number}',
+
+        'webhook.placeholder': 'https://webhook-endpoint-của-bạn',
+        'webhook.hint': 'Báo cáo lỗi sẽ được gửi đến địa chỉ này. Để trống để sử dụng webhook mặc định.',
+        'webhook.timeout': 'Webhook không phản hồi kịp. Hãy kiểm tra kết nối và thử lại.',
+        'webhook.network': 'Không có kết nối mạng. Hãy kiểm tra kết nối và thử lại.',
+        'webhook.http': 'Webhook hiện không khả dụng (HTTP {status}).',
+        'webhook.config': 'Hãy nhập webhook URL hợp lệ.',
+        'webSubmit.hint': 'Gửi từ trình duyệt này kèm thông tin môi trường ở trên.',
+        'webSubmit.submit': 'Gửi báo cáo',
+        'webSubmit.sending': 'Đang gửi báo cáo…',
+        'webSubmit.sent': 'Đã gửi báo cáo.',
+        'webSubmit.sentWithId': 'Đã gửi báo cáo {id}.',
+        'webSubmit.openIssue': 'Mở issue',
+        'webSubmit.invalid': 'Hãy sửa các trường được đánh dấu trước khi gửi.',
+        'webSubmit.failed': 'Không thể gửi báo cáo.',
+        'webSubmit.authFailed': 'Webhook từ chối thông tin xác thực của bạn.',
+
+        'upload.overall': 'Tiến trình tải lên',
+        'upload.sending': 'Đang gửi báo cáo…',
+        'upload.progress': 'Đang tải tệp đính kèm: {done}/{total} · {percent}%',
+        'upload.sent': 'Đã gửi báo cáo.',
+        'upload.sentWithFailures.one': 'Đã gửi báo cáo. {count} tệp đính kèm tải lên thất bại.',
+        'upload.sentWithFailures.other': 'Đã gửi báo cáo. {count} tệp đính kèm tải lên thất bại.',
+        'upload.failed': 'Không thể gửi báo cáo: {message}',
+        'upload.phase.queued': 'Đang chờ',
+        'upload.phase.compressing': 'Đang nén…',
+        'upload.phase.uploading': 'Đang tải lên {percent}%',
+        'upload.phase.done': 'Đã tải lên',
+        'upload.phase.failed': 'Tải lên thất bại',
+        'upload.phase.cancelled': 'Đã huỷ',
+        'upload.fileProgress': 'Tiến trình tải lên {name}',
+        'upload.cancel': 'Huỷ',
+        'upload.cancelFile': 'Huỷ tải lên {name}',
+        'upload.retry': 'Thử lại',
+        'upload.retryFile': 'Thử tải lên lại {name}',
+        'upload.announce.done': 'Đã tải lên {name}',
+        'upload.announce.failed': 'Tải lên {name} thất bại',
+
+        'validation.description': 'Hãy mô tả lỗi để LLM có thông tin xử lý.',
+        'validation.manualWhat': 'Hãy mô tả điều gì đã xảy ra.',
+        'validation.manualSteps': 'Hãy liệt kê các bước tái hiện lỗi.',
+        'validation.manualExpected': 'Hãy mô tả điều lẽ ra phải xảy ra.',
+        'validation.webhookURL': 'Webhook URL phải bắt đầu bằng http:// hoặc https://.',
+        'validation.priority': 'Hãy chọn mức ưu tiên.',
+        'validation.assignees': 'Hãy giao lỗi cho ít nhất một người.'
+    }
+};
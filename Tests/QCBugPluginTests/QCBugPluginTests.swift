@@ -1,8 +1,14 @@
 import XCTest
 import UIKit
+import JavaScriptCore
 @testable import QCBugPlugin
 
 final class QCBugPluginTests: XCTestCase {
+    override func setUp() {
+        super.setUp()
+        StubWebhookURLProtocol.reset()
+    }
+
     func testConfigurationDoesNotCrash() {
         let config = QCBugPluginConfig(webhookURL: "https://example.com")
         let window = UIWindow(frame: UIScreen.main.bounds)
@@ -23,18 +29,475 @@ final class QCBugPluginTests: XCTestCase {
             appInfo: AppInfo()
         )
 
-        let service = BugReportAPIService(webhookURL: "https://example.com")
-        let data = try service.makeEncodedPayload(for: report, gitLabCredentials: nil)
+        let reportObj = try encodedReportDictionary(report)
+
+        XCTAssertEqual(reportObj["team"] as? String, "ios", "Payload report.team should be 'ios'")
+    }
+
+    func testBugReportPayloadContainsAssigneesAndWatchers() throws {
+        let report = BugReport(
+            description: "Test",
+            priority: "low",
+            userActions: [],
+            deviceInfo: DeviceInfo(),
+            appInfo: AppInfo(),
+            assigneeUsernames: ["alice", "bob"],
+            watcherUsernames: ["bob", "carol"]
+        )
+
+        let reportObj = try encodedReportDictionary(report)
+
+        XCTAssertEqual(reportObj["assigneeUsername"] as? String, "alice", "First assignee should stay in assigneeUsername")
+        XCTAssertEqual(reportObj["assigneeUsernames"] as? [String], ["alice", "bob"])
+        XCTAssertEqual(reportObj["watcherUsernames"] as? [String], ["carol"], "Assignees should not also be watchers")
+    }
+
+    func testBugReportPayloadContainsLabels() throws {
+        let report = BugReport(
+            description: "Test",
+            priority: "priority::high",
+            labels: ["priority::high", "severity::major", "regression"],
+            userActions: [],
+            deviceInfo: DeviceInfo(),
+            appInfo: AppInfo()
+        )
+
+        let reportObj = try encodedReportDictionary(report)
+
+        XCTAssertEqual(reportObj["priority"] as? String, "priority::high")
+        XCTAssertEqual(reportObj["labels"] as? [String], ["priority::high", "severity::major", "regression"])
+    }
+
+    func testBugReportPayloadKeepsAttachmentOrderAndCaptions() throws {
+        let recording = MediaAttachment(type: .screenRecording, fileURL: URL(fileURLWithPath: "/tmp/flow.mp4"))
+        let screenshot = MediaAttachment(type: .screenshot, fileURL: URL(fileURLWithPath: "/tmp/error.png"), fileSize: 2048, caption: "Error banner")
+        let report = BugReport(
+            description: "Test",
+            priority: "low",
+            userActions: [],
+            deviceInfo: DeviceInfo(),
+            appInfo: AppInfo(),
+            mediaAttachments: [screenshot, recording]
+        )
+
+        let media = try XCTUnwrap(encodedReportDictionary(report)["mediaAttachments"] as? [[String: Any]])
+
+        XCTAssertEqual(media.compactMap { $0["fileName"] as? String }, ["error.png", "flow.mp4"])
+        XCTAssertEqual(media.first?["caption"] as? String, "Error banner")
+        XCTAssertNil(media.last?["caption"], "Attachments without a caption leave it out")
+    }
+
+    func testMediaAttachmentMimeTypeFollowsFormFileExtensions() {
+        func mimeType(_ type: MediaType, _ path: String) -> String {
+            return MediaAttachment(type: type, fileURL: URL(fileURLWithPath: path)).mimeType
+        }
+
+        XCTAssertEqual(mimeType(.other, "/tmp/app.log"), "text/plain")
+        XCTAssertEqual(mimeType(.other, "/tmp/network.HAR"), "application/json")
+        XCTAssertEqual(mimeType(.other, "/tmp/receipt.pdf"), "application/pdf")
+        XCTAssertEqual(mimeType(.other, "/tmp/photo.jpeg"), "image/jpeg")
+        XCTAssertEqual(mimeType(.other, "/tmp/dump.bin"), "application/octet-stream")
+        XCTAssertEqual(mimeType(.screenshot, "/tmp/screen.jpg"), "image/png", "Captured media keeps its type's MIME type")
+    }
+
+    func testFormFilesAreStoredInTheirOwnFolder() {
+        let manager = QCBugPluginManager.shared
+        let stored = expectation(description: "file stored")
+
+        manager.addFileAttachment(named: "crash/log:1.txt. ", data: Data("boom".utf8)) { result in
+            defer { stored.fulfill() }
+            guard case .success(let attachment) = result, let fileURL = URL(string: attachment.fileURL) else {
+                XCTFail("Expected the file to be stored")
+                return
+            }
+
+            XCTAssertEqual(attachment.type, .other, "Form files are never recompressed as screenshots")
+            XCTAssertEqual(attachment.fileName, "crash_log_1.txt")
+            XCTAssertEqual(attachment.fileSize, 4)
+            XCTAssertTrue(FileManager.default.fileExists(atPath: fileURL.path))
+            let folderURL = fileURL.deletingLastPathComponent()
+            XCTAssertEqual(folderURL.deletingLastPathComponent().path.hasSuffix("QCBugPlugin/Attachments"), true)
+
+            _ = manager.removeSessionMedia(withFileURL: attachment.fileURL, updatePresentedView: false)
+            XCTAssertFalse(FileManager.default.fileExists(atPath: folderURL.path), "Removing the file removes its folder")
+        }
+
+        waitForExpectations(timeout: 2)
+    }
+
+    func testExcludedEnvironmentFieldsAreLeftOutOfPayload() throws {
+        let excluded: Set<EnvironmentField> = [.battery, .disk, .appVersion]
+        let report = BugReport(
+            description: "Test",
+            priority: "low",
+            userActions: [],
+            deviceInfo: DeviceInfo().excluding(excluded),
+            appInfo: AppInfo().excluding(excluded),
+            customData: ["build": "debug"]
+        )
+
+        let reportObj = try encodedReportDictionary(report)
+        let device = try XCTUnwrap(reportObj["deviceInfo"] as? [String: Any])
+        let app = try XCTUnwrap(reportObj["appInfo"] as? [String: Any])
+
+        XCTAssertNotNil(device["deviceModel"])
+        XCTAssertNil(device["batteryLevel"])
+        XCTAssertNil(device["diskSpace"])
+        XCTAssertNotNil(app["bundleIdentifier"])
+        XCTAssertNil(app["version"])
+        XCTAssertNil(app["buildNumber"])
+    }
+
+    func testRedactedUserActionKeepsIdentity() {
+        let action = UserAction(
+            actionType: .textInput,
+            screenName: "Checkout",
+            viewControllerClass: "CheckoutViewController",
+            elementInfo: ElementInfo(className: "UITextField", text: "4111 1111 1111 1111", tag: 3),
+            metadata: ["value": "4111 1111 1111 1111"]
+        )
+
+        let masked = ElementInfo(className: "UITextField", text: "•••• 1111", tag: 3)
+        let redacted = action.redacted(elementInfo: masked, metadata: ["value": "•••• 1111"])
+
+        XCTAssertEqual(redacted.id, action.id)
+        XCTAssertEqual(redacted.timestamp, action.timestamp)
+        XCTAssertEqual(redacted.elementInfo?.text, "•••• 1111")
+        XCTAssertEqual(redacted.metadata?["value"], "•••• 1111")
+    }
+
+    func testLastVisitedScreenOnlyNarrowsTheDuplicateSearch() throws {
+        let screenView = UserAction(actionType: .screenView, screenName: "Checkout", viewControllerClass: "CheckoutViewController")
+        let controller = QCBugReportViewController(actionHistory: [screenView], screenRecorder: nil, configuration: nil)
+        let delegate = SubmissionDelegateSpy()
+        controller.delegate = delegate
+        let window = UIWindow(frame: UIScreen.main.bounds)
+        window.rootViewController = UINavigationController(rootViewController: controller)
+        window.makeKeyAndVisible()
+
+        XCTAssertEqual(controller.duplicateSearchScreenName(), "Checkout")
+
+        // Submit, then confirm, the way the reporter does
+        let submit = try XCTUnwrap(controller.navigationItem.rightBarButtonItem)
+        UIApplication.shared.sendAction(try XCTUnwrap(submit.action), to: submit.target, from: submit, for: nil)
+        let alert = try XCTUnwrap(controller.presentedViewController as? UIAlertController)
+        let confirm = try XCTUnwrap(alert.actions.first { $0.title == "Submit" })
+        typealias AlertHandler = @convention(block) (UIAlertAction) -> Void
+        let handler = unsafeBitCast(try XCTUnwrap(confirm.value(forKey: "handler") as AnyObject?), to: AlertHandler.self)
+        handler(confirm)
+
+        let report = try XCTUnwrap(delegate.submittedReports.first)
+        XCTAssertEqual(try encodedReportDictionary(report)["currentScreen"] as? String, controller.title,
+                       "The report keeps the screen on display, not the last visited one")
+    }
+
+    func testDescriptionReachesNativeWithPhoneNumbersMasked() throws {
+        let context = try makeFormScriptContext()
+        let cases: [(text: String, sent: String)] = [
+            ("(555) 123-4567", "[Phone number]"),
+            ("Call 555-123-4567 today", "Call [Phone number] today"),
+            ("+1 (415) 555-0100", "[Phone number]"),
+            ("Hotline +84 912 345 678.", "Hotline [Phone number]."),
+            ("415.555.0100", "[Phone number]"),
+            ("0912 345 678", "[Phone number]"),
+            ("0912345678", "[Phone number]"),
+            ("Ratio 0.123456789", "Ratio 0.123456789"),
+            ("Took 1700000000000 ms", "Took 1700000000000 ms"),
+            ("Due 2024-01-15", "Due 2024-01-15"),
+            ("Host 192.168.100.200", "Host 192.168.100.200"),
+            ("Order A12345678901", "Order A12345678901"),
+            ("Total 1 234 567", "Total 1 234 567"),
+            ("Card 4111 1111 1111 1111", "Card •••• 1111")
+        ]
+
+        for testCase in cases {
+            context.objectForKeyedSubscript("fields").setObject(
+                context.objectForKeyedSubscript("makeField").call(withArguments: [testCase.text]),
+                forKeyedSubscript: "bugDescription" as NSString
+            )
+            context.evaluateScript("postedMessages.length = 0; updateDescription();")
+            let posted = context.objectForKeyedSubscript("postedMessages").toArray() as? [[String: Any]] ?? []
+            let sent = posted.last { $0["action"] as? String == "updateDescription" }?["description"] as? String
+            XCTAssertEqual(sent, testCase.sent, "Description sent for \"\(testCase.text)\"")
+        }
+    }
+
+    func testBridgeEventsFallBackToLegacyGlobals() {
+        let controller = QCBugReportViewController(actionHistory: [], screenRecorder: nil, configuration: nil)
+
+        let history = controller.bridgeEventScript(.actionHistory, payload: "[]")
+        XCTAssertTrue(history.contains("name: 'actionHistory'"))
+        XCTAssertTrue(history.contains("window.loadActionHistory(payload)"), "Protocol 1 pages still get the global call")
+
+        let duration = controller.bridgeEventScript(.mediaDuration, payload: "{ fileURL: 'file:///tmp/a.mp4', duration: 4 }")
+        XCTAssertTrue(duration.contains("window.setMediaDuration(payload)"), "Durations loaded later still reach protocol 1 pages")
+
+        let cleared = controller.bridgeEventScript(.mediaCleared)
+        XCTAssertTrue(cleared.contains("name: 'mediaCleared'"))
+        XCTAssertFalse(cleared.contains("else if"), "Events added with protocol 2 have no legacy fallback")
+    }
+
+    func testAttachmentUploadProgressEncodesForTheForm() throws {
+        let uploading = AttachmentUploadProgress(fileURL: "file:///tmp/a.png", phase: .uploading, percent: 140)
+        let failed = AttachmentUploadProgress(fileURL: "file:///tmp/a.png", phase: .failed, message: "HTTP 500")
+
+        let data = try JSONEncoder().encode(uploading)
+        guard let encoded = try JSONSerialization.jsonObject(with: data, options: []) as? [String: Any] else {
+            XCTFail("Malformed progress JSON")
+            return
+        }
+
+        XCTAssertEqual(encoded["fileURL"] as? String, "file:///tmp/a.png")
+        XCTAssertEqual(encoded["phase"] as? String, "uploading")
+        XCTAssertEqual(encoded["percent"] as? Int, 100, "Percent is clamped for the progress bar")
+        XCTAssertNil(encoded["message"])
+        XCTAssertTrue(uploading.isInFlight)
+        XCTAssertFalse(failed.isInFlight, "Failed attachments wait for a retry")
+
+        let controller = QCBugReportViewController(actionHistory: [], screenRecorder: nil, configuration: nil)
+        let script = controller.bridgeEventScript(.attachmentProgress, payload: "{}")
+        XCTAssertTrue(script.contains("name: 'attachmentProgress'"))
+        XCTAssertFalse(script.contains("else if"), "Upload progress only reaches protocol 2 pages")
+    }
+
+    func testUploadSubmissionCancelsTheActiveAttachment() throws {
+        let first = try makeTextAttachment("first.txt")
+        let second = try makeTextAttachment("second.txt")
+        StubWebhookURLProtocol.uploadReplies = [.hang]
+
+        var submission: BugReportSubmissionHandle?
+        var phases: [String: [AttachmentUploadProgress.Phase]] = [:]
+        var completions: [Result<String, BugReportError>] = []
+        let secondUploaded = expectation(description: "second attachment uploaded")
+
+        submission = makeUploadingService().submitBugReport(makeReport(with: [first, second]), progress: { progress in
+            phases[progress.fileURL, default: []].append(progress.phase)
+            if progress.fileURL == first.fileURL, progress.phase == .uploading {
+                DispatchQueue.main.async { submission?.cancelAttachment(withFileURL: first.fileURL) }
+            }
+            if progress.fileURL == second.fileURL, progress.phase == .done {
+                secondUploaded.fulfill()
+            }
+        }, completion: { result in
+            completions.append(result)
+        })
+
+        waitForExpectations(timeout: 5)
+        XCTAssertEqual(phases[first.fileURL]?.last, .cancelled)
+        XCTAssertEqual(StubWebhookURLProtocol.uploadCount, 2, "The next attachment starts once the active one is cancelled")
+        XCTAssertEqual(completions.count, 1)
+        XCTAssertEqual(try completions.first?.get(), "report-1")
+    }
+
+    func testUploadSubmissionRetriesAFailedAttachment() throws {
+        let attachment = try makeTextAttachment("retry.txt")
+        StubWebhookURLProtocol.uploadReplies = [.failure]
+
+        var submission: BugReportSubmissionHandle?
+        var phases: [AttachmentUploadProgress.Phase] = []
+        var completions = 0
+        var completionsWhenFailed: Int?
+        let uploaded = expectation(description: "attachment uploaded on retry")
+
+        submission = makeUploadingService().submitBugReport(makeReport(with: [attachment]), progress: { progress in
+            phases.append(progress.phase)
+            switch progress.phase {
+            case .failed:
+                DispatchQueue.main.async {
+                    completionsWhenFailed = completions
+                    submission?.retryAttachment(withFileURL: attachment.fileURL)
+                }
+            case .done:
+                uploaded.fulfill()
+            default:
+                break
+            }
+        }, completion: { _ in
+            completions += 1
+        })
+
+        waitForExpectations(timeout: 5)
+        XCTAssertEqual(completionsWhenFailed, 0, "A failed attachment holds the completion")
+        XCTAssertEqual(completions, 1, "The successful retry completes the report")
+        XCTAssertEqual(phases.filter { $0 != .uploading }, [.queued, .compressing, .failed, .queued, .compressing, .done])
+        XCTAssertEqual(StubWebhookURLProtocol.uploadCount, 2)
+    }
+
+    func testUploadSubmissionCompletesOnceAFailedAttachmentIsCancelled() throws {
+        let attachment = try makeTextAttachment("dropped.txt")
+        StubWebhookURLProtocol.uploadReplies = [.failure]
+
+        var submission: BugReportSubmissionHandle?
+        var completions: [Result<String, BugReportError>] = []
+        var completionsWhenFailed: Int?
+        let completed = expectation(description: "report completes")
+
+        submission = makeUploadingService().submitBugReport(makeReport(with: [attachment]), progress: { progress in
+            if progress.phase == .failed {
+                DispatchQueue.main.async {
+                    completionsWhenFailed = completions.count
+                    submission?.cancelAttachment(withFileURL: attachment.fileURL)
+                }
+            }
+        }, completion: { result in
+            completions.append(result)
+            completed.fulfill()
+        })
+
+        waitForExpectations(timeout: 5)
+        XCTAssertEqual(completionsWhenFailed, 0, "A failed attachment holds the completion")
+        XCTAssertEqual(completions.count, 1)
+        XCTAssertEqual(try completions.first?.get(), "report-1")
+    }
+
+    func testUploadSubmissionCancelledBeforeTheReportIsPosted() throws {
+        let attachment = try makeTextAttachment("early.txt")
+
+        var phases: [AttachmentUploadProgress.Phase] = []
+        let completed = expectation(description: "report completes")
+
+        let submission = makeUploadingService().submitBugReport(makeReport(with: [attachment]), progress: { progress in
+            phases.append(progress.phase)
+        }, completion: { result in
+            XCTAssertEqual(try? result.get(), "report-1")
+            completed.fulfill()
+        })
+        submission.cancel()
+
+        waitForExpectations(timeout: 5)
+        XCTAssertEqual(phases, [.cancelled])
+        XCTAssertEqual(StubWebhookURLProtocol.uploadCount, 0, "Nothing is uploaded after cancel")
+    }
+
+    func testSubmitUsesNativeValidationUntilThePageReportsItsOwn() {
+        let controller = QCBugReportViewController(actionHistory: [], screenRecorder: nil, configuration: nil)
+        controller.loadViewIfNeeded()
+        let submit = controller.navigationItem.rightBarButtonItem
+
+        XCTAssertEqual(submit?.isEnabled, false)
+        controller.handleBridgeMessage(["action": "updateDescription", "description": "Checkout crashes"])
+        XCTAssertEqual(submit?.isEnabled, true, "A page that never validates still gets a usable Submit")
+
+        controller.handleBridgeMessage([
+            "action": "validationChanged",
+            "isValid": false,
+            "errors": [["field": "webhookURL", "message": "Enter a valid webhook URL."]]
+        ])
+        XCTAssertEqual(submit?.isEnabled, false, "The page's verdict wins once it arrives")
+        XCTAssertEqual(submit?.accessibilityHint, "Enter a valid webhook URL.")
+    }
+
+    func testFailedAttachmentKeepsTheFormOpen() {
+        let controller = QCBugReportViewController(actionHistory: [], screenRecorder: nil, configuration: nil)
+        let delegate = SubmissionDelegateSpy()
+        controller.delegate = delegate
+        controller.loadViewIfNeeded()
+
+        controller.beginSubmission(MockBugReportAPIService.MockSubmission())
+        controller.updateAttachmentProgress(AttachmentUploadProgress(fileURL: "file:///tmp/a.png", phase: .failed, message: "HTTP 500"))
+        controller.finishSubmission(with: .success("report-1"))
+        XCTAssertEqual(delegate.finishedSubmissions, 0, "A failed attachment waits for a retry or cancel")
+        XCTAssertNotNil(controller.submission)
 
-        let json = try JSONSerialization.jsonObject(with: data, options: [])
-        guard let dict = json as? [String: Any],
-              let reportObj = dict["report"] as? [String: Any],
-              let team = reportObj["team"] as? String else {
-            XCTFail("Malformed payload")
+        controller.updateAttachmentProgress(AttachmentUploadProgress(fileURL: "file:///tmp/a.png", phase: .done, percent: 100))
+        XCTAssertEqual(delegate.finishedSubmissions, 1)
+        XCTAssertNil(controller.submission)
+    }
+
+    func testFormSnapshotEncodesForHydrate() throws {
+        let snapshot = BugReportFormSnapshot(
+            locale: "vi",
+            theme: nil,
+            validation: BugReportFormSnapshot.Validation(requirePriority: true, requireAssignee: false),
+            mode: "manual",
+            description: "It's broken\nagain",
+            manualTitle: "Checkout fails",
+            manualWhat: "",
+            manualSteps: "",
+            manualExpected: "",
+            webhookURL: "https://example.com",
+            assignees: ["alice"],
+            watchers: [],
+            labelGroups: ["priority"],
+            labels: ["priority::high"],
+            priority: "priority::high",
+            issueNumber: "",
+            issueRelation: "child",
+            currentScreen: nil,
+            reportTemplates: [],
+            environment: BugReportWebEnvironment(
+                deviceInfo: DeviceInfo(),
+                appInfo: AppInfo(),
+                networkInfo: NetworkInfo(),
+                memoryInfo: MemoryInfo(),
+                customData: [:],
+                excludedFields: ["battery"]
+            ),
+            redactionRules: [],
+            media: [BugReportWebMedia(type: "screenshot", fileURL: "file:///tmp/a.png", fileName: "a.png", timestamp: 1_700_000_000_000, fileSize: 10, duration: nil, caption: "Banner")]
+        )
+
+        let data = try JSONEncoder().encode(snapshot)
+        guard let encoded = try JSONSerialization.jsonObject(with: data, options: []) as? [String: Any],
+              let environment = encoded["environment"] as? [String: Any],
+              let media = encoded["media"] as? [[String: Any]] else {
+            XCTFail("Malformed snapshot JSON")
             return
         }
 
-        XCTAssertEqual(team, "ios", "Payload report.team should be 'ios'")
+        XCTAssertEqual(encoded["schemaVersion"] as? Int, BugReportFormSnapshot.currentSchemaVersion)
+        XCTAssertEqual(encoded["description"] as? String, "It's broken\nagain", "Text reaches the form without hand escaping")
+        XCTAssertEqual(encoded["mode"] as? String, "manual")
+        XCTAssertEqual(environment["excludedFields"] as? [String], ["battery"])
+        XCTAssertEqual(media.first?["caption"] as? String, "Banner")
+        XCTAssertNil(encoded["theme"], "Missing values are left out so the form keeps its own")
+    }
+
+    func testIssueRelationRequiresIssueNumber() {
+        let standalone = BugReport(
+            description: "Test",
+            priority: "low",
+            userActions: [],
+            deviceInfo: DeviceInfo(),
+            appInfo: AppInfo(),
+            issueRelation: "comment"
+        )
+        let linked = BugReport(
+            description: "Test",
+            priority: "low",
+            userActions: [],
+            deviceInfo: DeviceInfo(),
+            appInfo: AppInfo(),
+            issueNumber: 41,
+            issueRelation: "comment"
+        )
+
+        XCTAssertNil(standalone.issueRelation, "A report without a parent issue has no relation")
+        XCTAssertEqual(linked.issueRelation, "comment")
+    }
+
+    func testReportTemplateEncodesForTheForm() throws {
+        let template = BugReportTemplate(
+            id: "crash",
+            name: "Crash",
+            what: "The app closed",
+            priority: "priority::high",
+            labels: ["type::crash"]
+        )
+
+        let data = try JSONEncoder().encode([template])
+        guard let list = try JSONSerialization.jsonObject(with: data, options: []) as? [[String: Any]],
+              let encoded = list.first else {
+            XCTFail("Malformed template JSON")
+            return
+        }
+
+        XCTAssertEqual(encoded["id"] as? String, "crash")
+        XCTAssertEqual(encoded["what"] as? String, "The app closed")
+        XCTAssertEqual(encoded["steps"] as? String, "")
+        XCTAssertEqual(encoded["priority"] as? String, "priority::high")
+        XCTAssertEqual(encoded["labels"] as? [String], ["type::crash"])
+        XCTAssertNil(encoded["title"], "Missing titles are left out for the form to default")
     }
 
     func testBugReportServiceTimeoutsAreFiveMinutes() {
@@ -70,4 +533,145 @@ final class QCBugPluginTests: XCTestCase {
 
         waitForExpectations(timeout: 2)
     }
+
+    // MARK: - Helpers
+
+    private func makeUploadingService() -> BugReportAPIService {
+        let configuration = URLSessionConfiguration.ephemeral
+        configuration.protocolClasses = [StubWebhookURLProtocol.self]
+        return BugReportAPIService(webhookURL: "https://example.com/hook", sessionConfiguration: configuration)
+    }
+
+    private func makeTextAttachment(_ name: String) throws -> MediaAttachment {
+        let fileURL = URL(fileURLWithPath: NSTemporaryDirectory()).appendingPathComponent(name)
+        try Data("log line".utf8).write(to: fileURL)
+        return MediaAttachment(type: .other, fileURL: fileURL)
+    }
+
+    /// Runs the form's scripts without a page, for the parts that do not touch the DOM
+    private func makeFormScriptContext() throws -> JSContext {
+        let context = try XCTUnwrap(JSContext())
+        context.exceptionHandler = { _, exception in
+            XCTFail("Form script threw: \(exception?.toString() ?? "unknown error")")
+        }
+        context.evaluateScript("""
+        var window = this;
+        var noop = function () {};
+        var fields = {};
+        var postedMessages = [];
+        var makeField = function (value) {
+            return { value: value, classList: { toggle: noop }, setAttribute: noop, removeAttribute: noop };
+        };
+        var document = {
+            addEventListener: noop,
+            getElementById: function (id) { return fields[id] || null; },
+            querySelector: function () { return null; },
+            querySelectorAll: function () { return []; }
+        };
+        var webkit = { messageHandlers: { bugReportHandler: { postMessage: function (message) { postedMessages.push(message); } } } };
+        var navigator = { language: 'en' };
+        var location = { search: '' };
+        var setTimeout = function () { return 0; };
+        var clearTimeout = noop;
+        var addEventListener = noop;
+        if (typeof console === 'undefined') {
+            var console = { log: noop, warn: noop, error: noop };
+        }
+        """)
+        for name in ["bug_report_strings", "bug_report"] {
+            let url = try XCTUnwrap(Bundle.module.url(forResource: name, withExtension: "js"))
+            context.evaluateScript(try String(contentsOf: url), withSourceURL: url)
+        }
+        return context
+    }
+
+    /// The `report` object of the webhook payload `report` encodes to
+    private func encodedReportDictionary(_ report: BugReport) throws -> [String: Any] {
+        let service = BugReportAPIService(webhookURL: "https://example.com")
+        let data = try service.makeEncodedPayload(for: report, gitLabCredentials: nil)
+        let payload = try XCTUnwrap(JSONSerialization.jsonObject(with: data, options: []) as? [String: Any])
+        return try XCTUnwrap(payload["report"] as? [String: Any], "Malformed payload")
+    }
+
+    private func makeReport(with attachments: [MediaAttachment]) -> BugReport {
+        return BugReport(
+            description: "Test",
+            priority: "low",
+            userActions: [],
+            deviceInfo: DeviceInfo(),
+            appInfo: AppInfo(),
+            mediaAttachments: attachments
+        )
+    }
+}
+
+/// Answers the webhook: the report gets id `report-1`, uploads take the next queued reply
+private final class StubWebhookURLProtocol: URLProtocol {
+    enum Reply {
+        case success
+        case failure
+        /// Never answers, so the upload stays active until it is cancelled
+        case hang
+    }
+
+    /// Replies for `/upload` requests in order; once they run out every upload succeeds
+    static var uploadReplies: [Reply] = []
+    static var uploadCount = 0
+
+    static func reset() {
+        uploadReplies = []
+        uploadCount = 0
+    }
+
+    override class func canInit(with request: URLRequest) -> Bool {
+        return true
+    }
+
+    override class func canonicalRequest(for request: URLRequest) -> URLRequest {
+        return request
+    }
+
+    override func startLoading() {
+        guard let url = request.url else { return }
+        let isUpload = url.path.hasSuffix("/upload")
+        var reply = Reply.success
+        if isUpload {
+            Self.uploadCount += 1
+            if !Self.uploadReplies.isEmpty {
+                reply = Self.uploadReplies.removeFirst()
+            }
+        }
+
+        let body: [String: Any]
+        switch reply {
+        case .hang:
+            return
+        case .success:
+            body = ["code": 200, "data": isUpload ? "file-\(Self.uploadCount)" : "report-1"]
+        case .failure:
+            body = ["code": 500, "message": "Upload rejected"]
+        }
+
+        let response = HTTPURLResponse(url: url, statusCode: 200, httpVersion: nil, headerFields: ["Content-Type": "application/json"])
+        let data = (try? JSONSerialization.data(withJSONObject: body, options: [])) ?? Data()
+        response.map { client?.urlProtocol(self, didReceive: $0, cacheStoragePolicy: .notAllowed) }
+        client?.urlProtocol(self, didLoad: data)
+        client?.urlProtocolDidFinishLoading(self)
+    }
+
+    override func stopLoading() {}
+}
+
+private final class SubmissionDelegateSpy: QCBugReportViewControllerDelegate {
+    private(set) var finishedSubmissions = 0
+    private(set) var submittedReports: [BugReport] = []
+
+    func bugReportViewController(_ controller: QCBugReportViewController, didSubmitReport report: BugReport) {
+        submittedReports.append(report)
+    }
+    func bugReportViewControllerDidCancel(_ controller: QCBugReportViewController) {}
+    func bugReportViewControllerDidFinishSubmission(_ controller: QCBugReportViewController) {
+        finishedSubmissions += 1
+    }
+    func bugReportViewController(_ controller: QCBugReportViewController, requestNativePreviewFor url: URL) {}
 }